@@ -1,85 +1,110 @@
 const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const {
+  DEFAULT_BASE_URL,
+  MAX_RETRIES,
+  RETRY_DELAY,
+  MAX_RETRY_DELAY,
+  LaunchDarklyClient,
+  LaunchDarklyApiError,
+  toApiClient,
+  normalizeBaseUrl,
+  fetchWithRetry,
+  configureRetryPolicy,
+  isRetryableError,
+  computeRetryDelay,
+  parseRateLimitHeaders,
+  createRateLimiter,
+  rateLimiter,
+  sleep
+} = require('./src/launchdarkly-client');
+const { writeJournalFile, loadJournalFile } = require('./src/journal');
+const { resolveWorkspacePath } = require('./src/workspace');
+const { BUILT_IN_DATE_FORMATS, getDateFormat, isSupportedDateFormat } = require('./src/date-formats');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, addCalendarDays, calendarDaysBetween } = require('./src/timezone');
+const { addBusinessDays, rollToWorkingDay, countHolidays, loadHolidayCalendar } = require('./src/business-days');
+const { compileTemplate } = require('./src/templates');
+const { ISSUE_MODES, createIssueClient, syncExpiryIssues } = require('./src/github-issues');
+const {
+  DEFAULT_CODE_REFERENCE_PATTERNS,
+  DEFAULT_CODE_REFERENCE_EXCLUDE,
+  toCamelKey,
+  globToRegExp,
+  compileReferencePatterns,
+  createPathFilter,
+  scanCodeReferences,
+  findReferencedKeys
+} = require('./src/code-references');
+const { getPullRequestNumber, listAddedLines } = require('./src/pull-request');
+const {
+  WEBHOOK_TYPES,
+  NOTIFY_GROUPINGS,
+  NOTIFY_CONDITIONS,
+  parseNotificationTemplates,
+  buildDigest,
+  formatWebhookPayload,
+  sendWebhook
+} = require('./src/notifications');
 
-// Rate limiting and retry constants
-const RATE_LIMIT_DELAY = 3000; // milliseconds between requests (increased to 3s to avoid rate limiting)
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 5000; // 5 second base delay for retries
+// Action modes: set expiry dates, undo a previous run from its journal,
+// audit existing values and rewrite them into the configured date format,
+// or report expired and soon-to-expire flags (optionally right after setting dates)
+const MODES = ['set', 'rollback', 'normalize', 'audit', 'set-and-audit', 'pr-check'];
+const SET_MODES = ['set', 'set-and-audit'];
 
-/**
- * Sleep utility function
- */
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Flags expiring within this many days are reported as expiring soon by the audit
+const DEFAULT_EXPIRING_WITHIN_DAYS = 14;
+
+
+// Custom property update formats and approval modes
+const PATCH_FORMATS = ['json', 'semantic'];
+const APPROVAL_MODES = ['none', 'when_required', 'always'];
+const SEMANTIC_PATCH_CONTENT_TYPE = 'application/json; domain-model=launchdarkly.semanticpatch';
+
+// How flags that already have an expiry value are handled
+const EXISTING_VALUE_STRATEGIES = ['skip', 'overwrite', 'extend_by_days', 'only_if_earlier', 'only_if_later'];
+
+// Supported anchors for expiry date calculation
+const EXPIRY_ANCHORS = ['creation', 'last_modified', 'first_rollout_to_100', 'now'];
+
+// Placeholders available in value_template and additional property templates (date variables accept offsets like {expiry-14d})
+const PROPERTY_TEMPLATE_VARIABLES = {
+  expiry: 'date',
+  created: 'date',
+  days: 'text',
+  flagKey: 'text',
+  flagName: 'text',
+  maintainer: 'text',
+  maintainerTeam: 'text',
+  tags: 'text',
+  policyRule: 'text',
+  runId: 'text'
+};
+
+// Concurrency constants
+const DEFAULT_CONCURRENCY = 5; // flags processed in parallel
+const MAX_CONCURRENCY = 20;
 
 /**
- * Fetch with retry logic and 429 handling
+ * Run an async function over items with at most `concurrency` calls in flight
+ * Results are returned in the same order as the items
  */
-async function fetchWithRetry(url, options, maxRetries = MAX_RETRIES) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetch(url, options);
-      
-      if (response.status === 429) {
-        // Rate limited - exponential backoff as per LaunchDarkly docs
-        const delay = RETRY_DELAY * Math.pow(2, attempt - 1);
-        core.warning(`Rate limited (attempt ${attempt}/${maxRetries}), waiting ${delay}ms`);
-        await sleep(delay);
-        continue;
-      }
-      
-      if (!response.ok) {
-        let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-        
-        // Try to get more details from the response body
-        try {
-          const errorBody = await response.text();
-          if (errorBody) {
-            core.debug(`API Error Response Body: ${errorBody}`);
-            errorMessage += `. Response: ${errorBody}`;
-          }
-        } catch (bodyError) {
-          core.debug(`Could not read error response body: ${bodyError.message}`);
-        }
-        
-        // Add specific guidance for common errors
-        if (response.status === 401) {
-          errorMessage += '. Please check your API key is valid and has the required permissions.';
-        } else if (response.status === 404) {
-          errorMessage += '. Resource may not exist or you don\'t have access to it.';
-        } else if (response.status === 400) {
-          errorMessage += '. Check the request format and parameters.';
-        }
-        
-        throw new Error(errorMessage);
-      }
-      
-      return response;
-    } catch (error) {
-      lastError = error;
-      
-      if (attempt < maxRetries && !error.message.includes('HTTP 404')) {
-        const delay = RETRY_DELAY * attempt;
-        core.warning(`Request failed (attempt ${attempt}/${maxRetries}): ${error.message}. Retrying in ${delay}ms`);
-        await sleep(delay);
-      } else {
-        break; // Don't retry 404s or on final attempt
-      }
+async function mapWithConcurrency(items, concurrency, iteratee) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await iteratee(items[index], index);
     }
-  }
-  
-  // Ensure we always throw a proper Error object
-  if (lastError instanceof Error) {
-    throw lastError;
-  } else if (typeof lastError === 'string') {
-    throw new Error(lastError);
-  } else if (lastError && lastError.message) {
-    throw new Error(lastError.message);
-  } else {
-    throw new Error('Request failed after maximum retries');
-  }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
 }
 
 /**
@@ -89,20 +114,77 @@ async function run() {
   try {
     // Get input parameters
     const apiKey = core.getInput('launchdarkly_api_key', { required: true });
-    const projectKey = core.getInput('project_key', { required: true });
+    const projectKeyInput = core.getInput('project_key', { required: true });
+    const baseUrl = core.getInput('base_url').trim() || DEFAULT_BASE_URL;
     const customPropertyName = core.getInput('custom_property_name') || 'flag.expiry.date';
     const dateFormat = core.getInput('date_format') || 'MM/DD/YYYY';
+    const timeZone = core.getInput('timezone').trim() || DEFAULT_TIME_ZONE;
+    const businessDays = core.getInput('business_days') === 'true'; // Default to false
+    const rollForward = core.getInput('roll_to_working_day') === 'true'; // Default to false
+    const holidayCalendarFile = core.getInput('holiday_calendar_file').trim();
+    const valueTemplateInput = core.getInput('value_template');
+    const additionalPropertiesInput = core.getInput('additional_properties');
     
     // New programmatic inputs
     const daysFromCreationInput = core.getInput('days_from_creation') || '30';
     const daysFromCreation = parseInt(daysFromCreationInput, 10);
-    const skipExisting = core.getInput('skip_existing') !== 'false'; // Default to true
+    const skipExistingInput = core.getInput('skip_existing') !== 'false'; // Default to true
+    // existing_value_strategy takes precedence over skip_existing
+    const existingValueStrategy = (core.getInput('existing_value_strategy') || (skipExistingInput ? 'skip' : 'overwrite')).trim().toLowerCase();
+    const skipExisting = existingValueStrategy === 'skip';
+    const extensionDaysInput = core.getInput('extension_days').trim();
+    const dryRun = core.getInput('dry_run') === 'true'; // Default to false
+    const planFile = core.getInput('plan_file') || 'launchdarkly-expiry-plan.json';
+    const mode = (core.getInput('mode') || 'set').trim().toLowerCase();
+    const journalFile = core.getInput('journal_file') || 'launchdarkly-expiry-journal.json';
+    const normalizeRewrite = core.getInput('normalize_rewrite') === 'true'; // Default to false
+    const expiringWithinDaysInput = core.getInput('expiring_within_days').trim();
+    const createIssues = (core.getInput('create_issues') || 'none').trim().toLowerCase();
+    const githubToken = core.getInput('github_token').trim();
+    const issueLabels = parseListInput(core.getInput('issue_labels') || 'flag-expiry');
+    const scanReferences = core.getInput('scan_code_references') === 'true'; // Default to false
+    const codeReferencePaths = parseListInput(core.getInput('code_reference_paths') || '**/*');
+    const codeReferenceExclude = parseListInput(core.getInput('code_reference_exclude'));
+    // Patterns are regular expressions that may contain commas, so they are newline separated only
+    const codeReferencePatterns = core.getInput('code_reference_patterns').split('\n').map(pattern => pattern.trim()).filter(Boolean);
+    const failOnExpiredReferences = core.getInput('fail_on_expired_references') !== 'false'; // Default to true
+    const notifyWebhookUrl = core.getInput('notify_webhook_url').trim();
+    const notifyWebhookType = (core.getInput('notify_webhook_type') || 'generic').trim().toLowerCase();
+    const notifyGroupBy = (core.getInput('notify_group_by') || 'maintainer').trim().toLowerCase();
+    const notifyOn = (core.getInput('notify_on') || 'changes').trim().toLowerCase();
+    const policyFile = core.getInput('policy_file').trim();
+    const maxConcurrencyInput = core.getInput('max_concurrency') || String(DEFAULT_CONCURRENCY);
+    const maxConcurrency = parseInt(maxConcurrencyInput, 10);
+
+    // Retry policy inputs
+    const maxAttemptsInput = core.getInput('max_attempts') || String(MAX_RETRIES);
+    const maxAttempts = parseInt(maxAttemptsInput, 10);
+    const retryBaseDelayInput = core.getInput('retry_base_delay_ms') || String(RETRY_DELAY);
+    const retryBaseDelayMs = parseInt(retryBaseDelayInput, 10);
+    const retryMaxDelayInput = core.getInput('retry_max_delay_ms') || String(MAX_RETRY_DELAY);
+    const retryMaxDelayMs = parseInt(retryMaxDelayInput, 10);
+    const expiryAnchor = (core.getInput('expiry_anchor') || 'creation').trim().toLowerCase();
+    const patchFormat = (core.getInput('patch_format') || 'json').trim().toLowerCase();
+    const approvalMode = (core.getInput('approval_mode') || 'none').trim().toLowerCase();
+
+    // Environment-aware expiry inputs
+    const environmentKey = core.getInput('environment_key').trim();
+    const rolledOutExpiryDaysInput = core.getInput('rolled_out_expiry_days').trim();
+    const rolloutExtensionDaysInput = core.getInput('active_rollout_extension_days').trim();
+
+    // Flag selection inputs
+    const selection = {
+      includeTags: parseListInput(core.getInput('include_tags')),
+      excludeTags: parseListInput(core.getInput('exclude_tags')),
+      includeKeyPattern: core.getInput('include_key_pattern').trim(),
+      excludeKeyPattern: core.getInput('exclude_key_pattern').trim()
+    };
 
     // Validate inputs
     if (!apiKey.trim()) {
       throw new Error('LaunchDarkly API key cannot be empty');
     }
-    if (!projectKey.trim()) {
+    if (!projectKeyInput.trim()) {
       throw new Error('Project key cannot be empty');
     }
     if (!customPropertyName.trim()) {
@@ -111,51 +193,311 @@ async function run() {
     if (isNaN(daysFromCreation) || daysFromCreation < 1 || daysFromCreation > 365) {
       throw new Error(`Invalid days_from_creation value: ${daysFromCreationInput}. Must be a number between 1 and 365`);
     }
+    if (isNaN(maxConcurrency) || maxConcurrency < 1 || maxConcurrency > MAX_CONCURRENCY) {
+      throw new Error(`Invalid max_concurrency value: ${maxConcurrencyInput}. Must be a number between 1 and ${MAX_CONCURRENCY}`);
+    }
+    if (isNaN(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+      throw new Error(`Invalid max_attempts value: ${maxAttemptsInput}. Must be a number between 1 and 10`);
+    }
+    if (isNaN(retryBaseDelayMs) || retryBaseDelayMs < 0) {
+      throw new Error(`Invalid retry_base_delay_ms value: ${retryBaseDelayInput}. Must be a non-negative number`);
+    }
+    if (isNaN(retryMaxDelayMs) || retryMaxDelayMs < retryBaseDelayMs) {
+      throw new Error(`Invalid retry_max_delay_ms value: ${retryMaxDelayInput}. Must be a number no lower than retry_base_delay_ms`);
+    }
+    const client = new LaunchDarklyClient({
+      apiKey,
+      baseUrl,
+      retry: { maxAttempts, baseDelayMs: retryBaseDelayMs, maxDelayMs: retryMaxDelayMs }
+    });
+
+    if (!EXPIRY_ANCHORS.includes(expiryAnchor)) {
+      throw new Error(`Invalid expiry_anchor value: ${expiryAnchor}. Must be one of: ${EXPIRY_ANCHORS.join(', ')}`);
+    }
+    const rolledOutExpiryDays = rolledOutExpiryDaysInput ? parseDaysValue(rolledOutExpiryDaysInput, 'rolled_out_expiry_days') : null;
+    const rolloutExtensionDays = rolloutExtensionDaysInput ? parseDaysValue(rolloutExtensionDaysInput, 'active_rollout_extension_days') : null;
+    if ((rolledOutExpiryDays || rolloutExtensionDays) && !environmentKey) {
+      throw new Error('environment_key is required when rolled_out_expiry_days or active_rollout_extension_days is set');
+    }
+    if (!isSupportedDateFormat(dateFormat)) {
+      throw new Error(`Invalid date_format value: ${dateFormat}. Must be one of ${BUILT_IN_DATE_FORMATS.join(', ')} or a pattern containing YYYY, MM and DD (e.g. DD.MM.YYYY)`);
+    }
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Invalid timezone value: ${timeZone}. Must be an IANA time zone name (e.g. UTC, Europe/Berlin, America/New_York)`);
+    }
+    if (!EXISTING_VALUE_STRATEGIES.includes(existingValueStrategy)) {
+      throw new Error(`Invalid existing_value_strategy value: ${existingValueStrategy}. Must be one of: ${EXISTING_VALUE_STRATEGIES.join(', ')}`);
+    }
+    const extensionDays = extensionDaysInput ? parseDaysValue(extensionDaysInput, 'extension_days') : null;
+    if (holidayCalendarFile && !businessDays && !rollForward) {
+      throw new Error('holiday_calendar_file requires business_days or roll_to_working_day to be true');
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode value: ${mode}. Must be one of: ${MODES.join(', ')}`);
+    }
+    const expiringWithinDays = expiringWithinDaysInput ? parseDaysValue(expiringWithinDaysInput, 'expiring_within_days') : DEFAULT_EXPIRING_WITHIN_DAYS;
+    if (!ISSUE_MODES.includes(createIssues)) {
+      throw new Error(`Invalid create_issues value: ${createIssues}. Must be one of: ${ISSUE_MODES.join(', ')}`);
+    }
+    if (createIssues !== 'none' && !['audit', 'set-and-audit'].includes(mode)) {
+      throw new Error('create_issues requires mode audit or set-and-audit');
+    }
+    if (createIssues !== 'none' && !githubToken) {
+      throw new Error('github_token is required when create_issues is set');
+    }
+    const issues = createIssues !== 'none' ? { mode: createIssues, token: githubToken, labels: issueLabels } : null;
+    if (scanReferences && !['audit', 'set-and-audit'].includes(mode)) {
+      throw new Error('scan_code_references requires mode audit or set-and-audit');
+    }
+    if (mode === 'pr-check' && !githubToken) {
+      throw new Error('github_token is required in pr-check mode to read the pull request diff');
+    }
+    // The workspace scan and pr-check share the code reference globs and patterns
+    const codeReferenceSettings = {
+      include: codeReferencePaths,
+      exclude: codeReferenceExclude.length > 0 ? codeReferenceExclude : DEFAULT_CODE_REFERENCE_EXCLUDE,
+      patterns: compileReferencePatterns(codeReferencePatterns.length > 0 ? codeReferencePatterns : DEFAULT_CODE_REFERENCE_PATTERNS)
+    };
+    [...codeReferenceSettings.include, ...codeReferenceSettings.exclude].forEach(glob => globToRegExp(glob));
+    const codeReferences = scanReferences ? codeReferenceSettings : null;
+    if (!WEBHOOK_TYPES.includes(notifyWebhookType)) {
+      throw new Error(`Invalid notify_webhook_type value: ${notifyWebhookType}. Must be one of: ${WEBHOOK_TYPES.join(', ')}`);
+    }
+    if (!NOTIFY_GROUPINGS.includes(notifyGroupBy)) {
+      throw new Error(`Invalid notify_group_by value: ${notifyGroupBy}. Must be one of: ${NOTIFY_GROUPINGS.join(', ')}`);
+    }
+    if (!NOTIFY_CONDITIONS.includes(notifyOn)) {
+      throw new Error(`Invalid notify_on value: ${notifyOn}. Must be one of: ${NOTIFY_CONDITIONS.join(', ')}`);
+    }
+    if (notifyWebhookUrl && !SET_MODES.includes(mode) && mode !== 'audit') {
+      throw new Error(`notify_webhook_url is not supported in ${mode} mode`);
+    }
+    const notification = notifyWebhookUrl ? {
+      url: notifyWebhookUrl,
+      type: notifyWebhookType,
+      groupBy: notifyGroupBy,
+      on: notifyOn,
+      templates: parseNotificationTemplates(core.getInput('notify_message_template'), core.getInput('notify_flag_template'))
+    } : null;
+    if (!PATCH_FORMATS.includes(patchFormat)) {
+      throw new Error(`Invalid patch_format value: ${patchFormat}. Must be one of: ${PATCH_FORMATS.join(', ')}`);
+    }
+    if (!APPROVAL_MODES.includes(approvalMode)) {
+      throw new Error(`Invalid approval_mode value: ${approvalMode}. Must be one of: ${APPROVAL_MODES.join(', ')}`);
+    }
+    if (approvalMode !== 'none' && !environmentKey) {
+      throw new Error('environment_key is required when approval_mode is set, since approval requests belong to an environment');
+    }
+    // Compile value templates and key patterns up front so mistakes fail before any API calls
+    // The audit and pr-check read values through value_template, so it is supported there too
+    const valueTemplate = parseValueTemplate(valueTemplateInput);
+    if (!SET_MODES.includes(mode) && !['audit', 'pr-check'].includes(mode) && valueTemplate) {
+      throw new Error(`value_template is not supported in ${mode} mode`);
+    }
+    const additionalProperties = parseAdditionalProperties(additionalPropertiesInput, customPropertyName);
+    if (!SET_MODES.includes(mode) && additionalProperties.length > 0) {
+      throw new Error(`additional_properties is not supported in ${mode} mode`);
+    }
+    compileKeyPattern(selection.includeKeyPattern, 'include_key_pattern');
+    compileKeyPattern(selection.excludeKeyPattern, 'exclude_key_pattern');
+
+    // Load the expiry policy rules file (if any)
+    const policy = policyFile ? loadExpiryPolicy(policyFile) : null;
+    const calendar = {
+      businessDays,
+      rollForward,
+      holidays: holidayCalendarFile ? loadHolidayCalendar(holidayCalendarFile) : null
+    };
+
+    const settings = {
+      customPropertyName,
+      daysFromCreation,
+      dateFormat,
+      timeZone,
+      calendar,
+      holidayCalendarFile,
+      valueTemplate,
+      additionalProperties,
+      runId: process.env.GITHUB_RUN_ID || null,
+      audit: mode === 'set-and-audit',
+      expiringWithinDays,
+      issues,
+      codeReferences,
+      notification,
+      skipExisting,
+      existingValueStrategy,
+      extensionDays,
+      selection,
+      dryRun,
+      policy,
+      policyFile,
+      expiryAnchor,
+      maxConcurrency,
+      patchFormat,
+      approvalMode,
+      baseUrl: client.baseUrl,
+      environment: environmentKey ? {
+        key: environmentKey,
+        rolledOutExpiryDays,
+        rolloutExtensionDays
+      } : null
+    };
+
+    if (!SET_MODES.includes(mode) && approvalMode !== 'none') {
+      throw new Error(`approval_mode is not supported in ${mode} mode`);
+    }
+    if (mode === 'rollback') {
+      await runRollback(client, projectKeyInput, { journalFile, dryRun, patchFormat, maxConcurrency });
+      return;
+    }
+    if (mode === 'normalize') {
+      await runNormalize(client, projectKeyInput, {
+        customPropertyName,
+        dateFormat,
+        timeZone,
+        selection,
+        rewrite: normalizeRewrite && !dryRun,
+        patchFormat,
+        maxConcurrency,
+        journalFile
+      });
+      return;
+    }
+    if (mode === 'audit') {
+      await runAudit(client, projectKeyInput, {
+        customPropertyName,
+        dateFormat,
+        timeZone,
+        valueTemplate,
+        expiringWithinDays,
+        issues,
+        codeReferences,
+        notification,
+        selection,
+        dryRun
+      });
+      return;
+    }
+    if (mode === 'pr-check') {
+      await runPrCheck(client, projectKeyInput, {
+        customPropertyName,
+        dateFormat,
+        timeZone,
+        valueTemplate,
+        codeReferences: codeReferenceSettings,
+        githubToken,
+        failOnExpired: failOnExpiredReferences
+      });
+      return;
+    }
 
     core.info(`Starting LaunchDarkly Flag Expiry Setter`);
-    core.info(`Project: ${projectKey}`);
+    core.info(`Project: ${projectKeyInput}`);
+    if (client.baseUrl !== DEFAULT_BASE_URL) {
+      core.info(`Base URL: ${client.baseUrl}`);
+    }
     core.info(`Days from creation: ${daysFromCreation}`);
+    core.info(`Expiry anchor: ${expiryAnchor}`);
+    if (policy) {
+      core.info(`Policy file: ${policyFile} (${policy.rules.length} rules)`);
+    }
+    if (environmentKey) {
+      core.info(`Environment: ${environmentKey} (fully rolled out expiry: ${rolledOutExpiryDays || 'off'}, active rollout extension: ${rolloutExtensionDays || 'off'})`);
+    }
     core.info(`Custom property: ${customPropertyName}`);
+    if (valueTemplate) {
+      core.info(`Value template: ${valueTemplate.source}`);
+    }
+    if (additionalProperties.length > 0) {
+      core.info(`Additional properties: ${additionalProperties.map(property => `${property.name} = ${property.template.source}`).join(', ')}`);
+    }
     core.info(`Date format: ${dateFormat}`);
-    core.info(`Skip existing: ${skipExisting}`);
-
-    // 1. Fetch all flags with proper pagination/throttling
-    const allFlags = await getAllFeatureFlags(apiKey, projectKey);
-
-    // 2. Filter flags that need expiry dates
-    const { flagsToProcess, flagsSkipped } = filterFlagsNeedingExpiry(allFlags, customPropertyName, skipExisting);
+    core.info(`Time zone: ${timeZone}`);
+    core.info(`Day counting: ${describeDayCounting(calendar, holidayCalendarFile)}`);
+    core.info(`Existing values: ${existingValueStrategy}${existingValueStrategy === 'extend_by_days' ? ` (${extensionDays || 'policy/days_from_creation'} days)` : ''}`);
+    core.info(`Max concurrency: ${maxConcurrency}`);
+    core.info(`Patch format: ${patchFormat}`);
+    if (approvalMode !== 'none') {
+      core.info(`Approval mode: ${approvalMode}`);
+    }
+    core.info(`Retry policy: ${maxAttempts} attempts, ${retryBaseDelayMs}-${retryMaxDelayMs}ms backoff`);
+    if (selection.includeTags.length > 0) {
+      core.info(`Include tags: ${selection.includeTags.join(', ')}`);
+    }
+    if (selection.excludeTags.length > 0) {
+      core.info(`Exclude tags: ${selection.excludeTags.join(', ')}`);
+    }
+    if (selection.includeKeyPattern) {
+      core.info(`Include key pattern: ${selection.includeKeyPattern}`);
+    }
+    if (selection.excludeKeyPattern) {
+      core.info(`Exclude key pattern: ${selection.excludeKeyPattern}`);
+    }
+    if (dryRun) {
+      core.info(`Dry run: enabled (no changes will be made, plan will be written to ${planFile})`);
+    }
+    if (settings.audit) {
+      core.info(`Audit: enabled (expiring within ${expiringWithinDays} days)`);
+    }
+    if (issues) {
+      core.info(`GitHub issues: ${issues.mode} flags (labels: ${issues.labels.join(', ') || 'none'})`);
+    }
+    if (codeReferences) {
+      core.info(`Code references: ${codeReferences.include.join(', ')}`);
+    }
+    if (notification) {
+      core.info(`Webhook notification: ${notification.type} (${notification.on})`);
+    }
 
-    // 3. Process flags in batches
-    let results = {
-      updatedFlags: [],
-      failedFlags: [],
-      totalProcessed: 0
-    };
+    // 1. Resolve the list of projects to process
+    const projectKeys = await resolveProjectKeys(client, projectKeyInput);
+    core.info(`Projects to process: ${projectKeys.join(', ')}`);
 
-    if (flagsToProcess.length > 0) {
-      results = await processFlagsInBatches(
-        flagsToProcess, 
-        apiKey, 
-        projectKey, 
-        customPropertyName, 
-        daysFromCreation, 
-        dateFormat
-      );
+    // 2. Process each project independently so one failure doesn't stop the others
+    const projectResults = [];
+    for (const projectKey of projectKeys) {
+      projectResults.push(await processProject(client, projectKey, settings));
     }
 
+    // 3. Aggregate results across projects
+    const totals = aggregateProjectResults(projectResults);
+    const failedProjects = projectResults.filter(result => result.status === 'failed');
+
     // 4. Output comprehensive results
     core.info(`\nFinal Summary:`);
-    core.info(`Total flags found: ${allFlags.length}`);
-    core.info(`Flags skipped: ${flagsSkipped.length}`);
-    core.info(`Successfully updated: ${results.updatedFlags.length}`);
-    core.info(`Failed to update: ${results.failedFlags.length}`);
-    core.info(`Total processed: ${results.totalProcessed}`);
+    if (projectResults.length > 1) {
+      core.info(`Projects processed: ${projectResults.length} (${failedProjects.length} failed)`);
+    }
+    core.info(`Total flags found: ${totals.totalFound}`);
+    core.info(`Flags skipped: ${totals.flagsSkipped.length}`);
+    if (dryRun) {
+      core.info(`Planned changes: ${totals.plannedChanges.length}`);
+    } else {
+      core.info(`Successfully updated: ${totals.updatedFlags.length}`);
+    }
+    core.info(`Failed to update: ${totals.failedFlags.length}`);
+    if (totals.approvalRequests.length > 0) {
+      core.info(`Approval requests created: ${totals.approvalRequests.length}`);
+    }
+    if (totals.conflictedFlags.length > 0) {
+      core.info(`Conflicts (changed during the run, not updated): ${totals.conflictedFlags.length}`);
+    }
+    core.info(`Total processed: ${totals.totalProcessed}`);
+    if (totals.audit) {
+      logAuditResult(totals.audit, expiringWithinDays);
+      if (codeReferences) {
+        attachCodeReferences(totals.audit, codeReferences);
+      }
+    }
+    const issueResults = totals.audit && issues
+      ? await syncGitHubIssues(client, totals.audit, { issues, customPropertyName, projectKeys, dryRun })
+      : [];
 
     // Log skipped flags summary
-    if (flagsSkipped.length > 0) {
+    if (totals.flagsSkipped.length > 0) {
       core.info(`\nSkipped flags breakdown:`);
       const skipReasons = {};
-      flagsSkipped.forEach(flag => {
+      totals.flagsSkipped.forEach(flag => {
         const reason = flag.reason.includes('Already has') ? 'Already has expiry' : flag.reason;
         skipReasons[reason] = (skipReasons[reason] || 0) + 1;
       });
@@ -164,71 +506,107 @@ async function run() {
       });
     }
 
-    // Set outputs (including skipped flags)
-    core.setOutput('updated_flags', JSON.stringify(results.updatedFlags));
-    core.setOutput('failed_flags', JSON.stringify(results.failedFlags));
-    core.setOutput('skipped_flags', JSON.stringify(flagsSkipped));
-    core.setOutput('total_processed', results.totalProcessed.toString());
-    core.setOutput('total_found', allFlags.length.toString());
-    core.setOutput('total_skipped', flagsSkipped.length.toString());
-
-    // Create comprehensive summary
-    core.summary.addHeading('LaunchDarkly Flag Expiry Setter Results');
-    core.summary.addRaw(`**Project:** ${projectKey}\n`);
-    core.summary.addRaw(`**Days from Creation:** ${daysFromCreation}\n`);
-    core.summary.addRaw(`**Custom Property:** ${customPropertyName}\n`);
-    core.summary.addRaw(`**Date Format:** ${dateFormat}\n`);
-    core.summary.addRaw(`**Skip Existing:** ${skipExisting}\n\n`);
-    
-    core.summary.addRaw(`**Total Flags Found:** ${allFlags.length}\n`);
-    core.summary.addRaw(`**Flags Skipped:** ${flagsSkipped.length}\n`);
-    core.summary.addRaw(`**Flags Processed:** ${results.totalProcessed}\n`);
-    core.summary.addRaw(`**Successfully Updated:** ${results.updatedFlags.length}\n`);
-    core.summary.addRaw(`**Failed:** ${results.failedFlags.length}\n\n`);
-
-    if (results.updatedFlags.length > 0) {
-      core.summary.addHeading('Successfully Updated Flags', 3);
-      const updatedTable = [['Flag Key', 'Flag Name', 'Creation Date', 'Expiry Date']];
-      results.updatedFlags.forEach(flag => {
-        updatedTable.push([flag.key, flag.name, flag.creationDate, flag.calculatedExpiryDate]);
-      });
-      core.summary.addTable(updatedTable);
+    // Write the plan file for dry runs
+    let planFilePath = '';
+    if (dryRun) {
+      planFilePath = writePlanFile(planFile, {
+        projectKeys,
+        customPropertyName,
+        daysFromCreation,
+        expiryAnchor,
+        dateFormat,
+        timeZone,
+        businessDays,
+        rollToWorkingDay: rollForward,
+        holidayCalendarFile: holidayCalendarFile || null,
+        skipExisting,
+        existingValueStrategy
+      }, totals.plannedChanges);
+      core.info(`Plan written to ${planFilePath}`);
     }
 
-    if (flagsSkipped.length > 0) {
-      core.summary.addHeading('Skipped Flags', 3);
-      const skippedTable = [['Flag Key', 'Flag Name', 'Reason']];
-      flagsSkipped.slice(0, 20).forEach(flag => { // Limit to first 20 for readability
-        skippedTable.push([flag.key, flag.name, flag.reason]);
-      });
-      core.summary.addTable(skippedTable);
-      
-      if (flagsSkipped.length > 20) {
-        core.summary.addRaw(`\n*Showing first 20 of ${flagsSkipped.length} skipped flags*\n`);
-      }
+    // Record the values replaced by this run so it can be rolled back with mode: rollback
+    let journalFilePath = '';
+    if (!dryRun) {
+      journalFilePath = writeJournalFile(journalFile, {
+        baseUrl: client.baseUrl,
+        projectKeys,
+        customPropertyName
+      }, totals.updatedFlags);
+      core.info(`Journal of ${totals.updatedFlags.length} changes written to ${journalFilePath}`);
     }
 
-    if (results.failedFlags.length > 0) {
-      core.summary.addHeading('Failed Flags', 3);
-      const failedTable = [['Flag Key', 'Error']];
-      results.failedFlags.forEach(flag => {
-        failedTable.push([flag.key, flag.error]);
-      });
-      core.summary.addTable(failedTable);
+    // Set outputs (including skipped flags)
+    core.setOutput('updated_flags', JSON.stringify(totals.updatedFlags));
+    core.setOutput('failed_flags', JSON.stringify(totals.failedFlags));
+    core.setOutput('conflicted_flags', JSON.stringify(totals.conflictedFlags));
+    core.setOutput('approval_requests', JSON.stringify(totals.approvalRequests.map(result => ({
+      projectKey: result.projectKey,
+      key: result.key,
+      name: result.name,
+      environmentKey: result.environmentKey,
+      approvalRequestId: result.approvalRequestId,
+      customPropertyName: result.customPropertyName,
+      requestedValue: result.propertyValue
+    }))));
+    core.setOutput('skipped_flags', JSON.stringify(totals.flagsSkipped));
+    core.setOutput('total_processed', totals.totalProcessed.toString());
+    core.setOutput('total_found', totals.totalFound.toString());
+    core.setOutput('total_skipped', totals.flagsSkipped.length.toString());
+    core.setOutput('dry_run', dryRun.toString());
+    core.setOutput('planned_changes', JSON.stringify(totals.plannedChanges));
+    core.setOutput('plan_file', planFilePath);
+    core.setOutput('journal_file', journalFilePath);
+    core.setOutput('project_results', JSON.stringify(projectResults.map(summarizeProjectResult)));
+    core.setOutput('failed_projects', JSON.stringify(failedProjects.map(result => ({
+      projectKey: result.projectKey,
+      error: result.error
+    }))));
+    if (totals.audit) {
+      setAuditOutputs(totals.audit);
     }
 
-    await core.summary.write();
+    // Create comprehensive summary
+    await writeJobSummary(settings, projectResults, { ...totals, issueResults });
+
+    if (notification) {
+      await notifyWebhook(client, notification, {
+        updated: totals.updatedFlags,
+        approvalRequests: totals.approvalRequests,
+        conflicted: totals.conflictedFlags,
+        failed: totals.failedFlags,
+        expired: totals.audit ? totals.audit.expired : [],
+        expiring: totals.audit ? totals.audit.expiring : []
+      }, { projectKeys, dryRun });
+    }
 
-    // Fail the action if any flags failed to update
-    if (results.failedFlags.length > 0) {
-      core.setFailed(`Failed to update ${results.failedFlags.length} out of ${results.totalProcessed} flags`);
+    // Fail the action if any project or flag failed
+    const failures = [];
+    if (failedProjects.length > 0) {
+      failures.push(`Failed to process ${failedProjects.length} out of ${projectResults.length} projects`);
+    }
+    if (totals.failedFlags.length > 0) {
+      failures.push(`Failed to update ${totals.failedFlags.length} out of ${totals.totalProcessed} flags`);
+    }
+    const failedIssues = issueResults.filter(result => result.action === 'failed');
+    if (failedIssues.length > 0) {
+      failures.push(`Failed to sync ${failedIssues.length} GitHub issues`);
+    }
+    if (failures.length > 0) {
+      core.setFailed(failures.join('. '));
+    }
+    if (totals.conflictedFlags.length > 0) {
+      core.warning(`${totals.conflictedFlags.length} flags were changed by someone else during the run and were not updated. Re-run the action to process them with their current values`);
+    }
+    if (totals.audit && totals.audit.expired.length > 0) {
+      core.warning(`${totals.audit.expired.length} flags are past their ${customPropertyName}`);
     }
 
   } catch (error) {
     core.error('Action execution failed', error);
     
     // Provide specific error context based on error type
-    if (error.message.includes('LaunchDarkly API request failed')) {
+    if (error instanceof LaunchDarklyApiError || error.message.includes('LaunchDarkly API request failed')) {
       core.setFailed(`LaunchDarkly API Error: ${error.message}`);
     } else if (error.message.includes('MODULE_NOT_FOUND')) {
       core.setFailed(`Dependency Error: ${error.message}`);
@@ -239,214 +617,1583 @@ async function run() {
 }
 
 /**
- * Fetch all feature flags from LaunchDarkly API with pagination support
+ * Undo the changes recorded in a journal file (mode: rollback)
+ * Only entries of the requested projects are restored; "*" restores every entry
  */
-async function getAllFeatureFlags(apiKey, projectKey) {
-  const flags = [];
-  let offset = 0;
-  const limit = 50; // LaunchDarkly API default
-  let totalCount = null;
+async function runRollback(client, projectKeyInput, settings) {
+  const { journalFile, dryRun, patchFormat, maxConcurrency } = settings;
 
-  core.info('Fetching all feature flags from LaunchDarkly...');
+  const journal = loadJournalFile(journalFile);
+  const projectKeys = parseListInput(projectKeyInput);
+  const entries = projectKeys.includes('*')
+    ? journal.entries
+    : journal.entries.filter(entry => projectKeys.includes(entry.projectKey));
+
+  core.info(`Starting LaunchDarkly Flag Expiry Rollback`);
+  core.info(`Journal: ${journalFile} (generated ${journal.generatedAt}, ${journal.entries.length} entries)`);
+  core.info(`Project: ${projectKeyInput}`);
+  core.info(`Patch format: ${patchFormat}`);
+  if (dryRun) {
+    core.info('Dry run: enabled (no changes will be made)');
+  }
+
+  const results = await rollbackJournal(client, entries, { dryRun, patchFormat, concurrency: maxConcurrency });
+
+  core.info(`\nRollback Summary:`);
+  core.info(`Journal entries: ${entries.length}`);
+  core.info(`${dryRun ? 'Planned restores' : 'Restored'}: ${results.restoredFlags.length}`);
+  core.info(`Failed to restore: ${results.failedFlags.length}`);
+  if (results.conflictedFlags.length > 0) {
+    core.info(`Conflicts (changed since the journaled run, not restored): ${results.conflictedFlags.length}`);
+  }
+
+  core.setOutput('restored_flags', JSON.stringify(results.restoredFlags));
+  core.setOutput('failed_flags', JSON.stringify(results.failedFlags));
+  core.setOutput('conflicted_flags', JSON.stringify(results.conflictedFlags));
+  core.setOutput('total_processed', results.totalProcessed.toString());
+  core.setOutput('dry_run', dryRun.toString());
+
+  core.summary.addHeading('LaunchDarkly Flag Expiry Rollback Results');
+  core.summary.addRaw(`**Journal:** ${journalFile} (generated ${journal.generatedAt})\n`);
+  core.summary.addRaw(`**Dry Run:** ${dryRun}\n\n`);
+  core.summary.addRaw(`**Journal Entries:** ${entries.length}\n`);
+  core.summary.addRaw(`**${dryRun ? 'Planned Restores' : 'Restored'}:** ${results.restoredFlags.length}\n`);
+  core.summary.addRaw(`**Failed:** ${results.failedFlags.length}\n`);
+  core.summary.addRaw(`**Conflicts:** ${results.conflictedFlags.length}\n\n`);
+  if (results.restoredFlags.length > 0) {
+    const restoredTable = [['Project', 'Flag Key', 'Property', 'Current Value', 'Restored Value']];
+    results.restoredFlags.forEach(flag => {
+      restoredTable.push([flag.projectKey, flag.key, flag.customPropertyName, flag.currentValue, flag.restoredValue || '(removed)']);
+    });
+    core.summary.addTable(restoredTable);
+  }
+  if (results.failedFlags.length > 0 || results.conflictedFlags.length > 0) {
+    const failedTable = [['Project', 'Flag Key', 'Error']];
+    [...results.failedFlags, ...results.conflictedFlags].forEach(flag => {
+      failedTable.push([flag.projectKey, flag.key, flag.error]);
+    });
+    core.summary.addTable(failedTable);
+  }
+  await core.summary.write();
+
+  if (results.failedFlags.length > 0) {
+    core.setFailed(`Failed to restore ${results.failedFlags.length} out of ${results.totalProcessed} flags`);
+  }
+  if (results.conflictedFlags.length > 0) {
+    core.warning(`${results.conflictedFlags.length} flags were changed after the journaled run and were not restored`);
+  }
+}
+
+/**
+ * Audit existing expiry values and optionally rewrite them into the configured date format (mode: normalize)
+ */
+async function runNormalize(client, projectKeyInput, settings) {
+  const { customPropertyName, dateFormat, timeZone, selection, rewrite, patchFormat, maxConcurrency, journalFile } = settings;
+
+  core.info(`Starting LaunchDarkly Flag Expiry Normalizer`);
+  core.info(`Project: ${projectKeyInput}`);
+  core.info(`Custom property: ${customPropertyName}`);
+  core.info(`Date format: ${dateFormat}`);
+  core.info(`Time zone: ${timeZone}`);
+  core.info(`Rewrite values: ${rewrite}`);
+
+  const projectKeys = await resolveProjectKeys(client, projectKeyInput);
+  const totals = {
+    totalFound: 0,
+    validValues: 0,
+    normalizedFlags: [],
+    invalidValues: [],
+    failedFlags: [],
+    conflictedFlags: []
+  };
+  const failedProjects = [];
 
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
+  for (const projectKey of projectKeys) {
+    core.info(`\nProcessing project: ${projectKey}`);
     try {
-      const url = `https://app.launchdarkly.com/api/v2/flags/${projectKey}?limit=${limit}&offset=${offset}`;
-      
-      core.debug(`Fetching flags: offset=${offset}, limit=${limit}`);
-      const response = await fetchWithRetry(url, {
-        headers: {
-          'Authorization': apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
+      const flags = await getAllFeatureFlags(client, projectKey);
+      const selected = flags.filter(flag => !getSelectionExclusionReason(flag, selection));
+      totals.totalFound += flags.length;
 
-      const data = await response.json();
-      
-      // Track progress for large datasets
-      if (totalCount === null && data.totalCount) {
-        totalCount = data.totalCount;
-        core.info(`Found ${totalCount} total flags to process`);
-      }
-      
-      if (data.items && data.items.length > 0) {
-        flags.push(...data.items);
-        offset += limit;
-        
-        // Progress logging
-        const progress = totalCount ? `${flags.length}/${totalCount}` : flags.length;
-        core.info(`Retrieved ${progress} flags`);
-        
-        // If we got fewer items than the limit, we've reached the end
-        if (data.items.length < limit) {
-          core.debug(`Reached end of results (got ${data.items.length} < ${limit})`);
-          break;
-        }
-      } else {
-        core.debug('No items returned, ending pagination');
-        break;
-      }
+      const results = await normalizeExistingValues(client, projectKey, selected, customPropertyName, dateFormat, {
+        timeZone,
+        rewrite,
+        patchFormat,
+        concurrency: maxConcurrency
+      });
+      totals.validValues += results.validValues;
+      totals.normalizedFlags.push(...results.normalizedFlags);
+      totals.invalidValues.push(...results.invalidValues);
+      totals.failedFlags.push(...results.failedFlags);
+      totals.conflictedFlags.push(...results.conflictedFlags);
     } catch (error) {
-      throw new Error(`Failed to fetch flags at offset ${offset}: ${error.message}`);
+      failedProjects.push({ projectKey, error: error.message });
+      core.error(`Project ${projectKey} failed: ${error.message}`);
     }
   }
 
-    core.info(`Successfully retrieved ${flags.length} total flags`);
-  return flags;
+  core.info(`\nNormalize Summary:`);
+  core.info(`Total flags found: ${totals.totalFound}`);
+  core.info(`Values already in ${dateFormat}: ${totals.validValues}`);
+  core.info(`Values in another format: ${totals.normalizedFlags.length}${rewrite ? ' (rewritten)' : ''}`);
+  core.info(`Invalid values: ${totals.invalidValues.length}`);
+
+  // Record the values replaced by the rewrites so they can be rolled back with mode: rollback
+  let journalFilePath = '';
+  if (rewrite) {
+    const rewrittenFlags = totals.normalizedFlags
+      .filter(flag => flag.rewritten)
+      .map(flag => ({ ...flag, operation: 'replace', propertyValue: flag.normalizedValue }));
+    journalFilePath = writeJournalFile(journalFile, {
+      baseUrl: client.baseUrl,
+      projectKeys,
+      customPropertyName
+    }, rewrittenFlags);
+    core.info(`Journal of ${rewrittenFlags.length} changes written to ${journalFilePath}`);
+  }
+
+  core.setOutput('normalized_flags', JSON.stringify(totals.normalizedFlags));
+  core.setOutput('invalid_values', JSON.stringify(totals.invalidValues));
+  core.setOutput('failed_flags', JSON.stringify(totals.failedFlags));
+  core.setOutput('conflicted_flags', JSON.stringify(totals.conflictedFlags));
+  core.setOutput('failed_projects', JSON.stringify(failedProjects));
+  core.setOutput('total_found', totals.totalFound.toString());
+  core.setOutput('journal_file', journalFilePath);
+
+  core.summary.addHeading('LaunchDarkly Flag Expiry Normalizer Results');
+  core.summary.addRaw(`**Projects:** ${projectKeys.join(', ')}\n`);
+  core.summary.addRaw(`**Custom Property:** ${customPropertyName}\n`);
+  core.summary.addRaw(`**Date Format:** ${dateFormat}\n`);
+  core.summary.addRaw(`**Time Zone:** ${timeZone}\n`);
+  core.summary.addRaw(`**Rewrite Values:** ${rewrite}\n\n`);
+  core.summary.addRaw(`**Values Already Valid:** ${totals.validValues}\n`);
+  core.summary.addRaw(`**Values in Another Format:** ${totals.normalizedFlags.length}\n`);
+  core.summary.addRaw(`**Invalid Values:** ${totals.invalidValues.length}\n`);
+  core.summary.addRaw(`**Failed:** ${totals.failedFlags.length}\n\n`);
+  if (totals.normalizedFlags.length > 0) {
+    core.summary.addHeading('Values in Another Format', 3);
+    const normalizedTable = [['Project', 'Flag Key', 'Current Value', 'Detected Format', 'Normalized Value', 'Rewritten']];
+    totals.normalizedFlags.forEach(flag => {
+      normalizedTable.push([flag.projectKey, flag.key, flag.previousValue, flag.detectedFormat, flag.normalizedValue, flag.rewritten ? 'yes' : 'no']);
+    });
+    core.summary.addTable(normalizedTable);
+  }
+  if (totals.invalidValues.length > 0) {
+    core.summary.addHeading('Invalid Values', 3);
+    const invalidTable = [['Project', 'Flag Key', 'Value', 'Reason']];
+    totals.invalidValues.forEach(flag => {
+      invalidTable.push([flag.projectKey, flag.key, flag.value, flag.reason]);
+    });
+    core.summary.addTable(invalidTable);
+  }
+  await core.summary.write();
+
+  const failures = [];
+  if (failedProjects.length > 0) {
+    failures.push(`Failed to process ${failedProjects.length} out of ${projectKeys.length} projects`);
+  }
+  if (totals.failedFlags.length > 0) {
+    failures.push(`Failed to rewrite ${totals.failedFlags.length} flags`);
+  }
+  if (failures.length > 0) {
+    core.setFailed(failures.join('. '));
+  }
+  if (totals.invalidValues.length > 0) {
+    core.warning(`${totals.invalidValues.length} flags have a ${customPropertyName} value that is not a date in any supported format`);
+  }
 }
 
 /**
- * Get a specific feature flag from LaunchDarkly API
+ * Report expired, soon-to-expire, healthy and missing expiry values without changing flags (mode: audit)
  */
-async function getFeatureFlag(apiKey, projectKey, flagKey) {
-  const url = `https://app.launchdarkly.com/api/v2/flags/${projectKey}/${flagKey}`;
-  
-  core.debug(`Fetching flag: ${flagKey}`);
-  
-  try {
-    const response = await fetchWithRetry(url, {
-      headers: {
-        'Authorization': apiKey,
-        'Content-Type': 'application/json'
-      }
-    });
+async function runAudit(client, projectKeyInput, settings) {
+  const { customPropertyName, dateFormat, timeZone, valueTemplate, expiringWithinDays, issues, codeReferences, notification, selection, dryRun = false } = settings;
 
-    return await response.json();
-  } catch (error) {
-    if (error.message.includes('HTTP 404')) {
-      return null; // Flag not found
+  core.info(`Starting LaunchDarkly Flag Expiry Audit`);
+  core.info(`Project: ${projectKeyInput}`);
+  core.info(`Custom property: ${customPropertyName}`);
+  if (valueTemplate) {
+    core.info(`Value template: ${valueTemplate.source}`);
+  }
+  core.info(`Date format: ${dateFormat}`);
+  core.info(`Time zone: ${timeZone}`);
+  core.info(`Expiring within: ${expiringWithinDays} days`);
+  if (issues) {
+    core.info(`GitHub issues: ${issues.mode} flags (labels: ${issues.labels.join(', ') || 'none'})`);
+  }
+  if (codeReferences) {
+    core.info(`Code references: ${codeReferences.include.join(', ')}`);
+  }
+  if (notification) {
+    core.info(`Webhook notification: ${notification.type} (${notification.on})`);
+  }
+
+  const projectKeys = await resolveProjectKeys(client, projectKeyInput);
+  const audit = createAuditResult();
+  let totalFound = 0;
+  const failedProjects = [];
+
+  for (const projectKey of projectKeys) {
+    core.info(`\nProcessing project: ${projectKey}`);
+    try {
+      const flags = await getAllFeatureFlags(client, projectKey);
+      const selected = flags.filter(flag => !getSelectionExclusionReason(flag, selection));
+      totalFound += flags.length;
+      mergeAuditResults(audit, auditExpiryValues(projectKey, selected, customPropertyName, dateFormat, { timeZone, valueTemplate, expiringWithinDays }));
+    } catch (error) {
+      failedProjects.push({ projectKey, error: error.message });
+      core.error(`Project ${projectKey} failed: ${error.message}`);
     }
-    throw error;
+  }
+
+  core.info(`\nAudit Summary:`);
+  core.info(`Total flags found: ${totalFound}`);
+  logAuditResult(audit, expiringWithinDays);
+  if (codeReferences) {
+    attachCodeReferences(audit, codeReferences);
+  }
+  const issueResults = issues ? await syncGitHubIssues(client, audit, { issues, customPropertyName, projectKeys, dryRun }) : [];
+
+  setAuditOutputs(audit);
+  core.setOutput('failed_projects', JSON.stringify(failedProjects));
+  core.setOutput('total_found', totalFound.toString());
+
+  core.summary.addHeading('LaunchDarkly Flag Expiry Audit Results');
+  core.summary.addRaw(`**Projects:** ${projectKeys.join(', ')}\n`);
+  core.summary.addRaw(`**Custom Property:** ${customPropertyName}\n`);
+  core.summary.addRaw(`**Date Format:** ${dateFormat}\n`);
+  core.summary.addRaw(`**Time Zone:** ${timeZone}\n\n`);
+  core.summary.addRaw(`**Total Flags Found:** ${totalFound}\n`);
+  addAuditSummary(audit, expiringWithinDays, projectKeys.length > 1);
+  addIssueSummary(issueResults);
+  await core.summary.write();
+
+  if (notification) {
+    await notifyWebhook(client, notification, { expired: audit.expired, expiring: audit.expiring }, { projectKeys, dryRun });
+  }
+
+  const failures = [];
+  if (failedProjects.length > 0) {
+    failures.push(`Failed to process ${failedProjects.length} out of ${projectKeys.length} projects`);
+  }
+  const failedIssues = issueResults.filter(result => result.action === 'failed');
+  if (failedIssues.length > 0) {
+    failures.push(`Failed to sync ${failedIssues.length} GitHub issues`);
+  }
+  if (failures.length > 0) {
+    core.setFailed(failures.join('. '));
+  }
+  if (audit.expired.length > 0) {
+    core.warning(`${audit.expired.length} flags are past their ${customPropertyName}`);
   }
 }
 
 /**
- * Set a custom property on a feature flag
+ * Check the lines added by a pull request for references to expired flags (mode: pr-check)
+ * Flag keys are found with code_reference_patterns and looked up in each project; references to
+ * expired flags are annotated on the diff and fail the check unless fail_on_expired_references is false
  */
-async function setCustomProperty(apiKey, projectKey, flagKey, propertyName, propertyValue, hasExistingProperty = false) {
-  const url = `https://app.launchdarkly.com/api/v2/flags/${projectKey}/${flagKey}`;
-  
-  // Use 'replace' if property exists, 'add' if it doesn't
-  const operation = hasExistingProperty ? 'replace' : 'add';
-  
-  // Prepare the JSON patch operation to set the custom property
-  // Using standard JSON patch format with correct "value" field
-  const patchData = {
-    patch: [
-      {
-        op: operation,
-        path: `/customProperties/${propertyName}`,
-        value: {
-          name: propertyName,
-          value: [propertyValue]  // Note: "value" not "values" for JSON Patch format
-        }
-      }
-    ]
-  };
+async function runPrCheck(client, projectKeyInput, settings) {
+  const { customPropertyName, dateFormat, timeZone, valueTemplate, codeReferences, githubToken, failOnExpired } = settings;
 
-  core.info(`Setting custom property ${propertyName} = ${propertyValue} on flag: ${flagKey} (operation: ${operation})`);
-  
-  try {
-    const response = await fetchWithRetry(url, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(patchData)
+  core.info(`Starting LaunchDarkly Flag Expiry PR Check`);
+  core.info(`Project: ${projectKeyInput}`);
+  core.info(`Custom property: ${customPropertyName}`);
+  if (valueTemplate) {
+    core.info(`Value template: ${valueTemplate.source}`);
+  }
+  core.info(`Date format: ${dateFormat}`);
+  core.info(`Time zone: ${timeZone}`);
+
+  const pullNumber = getPullRequestNumber();
+  if (!pullNumber) {
+    core.warning('No pull request in the event payload: mode pr-check only checks pull_request events');
+    return;
+  }
+
+  const projectKeys = await resolveProjectKeys(client, projectKeyInput);
+  const paths = createPathFilter(codeReferences.include, codeReferences.exclude);
+  const addedLines = (await listAddedLines(createIssueClient(githubToken), pullNumber)).filter(line => paths.matches(line.file));
+  const references = findReferencedKeys(addedLines, codeReferences.patterns);
+  core.info(`\nPull request #${pullNumber}: ${addedLines.length} added lines, ${references.length} flag references`);
+
+  const audit = createAuditResult();
+  for (const projectKey of projectKeys) {
+    const flags = await getReferencedFlags(client, projectKey, references);
+    mergeAuditResults(audit, auditExpiryValues(projectKey, flags, customPropertyName, dateFormat, { timeZone, valueTemplate }));
+  }
+
+  // Annotate each added line that references an expired flag
+  const annotate = failOnExpired ? core.error : core.warning;
+  audit.expired.forEach(entry => {
+    entry.codeReferences = references
+      .filter(reference => reference.flagKey === entry.key || (reference.camelKey && reference.camelKey === toCamelKey(entry.key)))
+      .map(({ file, line, text }) => ({ file, line, text }));
+    entry.codeReferences.forEach(reference => {
+      annotate(`Flag ${entry.key} expired on ${entry.expiryDate} and is due to be removed; avoid adding new references to it`, {
+        title: 'Expired feature flag',
+        file: reference.file,
+        startLine: reference.line
+      });
     });
+  });
 
-    const responseData = await response.json();
-    return responseData;
-  } catch (error) {
-    // Safely extract error message
-    let errorMessage;
-    if (error instanceof Error) {
-      errorMessage = error.message;
-    } else if (typeof error === 'string') {
-      errorMessage = error;
-    } else if (error && error.message) {
-      errorMessage = error.message;
-    } else {
-      errorMessage = `Unknown error occurred while setting custom property on flag ${flagKey}`;
+  core.setOutput('expired_flags', JSON.stringify(audit.expired));
+  core.setOutput('total_expired', audit.expired.length.toString());
+
+  core.summary.addHeading('LaunchDarkly Flag Expiry PR Check');
+  core.summary.addRaw(`**Pull Request:** #${pullNumber}\n`);
+  core.summary.addRaw(`**Projects:** ${projectKeys.join(', ')}\n`);
+  core.summary.addRaw(`**Added Lines:** ${addedLines.length}\n`);
+  core.summary.addRaw(`**Flag References:** ${references.length}\n`);
+  core.summary.addRaw(`**Expired Flags Referenced:** ${audit.expired.length}\n\n`);
+  if (audit.expired.length > 0) {
+    const multiProject = projectKeys.length > 1;
+    const row = (projectKey, cells) => (multiProject ? [projectKey, ...cells] : cells);
+    core.summary.addHeading('References to Expired Flags', 3);
+    const expiredTable = [row('Project', ['Flag Key', 'Expiry Date', 'Maintainer', 'Location'])];
+    audit.expired.forEach(flag => {
+      flag.codeReferences.forEach(reference => {
+        expiredTable.push(row(flag.projectKey, [flag.key, flag.expiryDate, flag.maintainer || '-', `${reference.file}:${reference.line}`]));
+      });
+    });
+    core.summary.addTable(expiredTable);
+  }
+  await core.summary.write();
+
+  if (audit.expired.length === 0) {
+    core.info('No added lines reference an expired flag');
+  } else if (failOnExpired) {
+    core.setFailed(`New code references ${audit.expired.length} expired flags: ${audit.expired.map(entry => entry.key).join(', ')}`);
+  }
+}
+
+/**
+ * Fetch the flags of a project that code references point at
+ * Keys are looked up one by one; camel-cased keys are matched against the project's flag list,
+ * which is only fetched when there are any
+ */
+async function getReferencedFlags(client, projectKey, references) {
+  const flags = new Map();
+  const flagKeys = [...new Set(references.filter(reference => reference.flagKey).map(reference => reference.flagKey))];
+  for (const flagKey of flagKeys) {
+    const flag = await getFeatureFlag(client, projectKey, flagKey);
+    if (flag) {
+      flags.set(flag.key, flag);
     }
-    
-    // Add more context to the error
-    if (errorMessage.includes('HTTP 401')) {
-      throw new Error(`${errorMessage} Please check your API key has WRITE permissions.`);
-    } else if (errorMessage.includes('HTTP 404')) {
-      throw new Error(`${errorMessage} Flag '${flagKey}' may not exist in project '${projectKey}'.`);
+  }
+
+  const camelKeys = new Set(references.filter(reference => reference.camelKey).map(reference => reference.camelKey));
+  if (camelKeys.size > 0) {
+    const allFlags = await getAllFeatureFlags(client, projectKey);
+    allFlags.filter(flag => camelKeys.has(toCamelKey(flag.key))).forEach(flag => flags.set(flag.key, flag));
+  }
+  return [...flags.values()];
+}
+
+/**
+ * Resolve the project_key input into a list of project keys
+ * Accepts a single key, a comma/newline separated list, or "*" for every project in the account
+ */
+async function resolveProjectKeys(client, projectKeyInput) {
+  const projectKeys = parseListInput(projectKeyInput);
+
+  if (projectKeys.includes('*')) {
+    if (projectKeys.length > 1) {
+      throw new Error('project_key "*" cannot be combined with other project keys');
     }
-    
-    throw new Error(errorMessage);
+    const projects = await getAllProjects(client);
+    if (projects.length === 0) {
+      throw new Error('No projects found for this API key');
+    }
+    return projects.map(project => project.key);
+  }
+
+  // Remove duplicates while preserving order
+  return [...new Set(projectKeys)];
+}
+
+/**
+ * Fetch, filter and process the flags of a single project
+ * Errors are captured in the returned result so other projects can still be processed
+ */
+async function processProject(client, projectKey, settings) {
+  const { customPropertyName, daysFromCreation, dateFormat, timeZone, calendar, valueTemplate, additionalProperties, runId, audit, expiringWithinDays, skipExisting, existingValueStrategy, extensionDays, selection, dryRun, policy, expiryAnchor, environment, maxConcurrency, patchFormat, approvalMode } = settings;
+
+  const projectResult = {
+    projectKey,
+    status: 'success',
+    error: null,
+    totalFound: 0,
+    totalProcessed: 0,
+    updatedFlags: [],
+    plannedChanges: [],
+    failedFlags: [],
+    conflictedFlags: [],
+    approvalRequests: [],
+    flagsSkipped: [],
+    audit: null
+  };
+
+  core.info(`\nProcessing project: ${projectKey}`);
+
+  try {
+    // Fetch all flags with proper pagination/throttling
+    // Environment-based anchors need the full environment configuration rather than the summary
+    const allFlags = await getAllFeatureFlags(client, projectKey, {
+      summary: !['last_modified', 'first_rollout_to_100'].includes(expiryAnchor)
+    });
+    projectResult.totalFound = allFlags.length;
+
+    // Filter flags that need expiry dates
+    const { flagsToProcess, flagsSkipped } = filterFlagsNeedingExpiry(allFlags, customPropertyName, skipExisting, selection, expiryAnchor);
+    projectResult.flagsSkipped = flagsSkipped.map(flag => ({ projectKey, ...flag }));
+
+    // Process flags in batches
+    if (flagsToProcess.length > 0) {
+      // Decide whether changes go through approval requests in this project
+      let useApprovals = approvalMode === 'always';
+      if (approvalMode === 'when_required') {
+        useApprovals = await environmentRequiresApproval(client, projectKey, environment.key);
+        core.info(`Approvals required in ${environment.key}: ${useApprovals ? 'yes' : 'no'}`);
+      }
+
+      const results = await processFlagsInBatches(
+        flagsToProcess, 
+        client, 
+        projectKey, 
+        customPropertyName, 
+        daysFromCreation, 
+        dateFormat,
+        { dryRun, policy, expiryAnchor, environment, concurrency: maxConcurrency, patchFormat, approvalMode, useApprovals, existingValueStrategy, extensionDays, timeZone, calendar, valueTemplate, additionalProperties, runId }
+      );
+
+      // In dry-run mode the "updated" flags are only planned changes
+      if (dryRun) {
+        projectResult.plannedChanges = results.updatedFlags.map(buildPlanEntry);
+      } else {
+        projectResult.updatedFlags = results.updatedFlags;
+      }
+      projectResult.failedFlags = results.failedFlags;
+      projectResult.conflictedFlags = results.conflictedFlags;
+      projectResult.approvalRequests = results.approvalRequests;
+      // Flags left unchanged by the existing value strategy
+      projectResult.flagsSkipped.push(...results.skippedFlags);
+      projectResult.totalProcessed = results.totalProcessed;
+    }
+
+    if (audit) {
+      // Audit the values as they are after this run, from the flags already fetched
+      const writtenValues = new Map(projectResult.updatedFlags.map(result => [result.key, result.propertyValue]));
+      const auditedFlags = allFlags
+        .filter(flag => !getSelectionExclusionReason(flag, selection))
+        .map(flag => (writtenValues.has(flag.key) ? withPropertyValue(flag, customPropertyName, writtenValues.get(flag.key)) : flag));
+      projectResult.audit = auditExpiryValues(projectKey, auditedFlags, customPropertyName, dateFormat, { timeZone, valueTemplate, expiringWithinDays });
+    }
+  } catch (error) {
+    projectResult.status = 'failed';
+    projectResult.error = error.message;
+    core.error(`Project ${projectKey} failed: ${error.message}`);
+  }
+
+  return projectResult;
+}
+
+/**
+ * Combine per-project results into totals for the action outputs
+ */
+function aggregateProjectResults(projectResults) {
+  return projectResults.reduce((totals, result) => {
+    totals.totalFound += result.totalFound;
+    totals.totalProcessed += result.totalProcessed;
+    totals.updatedFlags.push(...result.updatedFlags);
+    totals.plannedChanges.push(...result.plannedChanges);
+    totals.failedFlags.push(...result.failedFlags);
+    totals.conflictedFlags.push(...result.conflictedFlags);
+    totals.approvalRequests.push(...result.approvalRequests);
+    totals.flagsSkipped.push(...result.flagsSkipped);
+    if (result.audit) {
+      totals.audit = mergeAuditResults(totals.audit || createAuditResult(), result.audit);
+    }
+    return totals;
+  }, {
+    totalFound: 0,
+    totalProcessed: 0,
+    updatedFlags: [],
+    plannedChanges: [],
+    failedFlags: [],
+    conflictedFlags: [],
+    approvalRequests: [],
+    flagsSkipped: [],
+    audit: null
+  });
+}
+
+/**
+ * Reduce a project result to counts for the project_results output
+ */
+function summarizeProjectResult(result) {
+  return {
+    projectKey: result.projectKey,
+    status: result.status,
+    error: result.error,
+    totalFound: result.totalFound,
+    totalProcessed: result.totalProcessed,
+    updated: result.updatedFlags.length,
+    planned: result.plannedChanges.length,
+    failed: result.failedFlags.length,
+    conflicted: result.conflictedFlags.length,
+    approvalRequests: result.approvalRequests.length,
+    skipped: result.flagsSkipped.length,
+    ...(result.audit ? { expired: result.audit.expired.length, expiring: result.audit.expiring.length } : {})
+  };
+}
+
+/**
+ * Write the job summary for all processed projects
+ */
+async function writeJobSummary(settings, projectResults, totals) {
+  const { customPropertyName, daysFromCreation, dateFormat, timeZone, calendar, holidayCalendarFile, valueTemplate, additionalProperties, existingValueStrategy, dryRun, policy, policyFile, expiryAnchor, environment, expiringWithinDays } = settings;
+  const multiProject = projectResults.length > 1;
+  // Prefix rows with the project key when more than one project was processed
+  const row = (projectKey, cells) => (multiProject ? [projectKey, ...cells] : cells);
+
+  core.summary.addHeading('LaunchDarkly Flag Expiry Setter Results');
+  core.summary.addRaw(`**Project${multiProject ? 's' : ''}:** ${projectResults.map(result => result.projectKey).join(', ')}\n`);
+  if (settings.baseUrl !== DEFAULT_BASE_URL) {
+    core.summary.addRaw(`**Base URL:** ${settings.baseUrl}\n`);
+  }
+  core.summary.addRaw(`**Days from Creation:** ${daysFromCreation}\n`);
+  core.summary.addRaw(`**Expiry Anchor:** ${expiryAnchor}\n`);
+  if (environment) {
+    core.summary.addRaw(`**Environment:** ${environment.key}\n`);
+  }
+  if (policy) {
+    core.summary.addRaw(`**Policy File:** ${policyFile} (${policy.rules.length} rules)\n`);
+  }
+  core.summary.addRaw(`**Custom Property:** ${customPropertyName}\n`);
+  if (valueTemplate) {
+    core.summary.addRaw(`**Value Template:** \`${valueTemplate.source}\`\n`);
+  }
+  if (additionalProperties && additionalProperties.length > 0) {
+    core.summary.addRaw(`**Additional Properties:** ${additionalProperties.map(property => `${property.name} = \`${property.template.source}\``).join(', ')}\n`);
+  }
+  core.summary.addRaw(`**Date Format:** ${dateFormat}\n`);
+  core.summary.addRaw(`**Time Zone:** ${timeZone}\n`);
+  core.summary.addRaw(`**Day Counting:** ${describeDayCounting(calendar, holidayCalendarFile)}\n`);
+  core.summary.addRaw(`**Existing Values:** ${existingValueStrategy}\n`);
+  core.summary.addRaw(`**Dry Run:** ${dryRun}\n\n`);
+  
+  core.summary.addRaw(`**Total Flags Found:** ${totals.totalFound}\n`);
+  core.summary.addRaw(`**Flags Skipped:** ${totals.flagsSkipped.length}\n`);
+  core.summary.addRaw(`**Flags Processed:** ${totals.totalProcessed}\n`);
+  if (dryRun) {
+    core.summary.addRaw(`**Planned Changes:** ${totals.plannedChanges.length}\n`);
+  } else {
+    core.summary.addRaw(`**Successfully Updated:** ${totals.updatedFlags.length}\n`);
+  }
+  core.summary.addRaw(`**Failed:** ${totals.failedFlags.length}\n`);
+  if (settings.approvalMode !== 'none') {
+    core.summary.addRaw(`**Approval Requests:** ${totals.approvalRequests.length}\n`);
+  }
+  core.summary.addRaw(`**Conflicts:** ${totals.conflictedFlags.length}\n\n`);
+
+  if (multiProject) {
+    core.summary.addHeading('Project Results', 3);
+    const projectTable = [['Project', 'Status', 'Found', 'Skipped', dryRun ? 'Planned' : 'Updated', 'Failed', 'Error']];
+    projectResults.forEach(result => {
+      projectTable.push([
+        result.projectKey,
+        result.status === 'failed' ? '❌ failed' : '✅ success',
+        String(result.totalFound),
+        String(result.flagsSkipped.length),
+        String(dryRun ? result.plannedChanges.length : result.updatedFlags.length),
+        String(result.failedFlags.length),
+        result.error || '-'
+      ]);
+    });
+    core.summary.addTable(projectTable);
+  }
+
+  if (totals.updatedFlags.length > 0) {
+    core.summary.addHeading('Successfully Updated Flags', 3);
+    const updatedTable = [row('Project', ['Flag Key', 'Flag Name', 'Creation Date', 'Expiry Date', 'Policy Rule'])];
+    totals.updatedFlags.forEach(flag => {
+      updatedTable.push(row(flag.projectKey, [flag.key, flag.name, flag.creationDate, flag.calculatedExpiryDate, flag.policyRule || '-']));
+    });
+    core.summary.addTable(updatedTable);
+  }
+
+  if (totals.plannedChanges.length > 0) {
+    core.summary.addHeading('Planned Changes (Dry Run)', 3);
+    const planTable = [row('Project', ['Flag Key', 'Flag Name', 'Operation', 'Current Value', 'New Value', 'Policy Rule'])];
+    totals.plannedChanges.forEach(change => {
+      planTable.push(row(change.projectKey, [change.key, change.name, change.operation, change.currentValue || '-', change.newValue, change.policyRule || '-']));
+    });
+    core.summary.addTable(planTable);
+  }
+
+  if (totals.flagsSkipped.length > 0) {
+    core.summary.addHeading('Skipped Flags', 3);
+    const skippedTable = [row('Project', ['Flag Key', 'Flag Name', 'Reason'])];
+    totals.flagsSkipped.slice(0, 20).forEach(flag => { // Limit to first 20 for readability
+      skippedTable.push(row(flag.projectKey, [flag.key, flag.name, flag.reason]));
+    });
+    core.summary.addTable(skippedTable);
+    
+    if (totals.flagsSkipped.length > 20) {
+      core.summary.addRaw(`\n*Showing first 20 of ${totals.flagsSkipped.length} skipped flags*\n`);
+    }
+  }
+
+  if (totals.failedFlags.length > 0) {
+    core.summary.addHeading('Failed Flags', 3);
+    const failedTable = [row('Project', ['Flag Key', 'Error'])];
+    totals.failedFlags.forEach(flag => {
+      failedTable.push(row(flag.projectKey, [flag.key, flag.error]));
+    });
+    core.summary.addTable(failedTable);
+  }
+
+  if (totals.approvalRequests.length > 0) {
+    core.summary.addHeading('Approval Requests', 3);
+    const approvalTable = [row('Project', ['Flag Key', 'Environment', 'Requested Expiry', 'Approval Request ID'])];
+    totals.approvalRequests.forEach(flag => {
+      approvalTable.push(row(flag.projectKey, [flag.key, flag.environmentKey, flag.calculatedExpiryDate, flag.approvalRequestId]));
+    });
+    core.summary.addTable(approvalTable);
+  }
+
+  if (totals.conflictedFlags.length > 0) {
+    core.summary.addHeading('Conflicted Flags (changed during the run)', 3);
+    const conflictedTable = [row('Project', ['Flag Key', 'Expected Value', 'Expected Version'])];
+    totals.conflictedFlags.forEach(flag => {
+      conflictedTable.push(row(flag.projectKey, [flag.key, flag.expectedValue || '(none)', flag.expectedVersion === null ? '-' : String(flag.expectedVersion)]));
+    });
+    core.summary.addTable(conflictedTable);
+  }
+
+  if (totals.audit) {
+    core.summary.addHeading('Expiry Audit', 2);
+    addAuditSummary(totals.audit, expiringWithinDays, multiProject);
+    addIssueSummary(totals.issueResults || []);
+  }
+
+  await core.summary.write();
+}
+
+/**
+ * Fetch all projects from LaunchDarkly API with pagination support
+ */
+async function getAllProjects(client) {
+  const api = toApiClient(client);
+
+  core.info('Fetching all projects from LaunchDarkly...');
+  const projects = await api.paginate('/api/v2/projects', { limit: 20, description: 'projects' });
+
+  core.info(`Successfully retrieved ${projects.length} projects`);
+  return projects;
+}
+
+/**
+ * Fetch all feature flags from LaunchDarkly API with pagination support
+ * Pass { summary: false } to include the full environment configuration (targeting, fallthrough, rules)
+ */
+async function getAllFeatureFlags(client, projectKey, options = {}) {
+  const { summary = true } = options;
+  const api = toApiClient(client);
+  let totalCount = null;
+
+  core.info('Fetching all feature flags from LaunchDarkly...');
+
+  const flags = await api.paginate(`/api/v2/flags/${projectKey}`, {
+    limit: 50, // LaunchDarkly API default
+    query: summary ? '' : '&summary=0',
+    description: 'flags',
+    onPage: (items, data) => {
+      // Track progress for large datasets
+      if (totalCount === null && data.totalCount) {
+        totalCount = data.totalCount;
+        core.info(`Found ${totalCount} total flags to process`);
+      }
+      const progress = totalCount ? `${items.length}/${totalCount}` : items.length;
+      core.info(`Retrieved ${progress} flags`);
+    }
+  });
+
+  core.info(`Successfully retrieved ${flags.length} total flags`);
+  return flags;
+}
+
+/**
+ * Get a specific feature flag from LaunchDarkly API
+ * Pass { env } to only include the configuration of that environment
+ */
+async function getFeatureFlag(client, projectKey, flagKey, options = {}) {
+  const { env } = options;
+  const api = toApiClient(client);
+  const query = env ? `?env=${encodeURIComponent(env)}` : '';
+  
+  core.debug(`Fetching flag: ${flagKey}`);
+  
+  try {
+    const response = await api.request(`/api/v2/flags/${projectKey}/${flagKey}${query}`);
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof LaunchDarklyApiError && error.status === 404) {
+      return null; // Flag not found
+    }
+    throw error;
+  }
+}
+
+/**
+ * JSON pointer to a custom property, escaped per RFC 6901 so names with ~ or / stay one segment
+ */
+function getCustomPropertyPath(propertyName) {
+  return `/customProperties/${String(propertyName).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Build JSON patch `test` operations that make a patch fail with a 409 if the flag changed
+ * The existing value is compared when replacing; when adding, the flag version is compared
+ */
+function buildPatchPreconditions(propertyName, hasExistingProperty, { expectedValue, expectedVersion } = {}) {
+  if (hasExistingProperty && expectedValue !== undefined && expectedValue !== null) {
+    return [{ op: 'test', path: `${getCustomPropertyPath(propertyName)}/value/0`, value: expectedValue }];
+  }
+  if (!hasExistingProperty && expectedVersion !== undefined && expectedVersion !== null) {
+    return [{ op: 'test', path: '/_version', value: expectedVersion }];
+  }
+  return [];
+}
+
+/**
+ * Build the semantic patch instruction that sets a single-value custom property
+ */
+function buildCustomPropertyInstruction(propertyName, propertyValue) {
+  return {
+    kind: 'replaceCustomProperties',
+    key: propertyName,
+    name: propertyName,
+    values: [propertyValue]
+  };
+}
+
+/**
+ * Build the preconditions for a patch that changes several properties at once
+ * Each replaced value is compared; the flag version is compared (once) when any property is added
+ */
+function buildChangePreconditions(changes, expectedVersion) {
+  const preconditions = [];
+  changes.forEach(change => {
+    buildPatchPreconditions(change.name, change.hasExisting, { expectedValue: change.expectedValue, expectedVersion })
+      .filter(precondition => !preconditions.some(existing => existing.path === precondition.path))
+      .forEach(precondition => preconditions.push(precondition));
+  });
+  return preconditions;
+}
+
+/**
+ * Semantic patches have no `test` operation, so re-fetch the flag and compare it with the snapshot
+ * changes lists the properties being written as { name, hasExisting, expectedValue }
+ * Throws a 409 LaunchDarklyApiError when the flag was changed
+ */
+async function assertFlagUnchanged(client, projectKey, flagKey, changes, { expectedVersion } = {}) {
+  const valueChecks = changes.filter(change => change.hasExisting && change.expectedValue !== undefined && change.expectedValue !== null);
+  const checkVersion = changes.some(change => !change.hasExisting) && expectedVersion !== undefined && expectedVersion !== null;
+  if (valueChecks.length === 0 && !checkVersion) {
+    return;
+  }
+
+  const current = await getFeatureFlag(client, projectKey, flagKey);
+  const changed = current && (
+    valueChecks.some(change => getExistingPropertyValue(current, change.name) !== change.expectedValue) ||
+    (checkVersion && current._version !== expectedVersion)
+  );
+  if (changed) {
+    throw new LaunchDarklyApiError('HTTP 409: Conflict. The resource was modified by another request.', {
+      status: 409,
+      statusText: 'Conflict',
+      code: 'conflict'
+    });
+  }
+}
+
+/**
+ * Set a custom property on a feature flag
+ * Pass { expectedValue, expectedVersion } from the flag snapshot to reject the update
+ * (HTTP 409) when the flag was changed since it was fetched
+ * Pass { patchFormat: 'semantic' } to send a semantic patch instead of a JSON patch
+ * Pass { additionalProperties: [{ name, value, previousValue }] } to set more properties in the same patch
+ * Pass { approvalMode: 'none' } to suggest approval_mode when the change requires approval
+ */
+async function setCustomProperty(client, projectKey, flagKey, propertyName, propertyValue, hasExistingProperty = false, options = {}) {
+  const { patchFormat = 'json', expectedValue, expectedVersion, additionalProperties = [], approvalMode = null } = options;
+  const api = toApiClient(client);
+  
+  const changes = [
+    { name: propertyName, value: propertyValue, hasExisting: hasExistingProperty, expectedValue },
+    ...additionalProperties.map(property => ({
+      name: property.name,
+      value: property.value,
+      hasExisting: property.previousValue !== null && property.previousValue !== undefined,
+      expectedValue: property.previousValue
+    }))
+  ];
+  // Use 'replace' if property exists, 'add' if it doesn't
+  const operation = hasExistingProperty ? 'replace' : 'add';
+  
+  let request;
+  if (patchFormat === 'semantic') {
+    request = {
+      headers: { 'Content-Type': SEMANTIC_PATCH_CONTENT_TYPE },
+      body: {
+        comment: `Set ${changes.map(change => change.name).join(', ')} (flag expiry setter)`,
+        instructions: changes.map(change => buildCustomPropertyInstruction(change.name, change.value))
+      }
+    };
+  } else {
+    // Prepare the JSON patch operations to set the custom properties
+    // Using standard JSON patch format with correct "value" field
+    request = {
+      headers: {},
+      body: {
+        patch: [
+          ...buildChangePreconditions(changes, expectedVersion),
+          ...changes.map(change => ({
+            op: change.hasExisting ? 'replace' : 'add',
+            path: getCustomPropertyPath(change.name),
+            value: {
+              name: change.name,
+              value: [change.value]  // Note: "value" not "values" for JSON Patch format
+            }
+          }))
+        ]
+      }
+    };
+  }
+
+  core.info(`Setting custom property ${propertyName} = ${propertyValue} on flag: ${flagKey} (operation: ${operation}, format: ${patchFormat})`);
+  if (additionalProperties.length > 0) {
+    core.info(`  with ${additionalProperties.map(property => `${property.name} = ${property.value}`).join(', ')}`);
+  }
+  
+  try {
+    if (patchFormat === 'semantic') {
+      await assertFlagUnchanged(api, projectKey, flagKey, changes, { expectedVersion });
+    }
+
+    const response = await api.request(`/api/v2/flags/${projectKey}/${flagKey}`, {
+      method: 'PATCH',
+      headers: request.headers,
+      body: JSON.stringify(request.body)
+    });
+
+    const responseData = await response.json();
+    return responseData;
+  } catch (error) {
+    // A retried PATCH fails its preconditions when an earlier attempt was applied but its response was lost,
+    // so a flag that already holds the new values was updated by this run
+    if (error instanceof LaunchDarklyApiError && error.status === 409 && error.attempts > 1) {
+      const current = await getFeatureFlag(api, projectKey, flagKey).catch(() => null);
+      if (current && changes.every(change => getExistingPropertyValue(current, change.name) === change.value)) {
+        core.info(`Flag ${flagKey} already holds the new values, an earlier attempt was applied`);
+        return current;
+      }
+    }
+    throw withFlagUpdateContext(error, projectKey, flagKey, `Unknown error occurred while setting custom property on flag ${flagKey}`, { approvalMode });
+  }
+}
+
+/**
+ * Remove a custom property from a feature flag
+ * Pass { expectedValue } to reject the update (HTTP 409) when the value changed since it was recorded
+ */
+async function removeCustomProperty(client, projectKey, flagKey, propertyName, options = {}) {
+  const { patchFormat = 'json', expectedValue } = options;
+  const api = toApiClient(client);
+
+  let request;
+  if (patchFormat === 'semantic') {
+    request = {
+      headers: { 'Content-Type': SEMANTIC_PATCH_CONTENT_TYPE },
+      body: {
+        comment: `Remove ${propertyName} (flag expiry setter)`,
+        instructions: [{ kind: 'removeCustomProperties', key: propertyName, values: [expectedValue] }]
+      }
+    };
+  } else {
+    request = {
+      headers: {},
+      body: {
+        patch: [
+          ...buildPatchPreconditions(propertyName, true, { expectedValue }),
+          { op: 'remove', path: getCustomPropertyPath(propertyName) }
+        ]
+      }
+    };
+  }
+
+  core.info(`Removing custom property ${propertyName} from flag: ${flagKey} (format: ${patchFormat})`);
+
+  try {
+    if (patchFormat === 'semantic') {
+      await assertFlagUnchanged(api, projectKey, flagKey, [{ name: propertyName, hasExisting: true, expectedValue }]);
+    }
+
+    const response = await api.request(`/api/v2/flags/${projectKey}/${flagKey}`, {
+      method: 'PATCH',
+      headers: request.headers,
+      body: JSON.stringify(request.body)
+    });
+    return await response.json();
+  } catch (error) {
+    throw withFlagUpdateContext(error, projectKey, flagKey, `Unknown error occurred while removing custom property from flag ${flagKey}`);
+  }
+}
+
+/**
+ * Get the message of a thrown value, which may be an Error (including LaunchDarklyApiError), a string or anything else
+ */
+function getErrorMessage(error, fallbackMessage = 'Unknown error occurred') {
+  if (error instanceof Error) {
+    return error.message;
+  }
+  if (typeof error === 'string') {
+    return error;
+  }
+  if (error && error.message) {
+    return error.message;
+  }
+  return fallbackMessage;
+}
+
+/**
+ * Add context for common failures to an error from a flag update
+ * Keeps the status, code and request ID of API errors
+ * approval_mode is only suggested when approvalMode is 'none' (in modes that support it, with approvals off)
+ */
+function withFlagUpdateContext(error, projectKey, flagKey, fallbackMessage, { approvalMode = null } = {}) {
+  let errorMessage = getErrorMessage(error, fallbackMessage);
+  
+  // Add more context to the error
+  if (errorMessage.includes('HTTP 401')) {
+    errorMessage = `${errorMessage} Please check your API key has WRITE permissions.`;
+  } else if (errorMessage.includes('HTTP 404')) {
+    errorMessage = `${errorMessage} Flag '${flagKey}' may not exist in project '${projectKey}'.`;
+  } else if (errorMessage.includes('HTTP 409')) {
+    errorMessage = `${errorMessage} Flag '${flagKey}' was changed after it was fetched, so it was not updated.`;
+  } else if (approvalMode === 'none' && /approval/i.test(errorMessage)) {
+    errorMessage = `${errorMessage} Changes to this flag require approval; set approval_mode to 'when_required' to create approval requests instead.`;
+  }
+  
+  if (error instanceof LaunchDarklyApiError) {
+    return new LaunchDarklyApiError(errorMessage, error);
+  }
+  return new Error(errorMessage);
+}
+
+/**
+ * Check whether changes in an environment require approval
+ */
+async function environmentRequiresApproval(client, projectKey, environmentKey) {
+  const api = toApiClient(client);
+  let environment;
+  try {
+    const response = await api.request(`/api/v2/projects/${projectKey}/environments/${encodeURIComponent(environmentKey)}`);
+    environment = await response.json();
+  } catch (error) {
+    const message = `Failed to fetch approval settings of environment '${environmentKey}': ${error.message}`;
+    throw error instanceof LaunchDarklyApiError ? new LaunchDarklyApiError(message, error) : new Error(message);
+  }
+  return Boolean(environment.approvalSettings && environment.approvalSettings.required);
+}
+
+/**
+ * Create an approval request that sets a custom property once it is approved and applied
+ * additionalProperties ([{ name, value }]) are set by the same request
+ * Returns the approval request ID
+ */
+async function createApprovalRequest(client, projectKey, flagKey, environmentKey, propertyName, propertyValue, additionalProperties = []) {
+  const api = toApiClient(client);
+  const changes = [{ name: propertyName, value: propertyValue }, ...additionalProperties];
+
+  core.info(`Requesting approval to set ${propertyName} = ${propertyValue} on flag: ${flagKey} (environment: ${environmentKey})`);
+
+  try {
+    // A repeated POST would open a second approval request, so only rate-limited attempts are retried
+    const response = await api.request(`/api/v2/projects/${projectKey}/flags/${flagKey}/environments/${encodeURIComponent(environmentKey)}/approval-requests`, {
+      method: 'POST',
+      idempotent: false,
+      body: JSON.stringify({
+        description: `Set ${changes.map(change => `${change.name} to ${change.value}`).join(', ')}`,
+        instructions: changes.map(change => buildCustomPropertyInstruction(change.name, change.value))
+      })
+    });
+    const approvalRequest = await response.json();
+    return approvalRequest._id;
+  } catch (error) {
+    const message = `Failed to create approval request for flag ${flagKey}: ${error.message}`;
+    throw error instanceof LaunchDarklyApiError ? new LaunchDarklyApiError(message, error) : new Error(message);
+  }
+}
+
+/**
+ * Calculate expiry date from creation date (or another anchor timestamp)
+ * Days are counted on the calendar of the given time zone, so the result doesn't depend on the runner's TZ
+ * calendar ({ businessDays, rollForward, holidays }) decides whether only working days count
+ * and whether an expiry on a weekend or holiday moves to the next working day
+ */
+function calculateExpiryFromCreation(flag, daysFromCreation, dateFormat, anchorTimestamp = flag.creationDate, timeZone = DEFAULT_TIME_ZONE, calendar = {}) {
+  // Parse the Unix timestamp (milliseconds)
+  const anchorDate = new Date(anchorTimestamp);
+  
+  // Validate the parsed date
+  if (isNaN(anchorDate.getTime())) {
+    const label = anchorTimestamp === flag.creationDate ? 'creation' : 'anchor';
+    throw new Error(`Invalid ${label} date for flag ${flag.key}: ${anchorTimestamp}`);
+  }
+  
+  // Calculate expiry date
+  const expiryDate = addExpiryDays(anchorDate, daysFromCreation, timeZone, calendar);
+  
+  // Format according to user preference
+  return formatDateToString(expiryDate, dateFormat, timeZone);
+}
+
+/**
+ * Return the start of the day the given number of calendar days after a date or timestamp
+ */
+function addDays(date, days, timeZone = DEFAULT_TIME_ZONE) {
+  return addCalendarDays(date, days, timeZone);
+}
+
+/**
+ * Add expiry days to a date, counting business days and rolling onto a working day when configured
+ */
+function addExpiryDays(date, days, timeZone = DEFAULT_TIME_ZONE, calendar = {}) {
+  const { businessDays = false, rollForward = false, holidays = null } = calendar;
+  const expiryDate = businessDays
+    ? addBusinessDays(date, days, timeZone, holidays)
+    : addDays(date, days, timeZone);
+  return rollForward ? rollToWorkingDay(expiryDate, timeZone, holidays) : expiryDate;
+}
+
+/**
+ * Describe how expiry days are counted, for logs and the job summary
+ */
+function describeDayCounting(calendar, holidayCalendarFile) {
+  const parts = [calendar.businessDays ? 'business days' : 'calendar days'];
+  if (calendar.rollForward) {
+    parts.push('weekend and holiday expiries move to the next working day');
+  }
+  if (calendar.holidays) {
+    parts.push(`${countHolidays(calendar.holidays)} holidays from ${holidayCalendarFile}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Check whether a flag environment serves a single variation to everyone
+ * (targeting on, no individual targets or rules, and a fallthrough without a percentage rollout)
+ */
+function isFullyRolledOut(environment) {
+  if (!environment || !environment.on || !environment.fallthrough) {
+    return false;
+  }
+
+  const hasTargets = (environment.targets || []).some(target => (target.values || []).length > 0) ||
+                     (environment.contextTargets || []).some(target => (target.values || []).length > 0);
+  const hasRules = (environment.rules || []).length > 0;
+  if (hasTargets || hasRules) {
+    return false;
+  }
+
+  const { variation, rollout } = environment.fallthrough;
+  if (variation !== undefined && variation !== null) {
+    return true;
+  }
+
+  // A percentage rollout with one variation at 100% also serves a single variation
+  return Boolean(rollout && rollout.variations &&
+                 rollout.variations.some(weighted => weighted.weight === 100000));
+}
+
+/**
+ * Classify the targeting state of a flag in an environment
+ * Returns { state, since } where state is off, fully_rolled_out or active_rollout
+ * and since is the last modification of the environment, or null if the environment is missing
+ */
+function getEnvironmentTargetingState(flag, environmentKey) {
+  const environment = flag.environments && flag.environments[environmentKey];
+  if (!environment) {
+    return null;
+  }
+
+  let state = 'active_rollout';
+  if (!environment.on) {
+    state = 'off';
+  } else if (isFullyRolledOut(environment)) {
+    state = 'fully_rolled_out';
+  }
+
+  return { state, since: environment.lastModified || null };
+}
+
+/**
+ * Adjust the expiry days and anchor for the flag's targeting state in an environment
+ * Fully rolled out flags expire rolledOutExpiryDays after the rollout (when that is earlier),
+ * flags still in active rollout get rolloutExtensionDays added
+ */
+function applyEnvironmentAdjustment(targeting, environment, days, anchorTimestamp, timeZone = DEFAULT_TIME_ZONE, calendar = {}) {
+  const { rolledOutExpiryDays, rolloutExtensionDays } = environment;
+
+  if (targeting.state === 'fully_rolled_out' && rolledOutExpiryDays && targeting.since) {
+    const rolledOutExpiry = addExpiryDays(targeting.since, rolledOutExpiryDays, timeZone, calendar);
+    if (rolledOutExpiry < addExpiryDays(anchorTimestamp, days, timeZone, calendar)) {
+      return { days: rolledOutExpiryDays, anchorTimestamp: targeting.since, adjustment: 'shortened' };
+    }
+  }
+
+  if (targeting.state === 'active_rollout' && rolloutExtensionDays) {
+    return { days: days + rolloutExtensionDays, anchorTimestamp, adjustment: 'extended' };
+  }
+
+  return { days, anchorTimestamp, adjustment: null };
+}
+
+/**
+ * Resolve the timestamp (milliseconds) that the expiry is calculated from
+ * Returns null when the flag has no data for the chosen anchor
+ */
+function resolveExpiryAnchor(flag, expiryAnchor = 'creation', timeZone = DEFAULT_TIME_ZONE) {
+  const environments = Object.values(flag.environments || {});
+
+  switch (expiryAnchor) {
+    case 'creation':
+      return flag.creationDate || null;
+    case 'last_modified': {
+      const timestamps = environments.map(environment => environment.lastModified).filter(Boolean);
+      return timestamps.length > 0 ? Math.max(...timestamps) : null;
+    }
+    case 'first_rollout_to_100': {
+      // LaunchDarkly does not expose rollout history on the flag, so the last modification
+      // of each fully rolled out environment is used as the time it reached 100%
+      const timestamps = environments
+        .filter(isFullyRolledOut)
+        .map(environment => environment.lastModified)
+        .filter(Boolean);
+      return timestamps.length > 0 ? Math.min(...timestamps) : null;
+    }
+    case 'now':
+      // Start of today in the time zone, from the same "today" the rest of the action uses
+      return parseDateString(getTodaysDate('YYYY-MM-DD', timeZone), 'YYYY-MM-DD', timeZone).getTime();
+    default:
+      throw new Error(`Unsupported expiry anchor: ${expiryAnchor}`);
+  }
+}
+
+/**
+ * Format Date object to string in specified format, using the calendar date in the time zone
+ * Throws for unsupported formats (see src/date-formats.js)
+ */
+function formatDateToString(date, format, timeZone = DEFAULT_TIME_ZONE) {
+  return getDateFormat(format).format(date, timeZone);
+}
+
+/**
+ * Get the current value of a custom property on a flag (null if not set)
+ */
+function getExistingPropertyValue(flag, propertyName) {
+  const property = flag.customProperties && flag.customProperties[propertyName];
+  if (!property || !property.value || property.value.length === 0) {
+    return null;
+  }
+  return property.value[0];
+}
+
+/**
+ * Get the key of the team that maintains a flag, or null
+ */
+function getFlagMaintainerTeam(flag) {
+  return (flag._maintainerTeam && flag._maintainerTeam.key) || flag.maintainerTeamKey || null;
+}
+
+/**
+ * Get the maintainer of a flag: the maintainer's email, else the maintainer team key, else null
+ */
+function getFlagMaintainer(flag) {
+  return (flag._maintainer && flag._maintainer.email) || getFlagMaintainerTeam(flag);
+}
+
+/**
+ * Return a copy of a flag with a custom property set to a value
+ */
+function withPropertyValue(flag, propertyName, value) {
+  return {
+    ...flag,
+    customProperties: { ...flag.customProperties, [propertyName]: { name: propertyName, value: [value] } }
+  };
+}
+
+/**
+ * Split a comma or newline separated input into a list of trimmed values
+ */
+function parseListInput(input) {
+  if (!input) {
+    return [];
+  }
+  return input
+    .split(/[,\n]/)
+    .map(value => value.trim())
+    .filter(value => value.length > 0);
+}
+
+/**
+ * Compile a flag key pattern into a RegExp
+ * Patterns wrapped in slashes (e.g. /^release-\d+$/i) are treated as regular expressions,
+ * anything else as a glob where * matches any characters and ? matches a single character
+ * The g and y flags are rejected: the RegExp is reused for every flag, and they carry lastIndex from one test to the next
+ */
+function compileKeyPattern(pattern, inputName = 'key pattern') {
+  if (!pattern) {
+    return null;
+  }
+
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    if (/[gy]/.test(regexMatch[2])) {
+      throw new Error(`Invalid ${inputName} value: ${pattern}. The g and y flags are not supported`);
+    }
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(`Invalid ${inputName} value: ${pattern}. ${error.message}`);
+    }
+  }
+
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Determine whether a flag is excluded by the tag and key pattern selection rules
+ * Returns the reason naming the rule that excluded the flag, or null if it is selected
+ */
+function getSelectionExclusionReason(flag, selection = {}) {
+  const {
+    includeTags = [],
+    excludeTags = [],
+    includeKeyPattern = '',
+    excludeKeyPattern = ''
+  } = selection;
+  const flagTags = flag.tags || [];
+
+  const excludedTags = excludeTags.filter(tag => flagTags.includes(tag));
+  if (excludedTags.length > 0) {
+    return `Excluded by exclude_tags (${excludedTags.join(', ')})`;
+  }
+
+  const excludePattern = compileKeyPattern(excludeKeyPattern, 'exclude_key_pattern');
+  if (excludePattern && excludePattern.test(flag.key)) {
+    return `Excluded by exclude_key_pattern (${excludeKeyPattern})`;
+  }
+
+  if (includeTags.length > 0 && !includeTags.some(tag => flagTags.includes(tag))) {
+    return `Not matched by include_tags (${includeTags.join(', ')})`;
+  }
+
+  const includePattern = compileKeyPattern(includeKeyPattern, 'include_key_pattern');
+  if (includePattern && !includePattern.test(flag.key)) {
+    return `Not matched by include_key_pattern (${includeKeyPattern})`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a days value from an input or policy rule
+ */
+function parseDaysValue(value, label) {
+  const days = typeof value === 'number' ? value : parseInt(value, 10);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw new Error(`Invalid ${label} value: ${value}. Must be a number between 1 and 365`);
+  }
+  return days;
+}
+
+/**
+ * Load and validate an expiry policy file (YAML or JSON)
+ * The file contains an ordered list of rules, either at the top level or under a "rules" key
+ */
+function loadExpiryPolicy(policyFile) {
+  const policyFilePath = resolveWorkspacePath(policyFile);
+
+  let content;
+  try {
+    content = fs.readFileSync(policyFilePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read policy file ${policyFile}: ${error.message}`);
+  }
+
+  let document;
+  try {
+    document = YAML.parse(content); // JSON is valid YAML
+  } catch (error) {
+    throw new Error(`Could not parse policy file ${policyFile}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(document) ? document : document && document.rules;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error(`Policy file ${policyFile} must contain a non-empty list of rules`);
+  }
+
+  return {
+    rules: rules.map((rule, index) => normalizePolicyRule(rule, index))
+  };
+}
+
+/**
+ * Validate a single policy rule and normalise its match conditions
+ */
+function normalizePolicyRule(rule, index) {
+  const label = `policy rule ${index + 1}`;
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid ${label}: must be an object`);
+  }
+
+  const name = rule.name ? String(rule.name) : `rule-${index + 1}`;
+  const days = parseDaysValue(rule.days, `days for ${label} (${name})`);
+  const match = rule.match || {};
+
+  const supportedConditions = ['tags', 'kind', 'temporary', 'maintainer', 'key_pattern'];
+  const unknownConditions = Object.keys(match).filter(condition => !supportedConditions.includes(condition));
+  if (unknownConditions.length > 0) {
+    throw new Error(`Unsupported match condition(s) in ${label} (${name}): ${unknownConditions.join(', ')}. Supported: ${supportedConditions.join(', ')}`);
+  }
+
+  if (match.kind !== undefined && !['boolean', 'multivariate'].includes(match.kind)) {
+    throw new Error(`Invalid kind in ${label} (${name}): ${match.kind}. Must be boolean or multivariate`);
+  }
+  if (match.temporary !== undefined && typeof match.temporary !== 'boolean') {
+    throw new Error(`Invalid temporary in ${label} (${name}): ${match.temporary}. Must be true or false`);
+  }
+
+  return {
+    name,
+    days,
+    match: {
+      tags: match.tags === undefined ? [] : [].concat(match.tags).map(String),
+      kind: match.kind,
+      temporary: match.temporary,
+      maintainer: match.maintainer === undefined ? undefined : String(match.maintainer),
+      keyPattern: match.key_pattern === undefined ? undefined : String(match.key_pattern),
+      keyRegExp: compileKeyPattern(match.key_pattern === undefined ? '' : String(match.key_pattern), `key_pattern in ${label} (${name})`)
+    }
+  };
+}
+
+/**
+ * Check whether a flag satisfies every condition of a policy rule
+ */
+function policyRuleMatches(rule, flag) {
+  const { tags, kind, temporary, maintainer, keyRegExp } = rule.match;
+  const flagTags = flag.tags || [];
+
+  if (tags.length > 0 && !tags.some(tag => flagTags.includes(tag))) {
+    return false;
+  }
+  if (kind !== undefined && flag.kind !== kind) {
+    return false;
+  }
+  if (temporary !== undefined && Boolean(flag.temporary) !== temporary) {
+    return false;
+  }
+  if (maintainer !== undefined) {
+    const flagMaintainers = [
+      flag.maintainerId,
+      flag.maintainerTeamKey,
+      flag._maintainer && flag._maintainer.email,
+      flag._maintainerTeam && flag._maintainerTeam.key
+    ].filter(Boolean);
+    if (!flagMaintainers.includes(maintainer)) {
+      return false;
+    }
+  }
+  if (keyRegExp && !keyRegExp.test(flag.key)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Resolve the number of days to use for a flag from the first matching policy rule
+ * Falls back to the days_from_creation input when there is no policy or no rule matches
+ */
+function resolveExpiryPolicy(flag, policy, defaultDays) {
+  if (policy) {
+    const rule = policy.rules.find(candidate => policyRuleMatches(candidate, flag));
+    if (rule) {
+      return { days: rule.days, rule: rule.name };
+    }
+  }
+  return { days: defaultDays, rule: null };
+}
+
+/**
+ * Parse the value_template input for the expiry property, or return null to store the bare date
+ * The template must contain {expiry} so the date can be read back from existing values
+ */
+function parseValueTemplate(input) {
+  if (!input || !input.trim()) {
+    return null;
+  }
+  const template = compileTemplate(input.trim(), PROPERTY_TEMPLATE_VARIABLES, 'value_template');
+  // The expiry date is read back from the first plain {expiry}, so it must be there
+  // and be separated from other placeholders by literal text
+  const index = template.parts.findIndex(part => typeof part !== 'string' && part.name === 'expiry' && part.offsetDays === 0);
+  if (index === -1) {
+    throw new Error(`Invalid value_template: "${template.source}" must contain {expiry} without a day offset`);
+  }
+  const isPlaceholder = part => part !== undefined && typeof part !== 'string';
+  if (isPlaceholder(template.parts[index - 1]) || isPlaceholder(template.parts[index + 1])) {
+    throw new Error(`Invalid value_template: "${template.source}" needs literal text between {expiry} and the placeholders next to it`);
+  }
+  return template;
+}
+
+/**
+ * Get the expiry date part of a stored expiry property value
+ * Values that don't match the value template are returned unchanged
+ */
+function readExpiryValue(value, valueTemplate) {
+  if (value === null || !valueTemplate) {
+    return value;
   }
+  const fields = valueTemplate.extract(value);
+  return fields && fields.expiry !== undefined ? fields.expiry : value;
 }
 
 /**
- * Calculate expiry date from creation date
+ * Parse the additional_properties input: a YAML (or JSON) list of { name, value } definitions
+ * Values are templates (see PROPERTY_TEMPLATE_VARIABLES) compiled here so mistakes fail before any API calls
  */
-function calculateExpiryFromCreation(flag, daysFromCreation, dateFormat) {
-  // Parse the Unix timestamp (milliseconds)
-  const creationDate = new Date(flag.creationDate);
-  
-  // Validate the parsed date
-  if (isNaN(creationDate.getTime())) {
-    throw new Error(`Invalid creation date for flag ${flag.key}: ${flag.creationDate}`);
+function parseAdditionalProperties(input, customPropertyName) {
+  if (!input || !input.trim()) {
+    return [];
   }
-  
-  // Calculate expiry date
-  const expiryDate = new Date(creationDate);
-  expiryDate.setDate(creationDate.getDate() + daysFromCreation);
-  
-  // Format according to user preference
-  return formatDateToString(expiryDate, dateFormat);
+
+  let definitions;
+  try {
+    definitions = YAML.parse(input); // JSON is valid YAML
+  } catch (error) {
+    throw new Error(`Could not parse additional_properties: ${error.message}`);
+  }
+  if (!Array.isArray(definitions)) {
+    throw new Error('additional_properties must be a list of { name, value } definitions');
+  }
+
+  const names = new Set([customPropertyName]);
+  return definitions.map((definition, index) => {
+    const label = `additional property ${index + 1}`;
+    if (!definition || typeof definition !== 'object' || typeof definition.name !== 'string' || !definition.name.trim()) {
+      throw new Error(`Invalid ${label}: must have a name and a value`);
+    }
+    const name = definition.name.trim();
+    if (names.has(name)) {
+      throw new Error(`Invalid ${label}: ${name} is already set by ${name === customPropertyName ? 'custom_property_name' : 'another additional property'}`);
+    }
+    names.add(name);
+    if (definition.value === undefined || definition.value === null || typeof definition.value === 'object') {
+      throw new Error(`Invalid ${label} (${name}): value must be a string template`);
+    }
+
+    return {
+      name,
+      template: compileTemplate(String(definition.value), PROPERTY_TEMPLATE_VARIABLES, `value of ${label} (${name})`)
+    };
+  });
 }
 
 /**
- * Format Date object to string in specified format
+ * Build the values for a flag's property templates
+ * Date variables render in the configured date format and time zone, shifted by the placeholder's day offset
  */
-function formatDateToString(date, format) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
+function buildTemplateValues(flag, { expiryDate, days, dateFormat, timeZone = DEFAULT_TIME_ZONE, policyRule = null, runId = null }) {
+  const formatShifted = date => offsetDays => formatDateToString(addDays(date, offsetDays, timeZone), dateFormat, timeZone);
 
-  switch (format.toUpperCase()) {
-    case 'MM/DD/YYYY':
-      return `${month}/${day}/${year}`;
-    case 'MM-DD-YYYY':
-      return `${month}-${day}-${year}`;
-    case 'YYYY-MM-DD':
-      return `${year}-${month}-${day}`;
-    case 'YYYY/MM/DD':
-      return `${year}/${month}/${day}`;
-    default:
-      return `${month}/${day}/${year}`; // Default to MM/DD/YYYY
-  }
+  return {
+    expiry: expiryDate ? formatShifted(expiryDate) : null,
+    created: flag.creationDate ? formatShifted(new Date(flag.creationDate)) : null,
+    days: String(days),
+    flagKey: flag.key,
+    flagName: flag.name,
+    maintainer: getFlagMaintainer(flag),
+    maintainerTeam: getFlagMaintainerTeam(flag),
+    tags: (flag.tags || []).join(','),
+    policyRule,
+    runId
+  };
+}
+
+/**
+ * Render the additional properties of a flag and return the ones that change
+ * Returns [{ customPropertyName, operation, previousValue, newValue }]; properties that render
+ * empty (e.g. {maintainerTeam} on a flag without a team) or already have the value are left out
+ */
+function resolveAdditionalProperties(flag, additionalProperties, templateValues) {
+  return additionalProperties
+    .map(property => {
+      const previousValue = getExistingPropertyValue(flag, property.name);
+      return {
+        customPropertyName: property.name,
+        operation: previousValue === null ? 'add' : 'replace',
+        previousValue,
+        newValue: property.template.render(templateValues).trim()
+      };
+    })
+    .filter(change => change.newValue !== '' && change.newValue !== change.previousValue);
 }
 
 /**
  * Filter flags that need expiry dates
  */
-function filterFlagsNeedingExpiry(flags, customPropertyName, skipExisting) {
+function filterFlagsNeedingExpiry(flags, customPropertyName, skipExisting, selection = {}, expiryAnchor = 'creation') {
   const flagsToProcess = [];
   const flagsSkipped = [];
   
   core.info(`Filtering flags that need expiry dates...`);
   
   for (const flag of flags) {
+    // Apply tag and key pattern selection rules
+    const exclusionReason = getSelectionExclusionReason(flag, selection);
+    if (exclusionReason) {
+      flagsSkipped.push({
+        key: flag.key,
+        name: flag.name,
+        reason: exclusionReason
+      });
+      continue;
+    }
+    
     // Check if flag already has the custom property
-    const hasExpiryProperty = flag.customProperties && 
-                             flag.customProperties[customPropertyName] &&
-                             flag.customProperties[customPropertyName].value &&
-                             flag.customProperties[customPropertyName].value.length > 0;
+    const existingValue = getExistingPropertyValue(flag, customPropertyName);
     
-    if (hasExpiryProperty && skipExisting) {
+    if (existingValue !== null && skipExisting) {
       flagsSkipped.push({
         key: flag.key,
         name: flag.name,
         reason: `Already has ${customPropertyName}`,
-        existingValue: flag.customProperties[customPropertyName].value[0]
+        existingValue: existingValue
       });
       continue;
     }
@@ -461,6 +2208,16 @@ function filterFlagsNeedingExpiry(flags, customPropertyName, skipExisting) {
       });
       continue;
     }
+
+    // Flags without data for the chosen anchor (e.g. never rolled out) don't get an expiry yet
+    if (expiryAnchor !== 'creation' && resolveExpiryAnchor(flag, expiryAnchor) === null) {
+      flagsSkipped.push({
+        key: flag.key,
+        name: flag.name,
+        reason: `No ${expiryAnchor} date available`
+      });
+      continue;
+    }
     
     flagsToProcess.push(flag);
   }
@@ -469,55 +2226,202 @@ function filterFlagsNeedingExpiry(flags, customPropertyName, skipExisting) {
   return { flagsToProcess, flagsSkipped };
 }
 
+/**
+ * Decide the value to set for a flag that may already have an expiry value
+ * Returns { value, branch, skipReason } where skipReason is set when the flag should be left unchanged
+ */
+function applyExistingValueStrategy(existingValue, calculatedValue, dateFormat, { strategy = 'overwrite', extensionDays = null, timeZone = DEFAULT_TIME_ZONE, calendar = {} } = {}) {
+  if (existingValue === null) {
+    return { value: calculatedValue, branch: 'no_existing_value', skipReason: null };
+  }
+  if (strategy === 'skip') {
+    return { value: null, branch: 'skipped', skipReason: `Already has a value (${existingValue})` };
+  }
+  if (strategy === 'overwrite') {
+    return { value: calculatedValue, branch: 'overwritten', skipReason: null };
+  }
+
+  // The remaining strategies work from the existing date
+  const existingDate = parseDateString(existingValue, dateFormat, timeZone);
+  if (!existingDate) {
+    return { value: null, branch: 'invalid_existing_value', skipReason: `Existing value '${existingValue}' is not a valid ${dateFormat} date` };
+  }
+
+  if (strategy === 'extend_by_days') {
+    const extendedDate = addExpiryDays(existingDate, extensionDays, timeZone, calendar);
+    return { value: formatDateToString(extendedDate, dateFormat, timeZone), branch: 'extended', skipReason: null };
+  }
+
+  const calculatedDate = parseDateString(calculatedValue, dateFormat, timeZone);
+  if (strategy === 'only_if_earlier') {
+    return calculatedDate < existingDate
+      ? { value: calculatedValue, branch: 'moved_earlier', skipReason: null }
+      : { value: null, branch: 'kept_existing', skipReason: `Existing value ${existingValue} is not later than ${calculatedValue}` };
+  }
+  if (strategy === 'only_if_later') {
+    return calculatedDate > existingDate
+      ? { value: calculatedValue, branch: 'moved_later', skipReason: null }
+      : { value: null, branch: 'kept_existing', skipReason: `Existing value ${existingValue} is not earlier than ${calculatedValue}` };
+  }
+
+  throw new Error(`Unknown existing value strategy: ${strategy}`);
+}
+
 /**
  * Process a single flag - calculate and set expiry date
+ * In dry-run mode the expiry is calculated but no PATCH request is made
  */
-async function processSingleFlag(flag, apiKey, projectKey, customPropertyName, daysFromCreation, dateFormat) {
+async function processSingleFlag(flag, client, projectKey, customPropertyName, daysFromCreation, dateFormat, options = {}) {
+  const {
+    dryRun = false,
+    policy = null,
+    expiryAnchor = 'creation',
+    environment = null,
+    patchFormat = 'json',
+    approvalMode = 'none',
+    useApprovals = false,
+    existingValueStrategy = 'overwrite',
+    extensionDays = null,
+    timeZone = DEFAULT_TIME_ZONE,
+    calendar = {},
+    valueTemplate = null,
+    additionalProperties = [],
+    runId = null
+  } = options;
+
   try {
-    // Calculate expiry date from creation date
-    const expiryDateString = calculateExpiryFromCreation(flag, daysFromCreation, dateFormat);
+    // The first matching policy rule (if any) decides the number of days
+    const { days: policyDays, rule } = resolveExpiryPolicy(flag, policy, daysFromCreation);
+    let days = policyDays;
+
+    // Calculate expiry date from the anchor (creation date by default)
+    let anchorTimestamp = resolveExpiryAnchor(flag, expiryAnchor, timeZone);
+    if (anchorTimestamp === null) {
+      throw new Error(`No ${expiryAnchor} date available`);
+    }
+
+    // Shorten or extend the expiry based on the targeting state in the configured environment
+    // (environment_key alone only selects where approval requests go, so targeting isn't fetched for it)
+    let targeting = null;
+    let environmentAdjustment = null;
+    if (environment && (environment.rolledOutExpiryDays || environment.rolloutExtensionDays)) {
+      const environmentFlag = await getFeatureFlag(client, projectKey, flag.key, { env: environment.key });
+      targeting = environmentFlag && getEnvironmentTargetingState(environmentFlag, environment.key);
+      if (!targeting) {
+        throw new Error(`Environment '${environment.key}' not found for flag`);
+      }
+      ({ days, anchorTimestamp, adjustment: environmentAdjustment } =
+        applyEnvironmentAdjustment(targeting, environment, days, anchorTimestamp, timeZone, calendar));
+    }
+
+    const expiryDateString = calculateExpiryFromCreation(flag, days, dateFormat, anchorTimestamp, timeZone, calendar);
+    // Keep the date before rolling onto a working day so the move can be reported
+    const unrolledExpiryString = calendar.rollForward
+      ? calculateExpiryFromCreation(flag, days, dateFormat, anchorTimestamp, timeZone, { ...calendar, rollForward: false })
+      : expiryDateString;
     const creationDate = new Date(flag.creationDate);
     
     // Check if the custom property already exists
-    const hasExistingProperty = flag.customProperties && 
-                               flag.customProperties[customPropertyName] &&
-                               flag.customProperties[customPropertyName].value &&
-                               flag.customProperties[customPropertyName].value.length > 0;
+    const previousValue = getExistingPropertyValue(flag, customPropertyName);
+    const hasExistingProperty = previousValue !== null;
+
+    // Decide what to do with an existing value (keep, overwrite, extend, ...)
+    // With a value template the strategies work on the date read back from the stored value
+    const decision = applyExistingValueStrategy(readExpiryValue(previousValue, valueTemplate), expiryDateString, dateFormat, {
+      strategy: existingValueStrategy,
+      extensionDays: extensionDays || days,
+      timeZone,
+      calendar
+    });
+    
+    // Only report the move onto a working day when the calculated date is the one being set
+    const rolledForward = unrolledExpiryString !== expiryDateString &&
+      (!decision.value || decision.value === expiryDateString);
+
+    // The stored value and any additional properties are rendered from the expiry that is set
+    const expiryValue = decision.value || expiryDateString;
+    const templateValues = buildTemplateValues(flag, {
+      expiryDate: parseDateString(expiryValue, dateFormat, timeZone),
+      days,
+      dateFormat,
+      timeZone,
+      policyRule: rule,
+      runId
+    });
+    const propertyValue = valueTemplate ? valueTemplate.render(templateValues) : expiryValue;
+    // Additional properties are written in the same patch
+    const propertyChanges = decision.skipReason ? [] : resolveAdditionalProperties(flag, additionalProperties, templateValues);
+    const patchProperties = propertyChanges.map(change => ({
+      name: change.customPropertyName,
+      value: change.newValue,
+      previousValue: change.previousValue
+    }));
     
     // Set the custom property (with appropriate operation)
-    await setCustomProperty(apiKey, projectKey, flag.key, customPropertyName, expiryDateString, hasExistingProperty);
+    // Preconditions from the snapshot make the update fail if the flag changed in the meantime
+    // When approvals are used the change is only requested and applied once approved
+    const shouldUpdate = !dryRun && !decision.skipReason;
+    let approvalRequestId = null;
+    if (shouldUpdate && useApprovals) {
+      approvalRequestId = await createApprovalRequest(client, projectKey, flag.key, environment.key, customPropertyName, propertyValue, patchProperties);
+    } else if (shouldUpdate) {
+      await setCustomProperty(client, projectKey, flag.key, customPropertyName, propertyValue, hasExistingProperty, {
+        expectedValue: previousValue,
+        expectedVersion: flag._version,
+        patchFormat,
+        approvalMode,
+        additionalProperties: patchProperties
+      });
+    }
     
     return {
+      projectKey: projectKey,
       key: flag.key,
       name: flag.name,
-      creationDate: creationDate.toISOString().split('T')[0],
-      calculatedExpiryDate: expiryDateString,
-      daysFromCreation: daysFromCreation,
-      customPropertyName: customPropertyName
+      maintainer: getFlagMaintainer(flag),
+      creationDate: formatDateToString(creationDate, 'YYYY-MM-DD', timeZone),
+      calculatedExpiryDate: expiryValue,
+      daysFromCreation: days,
+      businessDays: Boolean(calendar.businessDays),
+      rolledForwardFrom: rolledForward ? unrolledExpiryString : null,
+      policyRule: rule,
+      expiryAnchor: expiryAnchor,
+      anchorDate: new Date(anchorTimestamp).toISOString(),
+      environmentKey: environment ? environment.key : null,
+      environmentState: targeting ? targeting.state : null,
+      environmentAdjustment: environmentAdjustment,
+      customPropertyName: customPropertyName,
+      propertyValue: propertyValue,
+      operation: hasExistingProperty ? 'replace' : 'add',
+      previousValue: previousValue,
+      existingValueStrategy: existingValueStrategy,
+      strategyBranch: decision.branch,
+      skipReason: decision.skipReason,
+      additionalProperties: propertyChanges,
+      approvalRequestId: approvalRequestId
     };
   } catch (error) {
-    // Safely extract error message
-    let errorMessage;
-    if (error instanceof Error) {
-      errorMessage = error.message;
-    } else if (typeof error === 'string') {
-      errorMessage = error;
-    } else if (error && error.message) {
-      errorMessage = error.message;
-    } else {
-      errorMessage = 'Unknown error occurred';
+    const errorMessage = getErrorMessage(error);
+    // Keep the status of API errors so conflicts can be told apart from failures
+    if (error instanceof LaunchDarklyApiError) {
+      throw new LaunchDarklyApiError(`Failed to process flag ${flag.key}: ${errorMessage}`, error);
     }
     throw new Error(`Failed to process flag ${flag.key}: ${errorMessage}`);
   }
 }
 
 /**
- * Process flags sequentially to avoid rate limiting
+ * Process flags with a bounded pool of concurrent workers
+ * Request pacing is handled by the shared rate limiter in fetchWithRetry
  */
-async function processFlagsInBatches(flagsToProcess, apiKey, projectKey, customPropertyName, daysFromCreation, dateFormat) {
+async function processFlagsInBatches(flagsToProcess, client, projectKey, customPropertyName, daysFromCreation, dateFormat, options = {}) {
+  const { dryRun = false, concurrency = DEFAULT_CONCURRENCY } = options;
   const results = {
     updatedFlags: [],
     failedFlags: [],
+    conflictedFlags: [],
+    approvalRequests: [],
+    skippedFlags: [],
     totalProcessed: 0
   };
   
@@ -526,147 +2430,672 @@ async function processFlagsInBatches(flagsToProcess, apiKey, projectKey, customP
     return results;
   }
   
-  core.info(`Processing ${flagsToProcess.length} flags sequentially`);
+  core.info(`Processing ${flagsToProcess.length} flags with up to ${concurrency} concurrent workers`);
   
-  for (let i = 0; i < flagsToProcess.length; i++) {
-    const flag = flagsToProcess[i];
-    results.totalProcessed++;
-    
+  const outcomes = await mapWithConcurrency(flagsToProcess, concurrency, async (flag, i) => {
     core.info(`Processing flag ${i + 1}/${flagsToProcess.length}: ${flag.key}`);
     
     try {
-      const result = await processSingleFlag(flag, apiKey, projectKey, customPropertyName, daysFromCreation, dateFormat);
-      results.updatedFlags.push(result);
-      core.info(`  ✅ ${flag.key}: ${result.calculatedExpiryDate}`);
-    } catch (error) {
-      // Better error handling - extract message safely
-      let errorMessage;
-      if (error instanceof Error) {
-        errorMessage = error.message;
-      } else if (typeof error === 'string') {
-        errorMessage = error;
-      } else if (error && error.message) {
-        errorMessage = error.message;
+      const result = await processSingleFlag(flag, client, projectKey, customPropertyName, daysFromCreation, dateFormat, options);
+      if (result.skipReason) {
+        core.info(`  ⏭️ ${flag.key}: ${result.skipReason}`);
+      } else if (dryRun) {
+        core.info(`  📝 ${flag.key}: would ${result.operation} ${result.previousValue || '(none)'} → ${result.propertyValue}`);
+      } else if (result.approvalRequestId) {
+        core.info(`  📨 ${flag.key}: approval requested for ${result.propertyValue} (${result.approvalRequestId})`);
       } else {
-        errorMessage = 'Unknown error occurred';
+        core.info(`  ✅ ${flag.key}: ${result.propertyValue}`);
       }
+      return { result };
+    } catch (error) {
+      const errorMessage = getErrorMessage(error);
       
-      results.failedFlags.push({
-        key: flag.key,
-        name: flag.name,
-        error: errorMessage
-      });
+      // A 409 means the flag changed since it was fetched - report it rather than overwrite
+      if (error instanceof LaunchDarklyApiError && error.status === 409) {
+        core.warning(`  ⚠️ ${flag.key}: changed since it was fetched, not updated`);
+        return {
+          conflict: {
+            projectKey: projectKey,
+            key: flag.key,
+            name: flag.name,
+            maintainer: getFlagMaintainer(flag),
+            expectedValue: getExistingPropertyValue(flag, customPropertyName),
+            expectedVersion: flag._version === undefined ? null : flag._version,
+            error: errorMessage
+          }
+        };
+      }
+
       core.error(`  ❌ ${flag.key}: ${errorMessage}`);
+      return {
+        failure: {
+          projectKey: projectKey,
+          key: flag.key,
+          name: flag.name,
+          maintainer: getFlagMaintainer(flag),
+          error: errorMessage
+        }
+      };
     }
-    
-    // Add delay between each flag to respect rate limits
-    if (i < flagsToProcess.length - 1) {
-      await sleep(RATE_LIMIT_DELAY);
+  });
+  
+  // Collect outcomes in the original flag order
+  outcomes.forEach(outcome => {
+    results.totalProcessed++;
+    if (outcome.result && outcome.result.skipReason) {
+      results.skippedFlags.push({
+        projectKey: projectKey,
+        key: outcome.result.key,
+        name: outcome.result.name,
+        reason: outcome.result.skipReason,
+        existingValue: outcome.result.previousValue,
+        existingValueStrategy: outcome.result.existingValueStrategy,
+        strategyBranch: outcome.result.strategyBranch
+      });
+    } else if (outcome.result && outcome.result.approvalRequestId) {
+      results.approvalRequests.push(outcome.result);
+    } else if (outcome.result) {
+      results.updatedFlags.push(outcome.result);
+    } else if (outcome.conflict) {
+      results.conflictedFlags.push(outcome.conflict);
+    } else {
+      results.failedFlags.push(outcome.failure);
     }
-  }
+  });
   
   return results;
 }
 
 /**
- * Get today's date in the specified format
+ * Restore the value a journal entry replaced, or remove the property if the flag had none
+ * The flag must still have the value the journaled run wrote, otherwise a 409 conflict is raised
  */
-function getTodaysDate(format) {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
+async function restoreJournalEntry(client, entry, options = {}) {
+  const { dryRun = false, patchFormat = 'json' } = options;
+  const hadPreviousValue = entry.previousValue !== null && entry.previousValue !== undefined;
 
-  switch (format.toUpperCase()) {
-    case 'MM/DD/YYYY':
-      return `${month}/${day}/${year}`;
-    case 'MM-DD-YYYY':
-      return `${month}-${day}-${year}`;
-    case 'YYYY-MM-DD':
-      return `${year}-${month}-${day}`;
-    case 'YYYY/MM/DD':
-      return `${year}/${month}/${day}`;
-    default:
-      // Default to MM/DD/YYYY
-      return `${month}/${day}/${year}`;
+  if (!dryRun && hadPreviousValue) {
+    await setCustomProperty(client, entry.projectKey, entry.key, entry.customPropertyName, entry.previousValue, true, {
+      expectedValue: entry.newValue,
+      patchFormat
+    });
+  } else if (!dryRun) {
+    await removeCustomProperty(client, entry.projectKey, entry.key, entry.customPropertyName, {
+      expectedValue: entry.newValue,
+      patchFormat
+    });
   }
+
+  return {
+    projectKey: entry.projectKey,
+    key: entry.key,
+    customPropertyName: entry.customPropertyName,
+    operation: hadPreviousValue ? 'restore' : 'remove',
+    currentValue: entry.newValue,
+    restoredValue: hadPreviousValue ? entry.previousValue : null
+  };
 }
 
 /**
- * Validate if a date string matches the expected format
+ * Roll back journal entries with a bounded pool of concurrent workers
  */
-function isValidDateFormat(dateString, expectedFormat) {
-  if (!dateString || typeof dateString !== 'string') {
-    return false;
+async function rollbackJournal(client, entries, options = {}) {
+  const { dryRun = false, concurrency = DEFAULT_CONCURRENCY } = options;
+  const results = {
+    restoredFlags: [],
+    failedFlags: [],
+    conflictedFlags: [],
+    totalProcessed: 0
+  };
+
+  if (entries.length === 0) {
+    core.info('No journal entries to roll back');
+    return results;
   }
 
-  const cleaned = dateString.trim();
-  
-  // Define regex patterns for each supported format
-  const formatPatterns = {
-    'MM/DD/YYYY': /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
-    'MM-DD-YYYY': /^(\d{1,2})-(\d{1,2})-(\d{4})$/,
-    'YYYY-MM-DD': /^(\d{4})-(\d{1,2})-(\d{1,2})$/,
-    'YYYY/MM/DD': /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/
+  const outcomes = await mapWithConcurrency(entries, concurrency, async (entry, i) => {
+    core.info(`Rolling back flag ${i + 1}/${entries.length}: ${entry.key}`);
+
+    try {
+      const result = await restoreJournalEntry(client, entry, options);
+      const target = result.restoredValue || '(removed)';
+      core.info(`  ${dryRun ? '📝' : '✅'} ${entry.key}: ${dryRun ? 'would restore' : 'restored'} ${result.currentValue} → ${target}`);
+      return { result };
+    } catch (error) {
+      const failure = {
+        projectKey: entry.projectKey,
+        key: entry.key,
+        customPropertyName: entry.customPropertyName,
+        expectedValue: entry.newValue,
+        error: error.message
+      };
+      if (error instanceof LaunchDarklyApiError && error.status === 409) {
+        core.warning(`  ⚠️ ${entry.key}: changed since the journaled run, not restored`);
+        return { conflict: failure };
+      }
+      core.error(`  ❌ ${entry.key}: ${error.message}`);
+      return { failure };
+    }
+  });
+
+  outcomes.forEach(outcome => {
+    results.totalProcessed++;
+    if (outcome.result) {
+      results.restoredFlags.push(outcome.result);
+    } else if (outcome.conflict) {
+      results.conflictedFlags.push(outcome.conflict);
+    } else {
+      results.failedFlags.push(outcome.failure);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Classify the existing expiry values of flags and rewrite values in another format into dateFormat
+ * Values that can't be parsed in any supported format, or that read as different dates in
+ * several formats, are reported as invalid and never changed
+ */
+async function normalizeExistingValues(client, projectKey, flags, customPropertyName, dateFormat, options = {}) {
+  const { rewrite = false, patchFormat = 'json', concurrency = DEFAULT_CONCURRENCY, timeZone = DEFAULT_TIME_ZONE } = options;
+  const results = {
+    validValues: 0,
+    normalizedFlags: [],
+    invalidValues: [],
+    failedFlags: [],
+    conflictedFlags: []
   };
 
-  const pattern = formatPatterns[expectedFormat.toUpperCase()];
-  if (!pattern) {
-    core.warning(`Unsupported date format: ${expectedFormat}`);
-    return false;
-  }
+  const toNormalize = [];
+  flags.forEach(flag => {
+    const value = getExistingPropertyValue(flag, customPropertyName);
+    if (value === null) {
+      return;
+    }
+    const detectedFormat = detectDateFormat(value, dateFormat, timeZone);
+    if (detectedFormat === dateFormat) {
+      results.validValues++;
+    } else if (detectedFormat) {
+      toNormalize.push({
+        flag,
+        entry: {
+          projectKey,
+          key: flag.key,
+          name: flag.name,
+          customPropertyName,
+          previousValue: value,
+          detectedFormat,
+          normalizedValue: formatDateToString(parseDateString(value, detectedFormat, timeZone), dateFormat, timeZone),
+          rewritten: false
+        }
+      });
+    } else {
+      results.invalidValues.push({ projectKey, key: flag.key, name: flag.name, customPropertyName, value, reason: describeInvalidDate(value, timeZone) });
+    }
+  });
 
-  const match = cleaned.match(pattern);
-  if (!match) {
-    return false;
+  core.info(`Found ${results.validValues} valid, ${toNormalize.length} other-format and ${results.invalidValues.length} invalid values`);
+
+  const outcomes = await mapWithConcurrency(toNormalize, concurrency, async ({ flag, entry }) => {
+    if (!rewrite) {
+      core.info(`  📝 ${flag.key}: ${entry.previousValue} (${entry.detectedFormat}) → ${entry.normalizedValue}`);
+      return { entry };
+    }
+    try {
+      await setCustomProperty(client, projectKey, flag.key, customPropertyName, entry.normalizedValue, true, {
+        expectedValue: entry.previousValue,
+        patchFormat
+      });
+      core.info(`  ✅ ${flag.key}: ${entry.previousValue} → ${entry.normalizedValue}`);
+      return { entry: { ...entry, rewritten: true } };
+    } catch (error) {
+      const failure = { projectKey, key: flag.key, name: flag.name, error: error.message };
+      if (error instanceof LaunchDarklyApiError && error.status === 409) {
+        core.warning(`  ⚠️ ${flag.key}: changed since it was fetched, not rewritten`);
+        return { entry, conflict: failure };
+      }
+      core.error(`  ❌ ${flag.key}: ${error.message}`);
+      return { entry, failure };
+    }
+  });
+
+  outcomes.forEach(outcome => {
+    results.normalizedFlags.push(outcome.entry);
+    if (outcome.conflict) {
+      results.conflictedFlags.push(outcome.conflict);
+    } else if (outcome.failure) {
+      results.failedFlags.push(outcome.failure);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Explain why a value is not a date: ambiguous between formats, or not a date at all
+ */
+function describeInvalidDate(value, timeZone = DEFAULT_TIME_ZONE) {
+  const matches = findMatchingDateFormats(value, timeZone);
+  return matches.length > 1 ? `Ambiguous date (${matches.join(' or ')})` : 'Not a date in any supported format';
+}
+
+/**
+ * Create an empty audit result with one list per expiry status
+ */
+function createAuditResult() {
+  return { expired: [], expiring: [], healthy: [], missing: [], invalid: [] };
+}
+
+/**
+ * Append the lists of one audit result to another and return it
+ */
+function mergeAuditResults(target, source) {
+  Object.keys(target).forEach(status => target[status].push(...source[status]));
+  return target;
+}
+
+/**
+ * Classify flags by their expiry value without changing them
+ * Expired flags are past their expiry date, expiring flags expire today or within expiringWithinDays,
+ * healthy flags expire later; missing flags have no value and invalid values are not a date
+ * Values written with a value template are read through it; other formats are detected like normalize does
+ */
+function auditExpiryValues(projectKey, flags, customPropertyName, dateFormat, options = {}) {
+  const { timeZone = DEFAULT_TIME_ZONE, valueTemplate = null, expiringWithinDays = DEFAULT_EXPIRING_WITHIN_DAYS, now = Date.now() } = options;
+  const results = createAuditResult();
+
+  flags.forEach(flag => {
+    const entry = {
+      projectKey,
+      key: flag.key,
+      name: flag.name,
+      creationDate: flag.creationDate ? formatDateToString(new Date(flag.creationDate), 'YYYY-MM-DD', timeZone) : null,
+      maintainer: getFlagMaintainer(flag)
+    };
+    const value = getExistingPropertyValue(flag, customPropertyName);
+    if (value === null) {
+      results.missing.push(entry);
+      return;
+    }
+
+    const expiryValue = readExpiryValue(value, valueTemplate);
+    const detectedFormat = detectDateFormat(expiryValue, dateFormat, timeZone);
+    if (!detectedFormat) {
+      results.invalid.push({ ...entry, customPropertyName, value, reason: describeInvalidDate(expiryValue, timeZone) });
+      return;
+    }
+
+    const expiryDate = parseDateString(expiryValue, detectedFormat, timeZone);
+    const daysUntilExpiry = calendarDaysBetween(now, expiryDate, timeZone);
+    const audited = { ...entry, value, expiryDate: formatDateToString(expiryDate, 'YYYY-MM-DD', timeZone), daysUntilExpiry };
+    if (daysUntilExpiry < 0) {
+      results.expired.push(audited);
+    } else if (daysUntilExpiry <= expiringWithinDays) {
+      results.expiring.push(audited);
+    } else {
+      results.healthy.push(audited);
+    }
+  });
+
+  // Most urgent first
+  results.expired.sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+  results.expiring.sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+  return results;
+}
+
+/**
+ * Log the counts of an audit result
+ */
+function logAuditResult(audit, expiringWithinDays) {
+  core.info(`Expired: ${audit.expired.length}`);
+  core.info(`Expiring within ${expiringWithinDays} days: ${audit.expiring.length}`);
+  core.info(`Healthy: ${audit.healthy.length}`);
+  core.info(`Missing expiry: ${audit.missing.length}`);
+  core.info(`Invalid values: ${audit.invalid.length}`);
+}
+
+/**
+ * Set the audit outputs (audit and set-and-audit modes)
+ */
+function setAuditOutputs(audit) {
+  core.setOutput('expired_flags', JSON.stringify(audit.expired));
+  core.setOutput('expiring_flags', JSON.stringify(audit.expiring));
+  core.setOutput('healthy_flags', JSON.stringify(audit.healthy));
+  core.setOutput('missing_expiry_flags', JSON.stringify(audit.missing));
+  core.setOutput('invalid_values', JSON.stringify(audit.invalid));
+  core.setOutput('total_expired', audit.expired.length.toString());
+  core.setOutput('total_expiring', audit.expiring.length.toString());
+}
+
+/**
+ * Add the audit counts and tables to the job summary
+ */
+function addAuditSummary(audit, expiringWithinDays, multiProject = false) {
+  const row = (projectKey, cells) => (multiProject ? [projectKey, ...cells] : cells);
+
+  core.summary.addRaw(`**Expired:** ${audit.expired.length}\n`);
+  core.summary.addRaw(`**Expiring within ${expiringWithinDays} Days:** ${audit.expiring.length}\n`);
+  core.summary.addRaw(`**Healthy:** ${audit.healthy.length}\n`);
+  core.summary.addRaw(`**Missing Expiry:** ${audit.missing.length}\n`);
+  core.summary.addRaw(`**Invalid Values:** ${audit.invalid.length}\n\n`);
+
+  if (audit.expired.length > 0) {
+    core.summary.addHeading('Expired Flags', 3);
+    const expiredTable = [row('Project', ['Flag Key', 'Flag Name', 'Expiry Date', 'Days Overdue', 'Maintainer'])];
+    audit.expired.forEach(flag => {
+      expiredTable.push(row(flag.projectKey, [flag.key, flag.name, flag.expiryDate, String(-flag.daysUntilExpiry), flag.maintainer || '-']));
+    });
+    core.summary.addTable(expiredTable);
+  }
+  if (audit.expiring.length > 0) {
+    core.summary.addHeading(`Expiring within ${expiringWithinDays} Days`, 3);
+    const expiringTable = [row('Project', ['Flag Key', 'Flag Name', 'Expiry Date', 'Days Left', 'Maintainer'])];
+    audit.expiring.forEach(flag => {
+      expiringTable.push(row(flag.projectKey, [flag.key, flag.name, flag.expiryDate, String(flag.daysUntilExpiry), flag.maintainer || '-']));
+    });
+    core.summary.addTable(expiringTable);
+  }
+  const referenced = [...audit.expired, ...audit.expiring].filter(flag => flag.codeReferences && flag.codeReferences.length > 0);
+  if (referenced.length > 0) {
+    core.summary.addHeading('Code References', 3);
+    const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const referencesTable = [row('Project', ['Flag Key', 'Location', 'Code'])];
+    referenced.forEach(flag => {
+      flag.codeReferences.forEach(reference => {
+        referencesTable.push(row(flag.projectKey, [flag.key, `${reference.file}:${reference.line}`, `<code>${escapeHtml(reference.text)}</code>`]));
+      });
+    });
+    core.summary.addTable(referencesTable);
+  }
+  if (audit.missing.length > 0) {
+    core.summary.addHeading('Missing Expiry', 3);
+    const missingTable = [row('Project', ['Flag Key', 'Flag Name', 'Maintainer'])];
+    audit.missing.forEach(flag => {
+      missingTable.push(row(flag.projectKey, [flag.key, flag.name, flag.maintainer || '-']));
+    });
+    core.summary.addTable(missingTable);
+  }
+  if (audit.invalid.length > 0) {
+    core.summary.addHeading('Invalid Expiry Values', 3);
+    const invalidTable = [row('Project', ['Flag Key', 'Value', 'Reason'])];
+    audit.invalid.forEach(flag => {
+      invalidTable.push(row(flag.projectKey, [flag.key, flag.value, flag.reason]));
+    });
+    core.summary.addTable(invalidTable);
   }
+}
 
-  // Extract date components and validate
-  let year, month, day;
-  
-  if (expectedFormat.toUpperCase().startsWith('MM')) {
-    month = parseInt(match[1], 10);
-    day = parseInt(match[2], 10);
-    year = parseInt(match[3], 10);
+/**
+ * Scan the workspace for code references to the expired and expiring flags of an audit
+ * and attach them to the audit entries as codeReferences ([{ file, line, text }])
+ */
+function attachCodeReferences(audit, codeReferences) {
+  const entries = [...audit.expired, ...audit.expiring];
+  core.info(`\nScanning the workspace for code references to ${entries.length} flags...`);
+  const references = scanCodeReferences(entries.map(entry => entry.key), codeReferences);
+  entries.forEach(entry => {
+    entry.codeReferences = references.get(entry.key) || [];
+  });
+
+  let total = 0;
+  references.forEach((flagReferences, flagKey) => {
+    total += flagReferences.length;
+    core.info(`  ${flagKey}: ${flagReferences.map(reference => `${reference.file}:${reference.line}`).join(', ')}`);
+  });
+  core.info(`Code references found: ${total} (${references.size} flags)`);
+}
+
+/**
+ * Open, update and close the GitHub issues of audited flags and set the github_issues output
+ */
+async function syncGitHubIssues(client, audit, { issues, customPropertyName, projectKeys, dryRun = false }) {
+  core.info(`\nSyncing GitHub issues${dryRun ? ' (dry run, no issues are written)' : ''}...`);
+  const results = await syncExpiryIssues(createIssueClient(issues.token), audit, {
+    issueMode: issues.mode,
+    labels: issues.labels,
+    baseUrl: client.baseUrl,
+    customPropertyName,
+    projectKeys,
+    dryRun,
+    getFlag: (projectKey, flagKey) => getFeatureFlag(client, projectKey, flagKey)
+  });
+
+  results.forEach(result => {
+    const issue = result.issueNumber ? ` (#${result.issueNumber})` : '';
+    if (result.action === 'failed') {
+      core.error(`  ❌ ${result.key}${issue}: ${result.error}`);
+    } else if (result.action !== 'unchanged') {
+      core.info(`  ${result.key}: ${result.action}${issue}`);
+    }
+  });
+  core.setOutput('github_issues', JSON.stringify(results));
+  return results;
+}
+
+/**
+ * Send the digest of a run to the notification webhook and set the notification_sent output
+ * A failed notification is reported as a warning and doesn't fail the action; dry runs don't send
+ */
+async function notifyWebhook(client, notification, results, { projectKeys, dryRun = false }) {
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  const digest = buildDigest(results, {
+    templates: notification.templates,
+    groupBy: notification.groupBy,
+    webhookType: notification.type,
+    projectKeys,
+    baseUrl: client.baseUrl,
+    repository: GITHUB_REPOSITORY || null,
+    runUrl: GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}` : null
+  });
+
+  let sent = false;
+  if (notification.on === 'changes' && Object.values(digest.counts).every(count => count === 0)) {
+    core.info('\nWebhook notification skipped: nothing updated, requested for approval, conflicted, failed, expired or expiring');
+  } else if (dryRun) {
+    core.info(`\nDry run: ${notification.type} webhook notification not sent: ${digest.text}`);
   } else {
-    year = parseInt(match[1], 10);
-    month = parseInt(match[2], 10);
-    day = parseInt(match[3], 10);
+    try {
+      await sendWebhook(notification.url, formatWebhookPayload(notification.type, digest));
+      sent = true;
+      core.info(`\nSent ${notification.type} webhook notification (${digest.groups.length} groups)`);
+    } catch (error) {
+      core.warning(`Webhook notification failed: ${error.message}`);
+    }
   }
+  core.setOutput('notification_sent', sent.toString());
+}
 
-  // Validate date components
-  if (month < 1 || month > 12 || day < 1 || day > 31 || year < 1900) {
-    return false;
+/**
+ * Add the counts of GitHub issue changes to the job summary
+ */
+function addIssueSummary(issueResults) {
+  if (issueResults.length === 0) {
+    return;
+  }
+  const counts = {};
+  issueResults.forEach(result => {
+    counts[result.action] = (counts[result.action] || 0) + 1;
+  });
+  core.summary.addRaw(`**GitHub Issues:** ${Object.entries(counts).map(([action, count]) => `${count} ${action.replace(/_/g, ' ')}`).join(', ')}\n`);
+}
+
+/**
+ * Convert a processed flag result into a plan entry
+ */
+function buildPlanEntry(result) {
+  return {
+    projectKey: result.projectKey,
+    key: result.key,
+    name: result.name,
+    operation: result.operation,
+    customPropertyName: result.customPropertyName,
+    currentValue: result.previousValue,
+    newValue: result.propertyValue,
+    creationDate: result.creationDate,
+    daysFromCreation: result.daysFromCreation,
+    businessDays: result.businessDays,
+    rolledForwardFrom: result.rolledForwardFrom,
+    policyRule: result.policyRule,
+    expiryAnchor: result.expiryAnchor,
+    anchorDate: result.anchorDate,
+    environmentState: result.environmentState,
+    environmentAdjustment: result.environmentAdjustment,
+    existingValueStrategy: result.existingValueStrategy,
+    strategyBranch: result.strategyBranch,
+    additionalProperties: result.additionalProperties
+  };
+}
+
+/**
+ * Write the dry-run plan to a JSON file and return its resolved path
+ */
+function writePlanFile(planFile, settings, plannedChanges) {
+  const planFilePath = resolveWorkspacePath(planFile);
+
+  const plan = {
+    generatedAt: new Date().toISOString(),
+    dryRun: true,
+    ...settings,
+    totals: {
+      add: plannedChanges.filter(change => change.operation === 'add').length,
+      replace: plannedChanges.filter(change => change.operation === 'replace').length
+    },
+    changes: plannedChanges
+  };
+
+  fs.mkdirSync(path.dirname(planFilePath), { recursive: true });
+  fs.writeFileSync(planFilePath, JSON.stringify(plan, null, 2));
+  return planFilePath;
+}
+
+/**
+ * Get today's date in the specified format, as it is in the time zone
+ */
+function getTodaysDate(format, timeZone = DEFAULT_TIME_ZONE) {
+  return formatDateToString(new Date(), format, timeZone);
+}
+
+/**
+ * Parse a date string in a supported format or pattern into a Date
+ * Returns null when the string doesn't match the format or isn't a real date
+ */
+function parseDateString(dateString, expectedFormat, timeZone = DEFAULT_TIME_ZONE) {
+  if (!dateString || typeof dateString !== 'string') {
+    return null;
   }
+  return getDateFormat(expectedFormat).parse(dateString.trim(), timeZone);
+}
 
-  // Create date object to validate (handles leap years, invalid dates)
-  const date = new Date(year, month - 1, day);
-  return date.getFullYear() === year && 
-         date.getMonth() === month - 1 && 
-         date.getDate() === day;
+/**
+ * List the built-in formats a value can be parsed in, dropping formats that read it as the same date
+ * A single entry means the format is unambiguous (e.g. 13/04/2025 can only be DD/MM/YYYY)
+ */
+function findMatchingDateFormats(dateString, timeZone = DEFAULT_TIME_ZONE) {
+  const matches = [];
+  const seen = new Set();
+  BUILT_IN_DATE_FORMATS.forEach(format => {
+    const date = parseDateString(dateString, format, timeZone);
+    if (date && !seen.has(date.getTime())) {
+      seen.add(date.getTime());
+      matches.push(format);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Detect the format of a date value, trying the preferred format first
+ * Returns null when no built-in format matches or the value is ambiguous (e.g. 03/04/2025)
+ */
+function detectDateFormat(dateString, preferredFormat, timeZone = DEFAULT_TIME_ZONE) {
+  if (parseDateString(dateString, preferredFormat, timeZone) !== null) {
+    return preferredFormat;
+  }
+  const matches = findMatchingDateFormats(dateString, timeZone);
+  return matches.length === 1 ? matches[0] : null;
 }
 
-// Polyfill for fetch if not available
-if (typeof fetch === 'undefined') {
-  global.fetch = require('node-fetch');
+/**
+ * Validate if a date string matches the expected format
+ */
+function isValidDateFormat(dateString, expectedFormat) {
+  if (!isSupportedDateFormat(expectedFormat)) {
+    core.warning(`Unsupported date format: ${expectedFormat}`);
+    return false;
+  }
+  return parseDateString(dateString, expectedFormat) !== null;
 }
 
+
 if (require.main === module) {
   run();
 }
 
 module.exports = { 
   run, 
+  LaunchDarklyClient,
+  normalizeBaseUrl,
+  resolveProjectKeys,
+  processProject,
+  aggregateProjectResults,
+  getAllProjects,
   getAllFeatureFlags,
   getFeatureFlag, 
   setCustomProperty, 
+  removeCustomProperty,
+  runRollback,
+  restoreJournalEntry,
+  rollbackJournal,
+  getCustomPropertyPath,
+  buildPatchPreconditions,
+  buildChangePreconditions,
+  buildCustomPropertyInstruction,
+  environmentRequiresApproval,
+  createApprovalRequest,
   getTodaysDate, 
   isValidDateFormat,
+  parseDateString,
+  detectDateFormat,
+  findMatchingDateFormats,
+  applyExistingValueStrategy,
+  runNormalize,
+  normalizeExistingValues,
+  auditExpiryValues,
+  runPrCheck,
+  getReferencedFlags,
   calculateExpiryFromCreation,
+  isFullyRolledOut,
+  getEnvironmentTargetingState,
+  applyEnvironmentAdjustment,
+  addExpiryDays,
+  resolveExpiryAnchor,
   formatDateToString,
   filterFlagsNeedingExpiry,
+  getSelectionExclusionReason,
+  parseListInput,
+  compileKeyPattern,
+  loadExpiryPolicy,
+  resolveExpiryPolicy,
+  parseValueTemplate,
+  readExpiryValue,
+  parseAdditionalProperties,
+  buildTemplateValues,
+  resolveAdditionalProperties,
+  getExistingPropertyValue,
   processSingleFlag,
   processFlagsInBatches,
+  getErrorMessage,
+  buildPlanEntry,
+  writePlanFile,
   fetchWithRetry,
+  LaunchDarklyApiError,
+  configureRetryPolicy,
+  isRetryableError,
+  computeRetryDelay,
+  parseRateLimitHeaders,
+  createRateLimiter,
+  rateLimiter,
+  mapWithConcurrency,
   sleep
 };
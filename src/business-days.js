@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath } = require('./workspace');
+const { DEFAULT_TIME_ZONE, getZonedParts, startOfDay } = require('./timezone');
+
+// Longest run of non-working days before we assume the calendar is wrong (e.g. every day is a holiday)
+const MAX_NON_WORKING_DAYS = 366;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Key of a calendar date, e.g. 2025-12-25
+ */
+function toDateKey(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Check that a month and day exist in a year (yearly dates pass a leap year, so 02-29 is allowed)
+ */
+function isValidDate(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Move a calendar date by whole days, returning { year, month, day }
+ */
+function shiftDate({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Create an empty holiday calendar
+ * Holidays on a single date are keyed by YYYY-MM-DD, yearly holidays by month and day
+ */
+function createHolidayCalendar() {
+  return { dates: new Map(), yearly: [] };
+}
+
+/**
+ * Get the name of the holiday on a date, or null if it isn't one
+ */
+function getHoliday(calendar, { year, month, day }) {
+  if (!calendar) {
+    return null;
+  }
+  const key = toDateKey(year, month, day);
+  if (calendar.dates.has(key)) {
+    return calendar.dates.get(key);
+  }
+  const yearly = calendar.yearly.find(holiday => holiday.month === month && holiday.day === day &&
+    year >= holiday.fromYear && (holiday.untilYear === null || year <= holiday.untilYear));
+  return yearly ? yearly.name : null;
+}
+
+/**
+ * Count the holidays in a calendar (each date of a yearly holiday counts once)
+ */
+function countHolidays(calendar) {
+  return calendar.dates.size + calendar.yearly.length;
+}
+
+/**
+ * Check whether a date is a working day (Monday to Friday and not a holiday)
+ */
+function isWorkingDay(date, calendar = null) {
+  const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && getHoliday(calendar, date) === null;
+}
+
+/**
+ * Return the first working day on or after a date, as { year, month, day }
+ */
+function findWorkingDay(date, calendar) {
+  let current = date;
+  for (let skipped = 0; !isWorkingDay(current, calendar); skipped++) {
+    if (skipped >= MAX_NON_WORKING_DAYS) {
+      throw new Error(`No working day found within ${MAX_NON_WORKING_DAYS} days of ${toDateKey(date.year, date.month, date.day)}; check the holiday calendar`);
+    }
+    current = shiftDate(current, 1);
+  }
+  return current;
+}
+
+/**
+ * Return the start of the day a number of working days after a date or timestamp in a time zone
+ * The start day itself is not counted, so 1 business day after a Friday is the next Monday
+ */
+function addBusinessDays(date, days, timeZone = DEFAULT_TIME_ZONE, calendar = null) {
+  let current = getZonedParts(date, timeZone);
+  for (let counted = 0; counted < days; counted++) {
+    current = findWorkingDay(shiftDate(current, 1), calendar);
+  }
+  return startOfDay(current.year, current.month, current.day, timeZone);
+}
+
+/**
+ * Move a date that falls on a weekend or holiday forward to the start of the next working day
+ * Returns the start of the same day when it already is a working day
+ */
+function rollToWorkingDay(date, timeZone = DEFAULT_TIME_ZONE, calendar = null) {
+  const workingDay = findWorkingDay(getZonedParts(date, timeZone), calendar);
+  return startOfDay(workingDay.year, workingDay.month, workingDay.day, timeZone);
+}
+
+/**
+ * Parse the date part of an ICS DATE or DATE-TIME value (e.g. 20251225 or 20251225T090000Z)
+ */
+function parseIcsDate(value, label) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T\d{6}Z?)?$/.exec(value.trim());
+  const [year, month, day] = match ? [match[1], match[2], match[3]].map(Number) : [];
+  if (!match || !isValidDate(year, month, day)) {
+    throw new Error(`Invalid date in ${label}: ${value}`);
+  }
+  return { year, month, day };
+}
+
+/**
+ * Parse an RRULE value; only plain yearly recurrence (e.g. FREQ=YEARLY;UNTIL=20301231) is supported
+ */
+function parseYearlyRule(value, start, label) {
+  const parts = {};
+  value.split(';').forEach(part => {
+    const [name, partValue] = part.split('=');
+    parts[name.toUpperCase()] = partValue;
+  });
+
+  const unsupported = Object.keys(parts).filter(name => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL'].includes(name));
+  if (parts.FREQ !== 'YEARLY' || (parts.INTERVAL && parts.INTERVAL !== '1') || unsupported.length > 0) {
+    throw new Error(`Unsupported RRULE in ${label}: ${value}. Only FREQ=YEARLY with optional COUNT or UNTIL is supported`);
+  }
+
+  let untilYear = null;
+  if (parts.UNTIL) {
+    untilYear = parseIcsDate(parts.UNTIL, label).year;
+  } else if (parts.COUNT) {
+    untilYear = start.year + parseInt(parts.COUNT, 10) - 1;
+  }
+  return { fromYear: start.year, untilYear };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar (.ics) file into a holiday calendar
+ * All-day events cover DTSTART up to (not including) DTEND; yearly RRULEs repeat every year
+ */
+function parseIcsHolidays(content, source) {
+  const calendar = createHolidayCalendar();
+  // Unfold long lines (RFC 5545 3.1) before splitting into properties
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  let event = null;
+  let eventCount = 0;
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      eventCount++;
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      addIcsEvent(calendar, event, `${source} (event ${eventCount})`);
+      event = null;
+      return;
+    }
+    const separator = line.indexOf(':');
+    if (event && separator > 0) {
+      const name = line.slice(0, separator).split(';')[0].toUpperCase();
+      event[name] = line.slice(separator + 1);
+    }
+  });
+
+  return calendar;
+}
+
+/**
+ * Add every day covered by a parsed VEVENT to a holiday calendar
+ */
+function addIcsEvent(calendar, event, label) {
+  if (!event.DTSTART) {
+    throw new Error(`Missing DTSTART in ${label}`);
+  }
+  const name = event.SUMMARY ? event.SUMMARY.replace(/\\([,;\\])/g, '$1') : 'Holiday';
+  const start = parseIcsDate(event.DTSTART, label);
+  const end = event.DTEND ? parseIcsDate(event.DTEND, label) : shiftDate(start, 1);
+  const recurrence = event.RRULE ? parseYearlyRule(event.RRULE, start, label) : null;
+
+  let current = start;
+  do {
+    if (recurrence) {
+      calendar.yearly.push({ month: current.month, day: current.day, name, ...recurrence });
+    } else {
+      calendar.dates.set(toDateKey(current.year, current.month, current.day), name);
+    }
+    current = shiftDate(current, 1);
+  } while (toDateKey(current.year, current.month, current.day) < toDateKey(end.year, end.month, end.day));
+}
+
+/**
+ * Parse a JSON holiday list into a holiday calendar
+ * Accepts a list (or { "holidays": [...] }) of YYYY-MM-DD dates, MM-DD dates that repeat
+ * every year, or objects with a date and an optional name
+ */
+function parseJsonHolidays(document, source) {
+  const holidays = Array.isArray(document) ? document : document && document.holidays;
+  if (!Array.isArray(holidays)) {
+    throw new Error(`Holiday calendar ${source} must contain a list of holidays`);
+  }
+
+  const calendar = createHolidayCalendar();
+  holidays.forEach((holiday, index) => {
+    const entry = typeof holiday === 'string' ? { date: holiday } : holiday;
+    const match = entry && /^(?:(\d{4})-)?(\d{2})-(\d{2})$/.exec(String(entry.date));
+    const [year, month, day] = match ? [match[1] || '2000', match[2], match[3]].map(Number) : [];
+    if (!match || !isValidDate(year, month, day)) {
+      throw new Error(`Invalid holiday ${index + 1} in ${source}: expected a YYYY-MM-DD or MM-DD date`);
+    }
+    const name = entry.name ? String(entry.name) : 'Holiday';
+    if (match[1]) {
+      calendar.dates.set(toDateKey(year, month, day), name);
+    } else {
+      calendar.yearly.push({ month, day, name, fromYear: 0, untilYear: null });
+    }
+  });
+  return calendar;
+}
+
+/**
+ * Load a holiday calendar from an .ics or .json file in the workspace
+ */
+function loadHolidayCalendar(calendarFile) {
+  let content;
+  try {
+    content = fs.readFileSync(resolveWorkspacePath(calendarFile), 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read holiday calendar ${calendarFile}: ${error.message}`);
+  }
+
+  const extension = path.extname(calendarFile).toLowerCase();
+  let calendar;
+  if (extension === '.ics') {
+    calendar = parseIcsHolidays(content, calendarFile);
+  } else if (extension === '.json') {
+    let document;
+    try {
+      document = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse holiday calendar ${calendarFile}: ${error.message}`);
+    }
+    calendar = parseJsonHolidays(document, calendarFile);
+  } else {
+    throw new Error(`Unsupported holiday calendar ${calendarFile}: must be an .ics or .json file`);
+  }
+
+  if (countHolidays(calendar) === 0) {
+    throw new Error(`Holiday calendar ${calendarFile} does not contain any holidays`);
+  }
+  return calendar;
+}
+
+module.exports = {
+  getHoliday,
+  countHolidays,
+  isWorkingDay,
+  addBusinessDays,
+  rollToWorkingDay,
+  parseIcsHolidays,
+  parseJsonHolidays,
+  loadHolidayCalendar
+};
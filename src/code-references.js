@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath } = require('./workspace');
+
+// SDK calls that read a flag; {flagKey} is the flag key and {camelKey} the camel-cased key used by the React SDK
+const DEFAULT_CODE_REFERENCE_PATTERNS = [
+  '[Vv]ariation(?:Detail)?\\(\\s*[\'"`]{flagKey}[\'"`]',
+  'useFlags\\(\\)\\.{camelKey}\\b'
+];
+const DEFAULT_CODE_REFERENCE_EXCLUDE = ['**/.git/**', '**/node_modules/**', '**/vendor/**', '**/dist/**', '**/build/**', '**/coverage/**'];
+
+// What a placeholder captures when the flag keys aren't known up front (LaunchDarkly keys use letters, digits, '.', '_' and '-')
+const CAPTURE_SOURCES = {
+  flagKey: '[A-Za-z0-9][A-Za-z0-9._-]*',
+  camelKey: '[A-Za-z][A-Za-z0-9]*'
+};
+
+// Larger files are most likely generated or bundled code
+const MAX_FILE_SIZE = 1024 * 1024;
+const MAX_LINE_LENGTH = 200;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Camel-case a flag key the way the LaunchDarkly React SDK does (my-flag_key → myFlagKey)
+ */
+function toCamelKey(flagKey) {
+  return flagKey
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word, index) => {
+      const normalized = word === word.toUpperCase() ? word.toLowerCase() : word;
+      const first = index === 0 ? normalized[0].toLowerCase() : normalized[0].toUpperCase();
+      return first + normalized.slice(1);
+    })
+    .join('');
+}
+
+/**
+ * Convert a path glob into a regular expression matching paths relative to the workspace
+ * Supports **, *, ? and {a,b}; globs without a slash (e.g. *.ts) match at any depth
+ */
+function globToRegExp(glob) {
+  const pattern = glob.includes('/') ? glob.replace(/^\.?\//, '') : `**/${glob}`;
+  let source = '';
+  let braceDepth = 0;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      // **/ matches any number of directories, any other ** matches anything
+      const directories = pattern[index + 2] === '/';
+      source += directories ? '(?:.*/)?' : '.*';
+      index += directories ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  if (braceDepth > 0) {
+    throw new Error(`Invalid glob ${glob}: unmatched '{'`);
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validate code reference patterns: regular expressions containing {flagKey} and/or {camelKey}
+ */
+function compileReferencePatterns(patterns) {
+  return patterns.map(pattern => {
+    if (!pattern.includes('{flagKey}') && !pattern.includes('{camelKey}')) {
+      throw new Error(`Invalid code reference pattern ${pattern}: must contain {flagKey} or {camelKey}`);
+    }
+    try {
+      buildFlagRegExp(pattern, 'sample-flag');
+      buildCaptureRegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid code reference pattern ${pattern}: ${error.message}`);
+    }
+    return pattern;
+  });
+}
+
+/**
+ * Fill a code reference pattern in for a flag key
+ */
+function buildFlagRegExp(pattern, flagKey) {
+  return new RegExp(pattern
+    .replace(/\{flagKey\}/g, escapeRegExp(flagKey))
+    .replace(/\{camelKey\}/g, escapeRegExp(toCamelKey(flagKey))));
+}
+
+/**
+ * Turn a code reference pattern into a global RegExp whose placeholders capture any key
+ * in the named groups flagKey and camelKey; repeated placeholders must match the same key
+ */
+function buildCaptureRegExp(pattern) {
+  const captured = new Set();
+  return new RegExp(pattern.replace(/\{(flagKey|camelKey)\}/g, (placeholder, name) => {
+    if (captured.has(name)) {
+      return `\\k<${name}>`;
+    }
+    captured.add(name);
+    return `(?<${name}>${CAPTURE_SOURCES[name]})`;
+  }), 'g');
+}
+
+/**
+ * Find the flags referenced by lines of code ([{ file, line, text }]) when the flag keys aren't known up front
+ * Returns one reference per flag and line: { file, line, text, flagKey }, or { file, line, text, camelKey }
+ * for matches of patterns with only {camelKey}, which still have to be matched against the flag keys
+ */
+function findReferencedKeys(lines, patterns) {
+  const regexes = patterns.map(buildCaptureRegExp);
+  const references = [];
+  lines.forEach(line => {
+    const found = new Set();
+    regexes.forEach(regex => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(line.text)) !== null) {
+        const { flagKey, camelKey } = match.groups;
+        const reference = flagKey ? { flagKey } : { camelKey };
+        const id = flagKey ? `key:${flagKey}` : `camel:${camelKey}`;
+        if (!found.has(id)) {
+          found.add(id);
+          references.push({ file: line.file, line: line.line, text: line.text.trim().slice(0, MAX_LINE_LENGTH), ...reference });
+        }
+        if (match[0] === '') {
+          regex.lastIndex++;
+        }
+      }
+    });
+  });
+  return references;
+}
+
+/**
+ * Compile include and exclude globs for relative paths
+ * matches(path) is true for paths that match an include glob and no exclude glob;
+ * isExcluded(path) alone tells whether a directory (path ending in /) can be skipped
+ */
+function createPathFilter(include, exclude) {
+  const includes = include.map(globToRegExp);
+  const excludes = exclude.map(globToRegExp);
+  const isExcluded = relativePath => excludes.some(regex => regex.test(relativePath));
+  return {
+    isExcluded,
+    matches: relativePath => !isExcluded(relativePath) && includes.some(regex => regex.test(relativePath))
+  };
+}
+
+/**
+ * List the files below a directory whose relative path matches an include glob and no exclude glob
+ * Excluded directories are not entered; symbolic links are not followed
+ */
+function listFiles(root, include, exclude) {
+  const paths = createPathFilter(include, exclude);
+
+  const files = [];
+  const walk = relativeDir => {
+    fs.readdirSync(path.join(root, relativeDir), { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(dirent => {
+        const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+        if (dirent.isDirectory()) {
+          if (!paths.isExcluded(`${relativePath}/`)) {
+            walk(relativePath);
+          }
+        } else if (dirent.isFile() && paths.matches(relativePath)) {
+          files.push(relativePath);
+        }
+      });
+  };
+  walk('');
+  return files;
+}
+
+/**
+ * Find the lines in the workspace that reference each flag
+ * Returns a Map of flag key → [{ file, line, text }] (flags without references are left out)
+ * Binary files and files over 1 MB are skipped
+ */
+function scanCodeReferences(flagKeys, options = {}) {
+  const {
+    root = resolveWorkspacePath('.'),
+    include = ['**/*'],
+    exclude = DEFAULT_CODE_REFERENCE_EXCLUDE,
+    patterns = DEFAULT_CODE_REFERENCE_PATTERNS
+  } = options;
+
+  const flags = [...new Set(flagKeys)].map(flagKey => ({
+    flagKey,
+    // Cheap substring checks before running the patterns on a line
+    needles: [flagKey, toCamelKey(flagKey)],
+    regexes: patterns.map(pattern => buildFlagRegExp(pattern, flagKey))
+  }));
+  const references = new Map();
+  if (flags.length === 0) {
+    return references;
+  }
+
+  listFiles(root, include, exclude).forEach(file => {
+    const content = fs.readFileSync(path.join(root, file));
+    if (content.length > MAX_FILE_SIZE || content.subarray(0, 8000).includes(0)) {
+      return;
+    }
+    content.toString('utf8').split(/\r?\n/).forEach((text, index) => {
+      flags.forEach(flag => {
+        if (flag.needles.some(needle => text.includes(needle)) && flag.regexes.some(regex => regex.test(text))) {
+          if (!references.has(flag.flagKey)) {
+            references.set(flag.flagKey, []);
+          }
+          references.get(flag.flagKey).push({ file, line: index + 1, text: text.trim().slice(0, MAX_LINE_LENGTH) });
+        }
+      });
+    });
+  });
+  return references;
+}
+
+module.exports = {
+  DEFAULT_CODE_REFERENCE_PATTERNS,
+  DEFAULT_CODE_REFERENCE_EXCLUDE,
+  toCamelKey,
+  globToRegExp,
+  compileReferencePatterns,
+  createPathFilter,
+  listFiles,
+  scanCodeReferences,
+  findReferencedKeys
+};
@@ -0,0 +1,172 @@
+const { DEFAULT_TIME_ZONE, getZonedParts, startOfDay } = require('./timezone');
+
+// Named formats in addition to token patterns (tokens: YYYY, MM, DD)
+const ISO8601 = 'ISO8601';
+const EPOCH_MS = 'EPOCH_MS';
+
+// Formats tried (in order) when detecting the format of an existing value
+const BUILT_IN_DATE_FORMATS = [
+  'MM/DD/YYYY',
+  'MM-DD-YYYY',
+  'YYYY-MM-DD',
+  'YYYY/MM/DD',
+  'DD/MM/YYYY',
+  'DD-MM-YYYY',
+  'DD.MM.YYYY',
+  ISO8601,
+  EPOCH_MS
+];
+
+const TOKEN_REGEX = /YYYY|MM|DD/g;
+
+const registry = new Map();
+
+/**
+ * Check that date components form a real calendar date (e.g. not February 30th)
+ */
+function isRealDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31 || year < 1900) {
+    return false;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day;
+}
+
+/**
+ * Create a format from a token pattern such as DD.MM.YYYY or YYYYMMDD
+ * Returns null when the pattern doesn't contain YYYY, MM and DD exactly once
+ * Dates are formatted in, and parsed to the start of the day in, the given time zone
+ */
+function createTokenFormat(pattern) {
+  const tokens = pattern.match(TOKEN_REGEX) || [];
+  if (tokens.length !== 3 || new Set(tokens).size !== 3) {
+    return null;
+  }
+
+  // Split the pattern into tokens and literal separators
+  const parts = pattern.split(/(YYYY|MM|DD)/).filter(part => part !== '');
+  const isToken = part => part === 'YYYY' || part === 'MM' || part === 'DD';
+  const source = parts.map((part, index) => {
+    if (part === 'YYYY') {
+      return '(\\d{4})';
+    }
+    if (isToken(part)) {
+      // Single digits are only unambiguous when the token is delimited by separators
+      const adjacentToken = isToken(parts[index - 1] || '') || isToken(parts[index + 1] || '');
+      return adjacentToken ? '(\\d{2})' : '(\\d{1,2})';
+    }
+    return part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }).join('');
+  const regex = new RegExp(`^${source}$`);
+  const tokenOrder = parts.filter(isToken);
+
+  return {
+    name: pattern,
+    format(date, timeZone = DEFAULT_TIME_ZONE) {
+      const { year, month, day } = getZonedParts(date, timeZone);
+      const values = {
+        YYYY: String(year),
+        MM: String(month).padStart(2, '0'),
+        DD: String(day).padStart(2, '0')
+      };
+      return pattern.replace(TOKEN_REGEX, token => values[token]);
+    },
+    parse(value, timeZone = DEFAULT_TIME_ZONE) {
+      const match = value.match(regex);
+      if (!match) {
+        return null;
+      }
+      const components = {};
+      tokenOrder.forEach((token, index) => {
+        components[token] = parseInt(match[index + 1], 10);
+      });
+      if (!isRealDate(components.YYYY, components.MM, components.DD)) {
+        return null;
+      }
+      return startOfDay(components.YYYY, components.MM, components.DD, timeZone);
+    }
+  };
+}
+
+/**
+ * Full ISO 8601 timestamp, e.g. 2025-08-17T14:30:00.000Z
+ */
+const iso8601Format = {
+  name: ISO8601,
+  format(date) {
+    return date.toISOString();
+  },
+  parse(value) {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    // Reject impossible calendar dates that Date would otherwise roll over
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(value);
+    return !isNaN(date.getTime()) && isRealDate(year, month, day) ? date : null;
+  }
+};
+
+/**
+ * Unix epoch in milliseconds, e.g. 1755441000000
+ */
+const epochMsFormat = {
+  name: EPOCH_MS,
+  format(date) {
+    return String(date.getTime());
+  },
+  parse(value) {
+    // 12-13 digits covers 1973-2286 and avoids mistaking compact dates (YYYYMMDD) or seconds for milliseconds
+    if (!/^\d{12,13}$/.test(value)) {
+      return null;
+    }
+    return new Date(Number(value));
+  }
+};
+
+/**
+ * Look up a date format by name (case-insensitive) or token pattern
+ * Throws for formats that are neither a named format nor a valid pattern
+ */
+function getDateFormat(name) {
+  // Tokens are case-insensitive but literal text in a pattern is kept as written
+  const key = String(name || '').trim().replace(/yyyy|mm|dd/gi, token => token.toUpperCase());
+  if (!registry.has(key)) {
+    let format = null;
+    if (key.toUpperCase() === ISO8601) {
+      format = iso8601Format;
+    } else if (key.toUpperCase() === EPOCH_MS) {
+      format = epochMsFormat;
+    } else {
+      format = createTokenFormat(key);
+    }
+    if (!format) {
+      throw new Error(`Unsupported date format: ${name}. Use one of ${BUILT_IN_DATE_FORMATS.join(', ')} or a pattern containing YYYY, MM and DD (e.g. DD.MM.YYYY)`);
+    }
+    registry.set(key, format);
+  }
+  return registry.get(key);
+}
+
+/**
+ * Check whether a date format name or pattern is supported
+ */
+function isSupportedDateFormat(name) {
+  try {
+    getDateFormat(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  ISO8601,
+  EPOCH_MS,
+  BUILT_IN_DATE_FORMATS,
+  getDateFormat,
+  isSupportedDateFormat
+};
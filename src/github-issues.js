@@ -0,0 +1,218 @@
+const github = require('@actions/github');
+
+// Which audit buckets get an issue
+const ISSUE_MODES = ['none', 'expired', 'expiring'];
+
+// Hidden marker in the issue body that ties an issue to a flag, e.g. <!-- launchdarkly-flag-expiry: my-project/my-flag -->
+const MARKER_REGEX = /<!-- launchdarkly-flag-expiry: ([^\s/]+)\/(\S+) -->/;
+// Added to the body of issues the action closes, so they can be told apart from issues closed by hand
+const CLOSED_MARKER = '<!-- launchdarkly-flag-expiry-closed -->';
+
+// Code references listed in an issue body; the job summary and outputs have all of them
+const MAX_ISSUE_REFERENCES = 20;
+
+/**
+ * Build the marker for the issue of a flag
+ */
+function buildIssueMarker(projectKey, flagKey) {
+  return `<!-- launchdarkly-flag-expiry: ${projectKey}/${flagKey} -->`;
+}
+
+/**
+ * Read the project and flag key from an issue body, or return null for issues without a marker
+ */
+function parseIssueMarker(body) {
+  const match = MARKER_REGEX.exec(body || '');
+  return match ? { projectKey: match[1], flagKey: match[2] } : null;
+}
+
+/**
+ * Link to a flag in the LaunchDarkly UI of the configured instance
+ */
+function buildFlagUrl(baseUrl, projectKey, flagKey) {
+  return `${baseUrl}/projects/${encodeURIComponent(projectKey)}/flags/${encodeURIComponent(flagKey)}`;
+}
+
+/**
+ * Build the title and body of the issue for an audited flag
+ */
+function buildIssueContent(entry, { baseUrl, customPropertyName }) {
+  // Only the expiry date, not the days left or overdue, so scheduled runs don't rewrite every issue each day
+  const overdue = entry.daysUntilExpiry < 0;
+
+  // Plain path:line references rather than links to a commit, so the body only changes when the code does
+  const references = entry.codeReferences || [];
+  const referenceLines = references.length === 0 ? [] : [
+    '',
+    '**Code references**',
+    '',
+    ...references.slice(0, MAX_ISSUE_REFERENCES).map(reference => `- \`${reference.file}:${reference.line}\``),
+    ...(references.length > MAX_ISSUE_REFERENCES ? [`- …and ${references.length - MAX_ISSUE_REFERENCES} more`] : [])
+  ];
+
+  return {
+    title: `Feature flag ${entry.key} ${overdue ? 'expired' : 'expires'} on ${entry.expiryDate}`,
+    body: [
+      buildIssueMarker(entry.projectKey, entry.key),
+      overdue
+        ? `The feature flag \`${entry.key}\` in LaunchDarkly project \`${entry.projectKey}\` is past its \`${customPropertyName}\`. Remove it from the code and archive it, or extend the expiry date if it is still needed.`
+        : `The feature flag \`${entry.key}\` in LaunchDarkly project \`${entry.projectKey}\` is about to reach its \`${customPropertyName}\`. Plan its removal from the code, or extend the expiry date if it is still needed.`,
+      '',
+      '| | |',
+      '|---|---|',
+      `| Flag | [${entry.name || entry.key}](${buildFlagUrl(baseUrl, entry.projectKey, entry.key)}) |`,
+      `| Created | ${entry.creationDate || '-'} |`,
+      `| Expiry | ${entry.expiryDate} |`,
+      `| Maintainer | ${entry.maintainer || '-'} |`,
+      ...referenceLines,
+      '',
+      '_This issue is updated by the LaunchDarkly flag expiry action and closed when the flag is archived or its expiry date is extended._'
+    ].join('\n')
+  };
+}
+
+/**
+ * Create an Octokit client and the repository (owner/repo) of the workflow run
+ */
+function createIssueClient(token) {
+  return { octokit: github.getOctokit(token), repo: github.context.repo };
+}
+
+/**
+ * Open, update and close one GitHub issue per flag
+ * Flags in the audit buckets selected by issueMode get an issue (found again by its marker);
+ * open issues of flags whose expiry was extended out of those buckets or is now missing or invalid,
+ * and of flags that are archived or deleted (getFlag resolves to null or an archived flag), are closed.
+ * Issues the action closed are reopened when their flag is due again; issues closed by hand are not.
+ * In dry-run mode nothing is written.
+ * Returns [{ projectKey, key, action, issueNumber, url }] with action created, updated, unchanged,
+ * reopened, closed, closed_by_hand or failed (with error)
+ */
+async function syncExpiryIssues({ octokit, repo }, audit, options) {
+  const { issueMode, labels = [], baseUrl, customPropertyName, projectKeys, getFlag, dryRun = false } = options;
+  const entries = issueMode === 'expiring' ? [...audit.expired, ...audit.expiring] : audit.expired;
+
+  // Issues with our labels, keyed by project/flag; an open issue wins over closed ones
+  const existing = new Map();
+  const issues = await octokit.paginate(octokit.rest.issues.listForRepo, {
+    ...repo,
+    state: 'all',
+    labels: labels.join(','),
+    per_page: 100
+  });
+  issues.filter(issue => !issue.pull_request).forEach(issue => {
+    const marker = parseIssueMarker(issue.body);
+    if (!marker) {
+      return;
+    }
+    const key = `${marker.projectKey}/${marker.flagKey}`;
+    if (!existing.has(key) || issue.state === 'open') {
+      existing.set(key, issue);
+    }
+  });
+
+  const results = [];
+  const record = (entry, action, issue, error) => {
+    results.push({
+      projectKey: entry.projectKey,
+      key: entry.key,
+      action,
+      issueNumber: issue ? issue.number : null,
+      url: issue ? issue.html_url : null,
+      ...(error ? { error: error.message } : {})
+    });
+  };
+
+  // The marker lets later runs reopen the issue if the flag is due again
+  const closeIssue = async (issue, comment, stateReason) => {
+    if (dryRun) {
+      return;
+    }
+    await octokit.rest.issues.createComment({ ...repo, issue_number: issue.number, body: comment });
+    await octokit.rest.issues.update({
+      ...repo,
+      issue_number: issue.number,
+      state: 'closed',
+      state_reason: stateReason,
+      body: `${issue.body}\n${CLOSED_MARKER}`
+    });
+  };
+
+  for (const entry of entries) {
+    const issue = existing.get(`${entry.projectKey}/${entry.key}`);
+    const content = buildIssueContent(entry, { baseUrl, customPropertyName });
+    try {
+      if (!issue) {
+        const created = dryRun ? null : (await octokit.rest.issues.create({ ...repo, ...content, labels })).data;
+        record(entry, 'created', created);
+      } else if (issue.state !== 'open' && (issue.body || '').includes(CLOSED_MARKER)) {
+        if (!dryRun) {
+          await octokit.rest.issues.update({ ...repo, issue_number: issue.number, state: 'open', state_reason: 'reopened', ...content });
+        }
+        record(entry, 'reopened', issue);
+      } else if (issue.state !== 'open') {
+        record(entry, 'closed_by_hand', issue);
+      } else if (issue.title !== content.title || issue.body !== content.body) {
+        if (!dryRun) {
+          await octokit.rest.issues.update({ ...repo, issue_number: issue.number, ...content });
+        }
+        record(entry, 'updated', issue);
+      } else {
+        record(entry, 'unchanged', issue);
+      }
+    } catch (error) {
+      record(entry, 'failed', issue, error);
+    }
+  }
+
+  // Close the open issues of flags whose expiry date was extended, removed or made unreadable since the issue was opened
+  const extended = issueMode === 'expiring' ? audit.healthy : [...audit.expiring, ...audit.healthy];
+  const resolved = [
+    ...extended.map(entry => [entry, `Closing: the \`${customPropertyName}\` of \`${entry.key}\` was extended to ${entry.expiryDate}.`]),
+    ...audit.missing.map(entry => [entry, `Closing: \`${entry.key}\` no longer has a \`${customPropertyName}\`.`]),
+    ...audit.invalid.map(entry => [entry, `Closing: the \`${customPropertyName}\` of \`${entry.key}\` is not a date (\`${entry.value}\`).`])
+  ];
+  for (const [entry, comment] of resolved) {
+    const issue = existing.get(`${entry.projectKey}/${entry.key}`);
+    if (!issue || issue.state !== 'open') {
+      continue;
+    }
+    try {
+      await closeIssue(issue, comment, 'not_planned');
+      record(entry, 'closed', issue);
+    } catch (error) {
+      record(entry, 'failed', issue, error);
+    }
+  }
+
+  // Close the open issues of flags that were archived or deleted since the issue was opened
+  const audited = new Set(Object.keys(audit).reduce((keys, status) => keys.concat(audit[status].map(entry => `${entry.projectKey}/${entry.key}`)), []));
+  for (const [key, issue] of existing) {
+    const marker = parseIssueMarker(issue.body);
+    if (issue.state !== 'open' || audited.has(key) || !projectKeys.includes(marker.projectKey)) {
+      continue;
+    }
+    const entry = { projectKey: marker.projectKey, key: marker.flagKey };
+    try {
+      const flag = await getFlag(marker.projectKey, marker.flagKey);
+      if (flag && !flag.archived) {
+        continue;
+      }
+      await closeIssue(issue, `Closing: the flag \`${marker.flagKey}\` has been ${flag ? 'archived' : 'deleted'} in LaunchDarkly.`, 'completed');
+      record(entry, 'closed', issue);
+    } catch (error) {
+      record(entry, 'failed', issue, error);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  ISSUE_MODES,
+  buildIssueMarker,
+  parseIssueMarker,
+  buildIssueContent,
+  createIssueClient,
+  syncExpiryIssues
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveWorkspacePath } = require('./workspace');
+
+// Bump when the journal layout changes in a way older readers can't handle
+const JOURNAL_VERSION = 1;
+
+/**
+ * Convert an applied flag update into a journal entry with the value it replaced
+ */
+function buildJournalEntry(result) {
+  return {
+    projectKey: result.projectKey,
+    key: result.key,
+    customPropertyName: result.customPropertyName,
+    operation: result.operation,
+    previousValue: result.previousValue,
+    newValue: result.propertyValue
+  };
+}
+
+/**
+ * Convert an applied flag update into journal entries, one per property it changed
+ * Additional properties written in the same patch are journaled so they are rolled back too
+ */
+function buildJournalEntries(result) {
+  const additionalEntries = (result.additionalProperties || []).map(change => ({
+    projectKey: result.projectKey,
+    key: result.key,
+    customPropertyName: change.customPropertyName,
+    operation: change.operation,
+    previousValue: change.previousValue,
+    newValue: change.newValue
+  }));
+  return [buildJournalEntry(result), ...additionalEntries];
+}
+
+/**
+ * Write the journal of applied changes to a JSON file and return its resolved path
+ */
+function writeJournalFile(journalFile, metadata, updatedFlags) {
+  const journalFilePath = resolveWorkspacePath(journalFile);
+
+  const journal = {
+    version: JOURNAL_VERSION,
+    generatedAt: new Date().toISOString(),
+    runId: process.env.GITHUB_RUN_ID || null,
+    ...metadata,
+    entries: updatedFlags.reduce((entries, result) => entries.concat(buildJournalEntries(result)), [])
+  };
+
+  fs.mkdirSync(path.dirname(journalFilePath), { recursive: true });
+  fs.writeFileSync(journalFilePath, JSON.stringify(journal, null, 2));
+  return journalFilePath;
+}
+
+/**
+ * Read and validate a journal file written by a previous run
+ */
+function loadJournalFile(journalFile) {
+  const journalFilePath = resolveWorkspacePath(journalFile);
+  if (!fs.existsSync(journalFilePath)) {
+    throw new Error(`Journal file not found: ${journalFile}`);
+  }
+
+  let journal;
+  try {
+    journal = JSON.parse(fs.readFileSync(journalFilePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid journal file ${journalFile}: ${error.message}`);
+  }
+
+  if (!journal || typeof journal !== 'object' || !Array.isArray(journal.entries)) {
+    throw new Error(`Invalid journal file ${journalFile}: must contain an "entries" list`);
+  }
+  if (journal.version !== JOURNAL_VERSION) {
+    throw new Error(`Invalid journal file ${journalFile}: unsupported version ${journal.version} (expected ${JOURNAL_VERSION})`);
+  }
+  journal.entries.forEach((entry, index) => {
+    if (!entry || !entry.projectKey || !entry.key || !entry.customPropertyName || !entry.newValue) {
+      throw new Error(`Invalid journal file ${journalFile}: entry ${index + 1} must have projectKey, key, customPropertyName and newValue`);
+    }
+  });
+
+  return journal;
+}
+
+module.exports = {
+  JOURNAL_VERSION,
+  buildJournalEntry,
+  buildJournalEntries,
+  writeJournalFile,
+  loadJournalFile
+};
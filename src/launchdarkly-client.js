@@ -0,0 +1,465 @@
+const core = require('@actions/core');
+
+// Default LaunchDarkly instance (federal: https://app.launchdarkly.us, EU: https://app.eu.launchdarkly.com)
+const DEFAULT_BASE_URL = 'https://app.launchdarkly.com';
+
+// REST API version sent with every request
+const API_VERSION = '20240415';
+
+// Retry constants
+const MAX_RETRIES = 3; // total attempts per request
+const RETRY_DELAY = 5000; // 5 second base delay for retries
+const MAX_RETRY_DELAY = 60000; // cap for exponential backoff
+
+/**
+ * Sleep utility function
+ */
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a header from a fetch response (mocked responses may not have headers)
+ */
+function getHeader(headers, name) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
+  const value = headers.get(name);
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === null) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Parse LaunchDarkly rate limit headers
+ * Returns the lowest remaining budget across the route and global limits, the reset time
+ * (epoch milliseconds) and the Retry-After delay in milliseconds
+ */
+function parseRateLimitHeaders(headers) {
+  const remainingValues = ['X-Ratelimit-Route-Remaining', 'X-Ratelimit-Global-Remaining', 'X-Ratelimit-Remaining']
+    .map(name => getHeader(headers, name))
+    .filter(value => value !== null)
+    .map(Number)
+    .filter(Number.isFinite);
+  const reset = Number(getHeader(headers, 'X-Ratelimit-Reset'));
+
+  return {
+    remaining: remainingValues.length > 0 ? Math.min(...remainingValues) : null,
+    resetAt: Number.isFinite(reset) && reset > 0 ? reset : null,
+    retryAfterMs: parseRetryAfter(getHeader(headers, 'Retry-After'))
+  };
+}
+
+/**
+ * Create a rate limiter shared by all requests
+ * Requests wait for the window to reset once the remaining budget reported by
+ * LaunchDarkly is used up, and every request pauses after a 429 until the retry time
+ */
+function createRateLimiter() {
+  let remaining = null;
+  let resetAt = null;
+  let pausedUntil = 0;
+
+  return {
+    async acquire() {
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        const now = Date.now();
+        if (pausedUntil > now) {
+          await sleep(pausedUntil - now);
+          continue;
+        }
+        if (remaining !== null && remaining <= 0) {
+          if (resetAt && resetAt > now) {
+            core.debug(`Rate limit budget used up, waiting ${resetAt - now}ms for reset`);
+            await sleep(resetAt - now);
+          }
+          remaining = null;
+          resetAt = null;
+          continue;
+        }
+        if (remaining !== null) {
+          remaining--; // Reserve budget for this request until the response reports the real value
+        }
+        return;
+      }
+    },
+    update(headers) {
+      const limits = parseRateLimitHeaders(headers);
+      if (limits.remaining !== null) {
+        remaining = limits.remaining;
+      }
+      if (limits.resetAt !== null) {
+        resetAt = limits.resetAt;
+      }
+    },
+    pauseUntil(timestamp) {
+      pausedUntil = Math.max(pausedUntil, timestamp);
+    },
+    reset() {
+      remaining = null;
+      resetAt = null;
+      pausedUntil = 0;
+    }
+  };
+}
+
+// Shared by every client so concurrent requests with the same token are paced together
+const rateLimiter = createRateLimiter();
+
+/**
+ * Error returned by the LaunchDarkly API
+ * attempts is the number of requests made before it, so callers can tell a retried request
+ */
+class LaunchDarklyApiError extends Error {
+  constructor(message, { status, statusText, code, body, requestId, attempts } = {}) {
+    super(message);
+    this.name = 'LaunchDarklyApiError';
+    this.status = status;
+    this.statusText = statusText;
+    this.code = code || null;
+    this.body = body || null;
+    this.requestId = requestId || null;
+    this.attempts = attempts || 1;
+  }
+}
+
+// HTTP statuses that will never succeed on retry
+const NON_RETRYABLE_STATUSES = [400, 401, 403, 404, 409];
+
+const retryPolicy = {
+  maxAttempts: MAX_RETRIES,
+  baseDelayMs: RETRY_DELAY,
+  maxDelayMs: MAX_RETRY_DELAY
+};
+
+/**
+ * Merge retry settings over a policy, ignoring unset values
+ */
+function mergeRetryPolicy(policy, settings = {}) {
+  const merged = { ...policy };
+  Object.entries(settings).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      merged[name] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Override the default retry policy used by fetchWithRetry
+ */
+function configureRetryPolicy(settings = {}) {
+  Object.assign(retryPolicy, mergeRetryPolicy(retryPolicy, settings));
+}
+
+/**
+ * Decide whether a failed request should be retried
+ * Network errors, rate limiting and server errors are retryable, client errors are not
+ */
+function isRetryableError(error) {
+  if (!(error instanceof LaunchDarklyApiError)) {
+    return true;
+  }
+  if (NON_RETRYABLE_STATUSES.includes(error.status)) {
+    return false;
+  }
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Calculate the backoff delay for an attempt: exponential, capped, with jitter
+ * so concurrent workers don't retry in lockstep
+ */
+function computeRetryDelay(attempt, policy = retryPolicy) {
+  const exponential = policy.baseDelayMs * Math.pow(2, attempt - 1);
+  const capped = Math.min(exponential, policy.maxDelayMs);
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+}
+
+/**
+ * Build a LaunchDarklyApiError from an unsuccessful response
+ */
+async function createApiError(response) {
+  let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+  let body = null;
+  let code = null;
+  
+  // Try to get more details from the response body
+  try {
+    const errorBody = await response.text();
+    if (errorBody) {
+      core.debug(`API Error Response Body: ${errorBody}`);
+      errorMessage += `. Response: ${errorBody}`;
+      body = errorBody;
+      try {
+        code = JSON.parse(errorBody).code || null;
+      } catch (parseError) {
+        // Not a JSON body
+      }
+    }
+  } catch (bodyError) {
+    core.debug(`Could not read error response body: ${bodyError.message}`);
+  }
+  
+  // Add specific guidance for common errors
+  if (response.status === 401) {
+    errorMessage += '. Please check your API key is valid and has the required permissions.';
+  } else if (response.status === 403) {
+    errorMessage += '. Your API key does not have permission to perform this action.';
+  } else if (response.status === 404) {
+    errorMessage += '. Resource may not exist or you don\'t have access to it.';
+  } else if (response.status === 400) {
+    errorMessage += '. Check the request format and parameters.';
+  } else if (response.status === 409) {
+    errorMessage += '. The resource was modified by another request.';
+  }
+  
+  return new LaunchDarklyApiError(errorMessage, {
+    status: response.status,
+    statusText: response.statusText,
+    code,
+    body,
+    requestId: getHeader(response.headers, 'X-Request-Id')
+  });
+}
+
+/**
+ * Fetch with retry logic, adaptive rate limiting and 429 handling
+ * Server-provided wait times (Retry-After, X-Ratelimit-Reset) are honored,
+ * client errors (400/401/403/404/409) are never retried
+ * Non-idempotent requests (context.idempotent false) are only retried after a 429,
+ * since a network error or 5xx doesn't tell whether the server applied them
+ */
+async function fetchWithRetry(url, options, maxRetries, context = {}) {
+  const { policy = retryPolicy, limiter = rateLimiter, idempotent = true } = context;
+  if (maxRetries === undefined) {
+    maxRetries = policy.maxAttempts;
+  }
+  let lastError;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    let response;
+    try {
+      await limiter.acquire();
+      response = await fetch(url, options);
+    } catch (error) {
+      // Network errors are retryable unless the request may have been applied
+      lastError = error;
+      if (!idempotent) {
+        break;
+      }
+      if (attempt < maxRetries) {
+        const delay = computeRetryDelay(attempt, policy);
+        core.warning(`Request failed (attempt ${attempt}/${maxRetries}): ${error.message}. Retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+      continue;
+    }
+    
+    limiter.update(response.headers);
+    if (response.ok) {
+      return response;
+    }
+    
+    lastError = await createApiError(response);
+    lastError.attempts = attempt;
+    if (attempt >= maxRetries || !isRetryableError(lastError) || (!idempotent && response.status !== 429)) {
+      break; // Don't retry client errors, repeat non-idempotent requests or retry on final attempt
+    }
+    
+    const { retryAfterMs, resetAt } = parseRateLimitHeaders(response.headers);
+    if (response.status === 429) {
+      // Rate limited - wait for the server-provided time, falling back to
+      // exponential backoff as per LaunchDarkly docs
+      let delay = computeRetryDelay(attempt, policy);
+      if (retryAfterMs !== null) {
+        delay = retryAfterMs;
+      } else if (resetAt !== null) {
+        delay = Math.max(resetAt - Date.now(), 0);
+      }
+      core.warning(`Rate limited (attempt ${attempt}/${maxRetries}), waiting ${delay}ms`);
+      // Pause all concurrent requests, not just this one
+      limiter.pauseUntil(Date.now() + delay);
+    } else {
+      const delay = retryAfterMs !== null ? retryAfterMs : computeRetryDelay(attempt, policy);
+      core.warning(`Request failed (attempt ${attempt}/${maxRetries}): ${lastError.message}. Retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+  
+  // Ensure we always throw a proper Error object
+  if (lastError instanceof Error) {
+    throw lastError;
+  } else if (typeof lastError === 'string') {
+    throw new Error(lastError);
+  } else if (lastError && lastError.message) {
+    throw new Error(lastError.message);
+  } else {
+    throw new Error('Request failed after maximum retries');
+  }
+}
+
+/**
+ * Validate a LaunchDarkly base URL and strip any trailing slash
+ * HTTPS is required except for local hosts (e.g. a mock server in tests)
+ */
+function normalizeBaseUrl(baseUrl) {
+  let parsed;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (error) {
+    throw new Error(`Invalid base_url value: ${baseUrl}. Must be an absolute URL such as ${DEFAULT_BASE_URL}`);
+  }
+
+  const isLocalHost = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocalHost)) {
+    throw new Error(`Invalid base_url value: ${baseUrl}. Must use https (http is only allowed for localhost)`);
+  }
+  if (parsed.search || parsed.hash || parsed.username || parsed.password) {
+    throw new Error(`Invalid base_url value: ${baseUrl}. Must not include credentials, a query string or a fragment`);
+  }
+
+  return `${parsed.origin}${parsed.pathname}`.replace(/\/+$/, '');
+}
+
+/**
+ * Add context to an error while keeping the details of API errors
+ */
+function withErrorContext(error, context) {
+  const message = `${context}: ${error.message}`;
+  return error instanceof LaunchDarklyApiError ? new LaunchDarklyApiError(message, error) : new Error(message);
+}
+
+/**
+ * LaunchDarkly REST API client
+ * Handles authentication, the base URL, the API version header, pagination,
+ * retries (per-client policy) and rate limiting (shared across clients)
+ */
+class LaunchDarklyClient {
+  constructor({ apiKey, baseUrl = DEFAULT_BASE_URL, apiVersion = API_VERSION, retry = null, limiter = rateLimiter }) {
+    this.apiKey = apiKey;
+    this.baseUrl = normalizeBaseUrl(baseUrl);
+    this.apiVersion = apiVersion;
+    // Without an explicit policy the module default (see configureRetryPolicy) applies
+    this.retryPolicy = retry ? mergeRetryPolicy(retryPolicy, retry) : null;
+    this.limiter = limiter;
+  }
+
+  /**
+   * Build the full URL for an API path (e.g. /api/v2/flags/my-project)
+   */
+  url(apiPath) {
+    return `${this.baseUrl}${apiPath}`;
+  }
+
+  /**
+   * Make an authenticated request with retries and rate limiting
+   * Pass idempotent: false for requests that must not be repeated after a network error or 5xx (e.g. creating resources)
+   */
+  request(apiPath, options = {}) {
+    const { idempotent = true, ...fetchOptions } = options;
+    return fetchWithRetry(this.url(apiPath), {
+      ...fetchOptions,
+      headers: {
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json',
+        'LD-API-Version': this.apiVersion,
+        ...fetchOptions.headers
+      }
+    }, undefined, { policy: this.retryPolicy || retryPolicy, limiter: this.limiter, idempotent });
+  }
+
+  /**
+   * Make a request and parse the JSON response
+   */
+  async requestJson(apiPath, options = {}) {
+    const response = await this.request(apiPath, options);
+    return response.json();
+  }
+
+  /**
+   * Fetch every item of a paginated collection using limit/offset
+   * onPage is called after each page with the items so far and the page data (e.g. for progress logging)
+   */
+  async paginate(apiPath, { limit = 50, query = '', description = 'items', onPage } = {}) {
+    const items = [];
+    let offset = 0;
+
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      let data;
+      try {
+        core.debug(`Fetching ${description}: offset=${offset}, limit=${limit}`);
+        data = await this.requestJson(`${apiPath}?limit=${limit}&offset=${offset}${query}`);
+      } catch (error) {
+        throw withErrorContext(error, `Failed to fetch ${description} at offset ${offset}`);
+      }
+
+      if (!data.items || data.items.length === 0) {
+        core.debug('No items returned, ending pagination');
+        break;
+      }
+
+      items.push(...data.items);
+      offset += limit;
+      if (onPage) {
+        onPage(items, data);
+      }
+
+      // If we got fewer items than the limit, we've reached the end
+      if (data.items.length < limit) {
+        core.debug(`Reached end of results (got ${data.items.length} < ${limit})`);
+        break;
+      }
+    }
+
+    return items;
+  }
+}
+
+/**
+ * Accept either a LaunchDarklyClient or an API key (for the default instance)
+ */
+function toApiClient(client) {
+  return client instanceof LaunchDarklyClient ? client : new LaunchDarklyClient({ apiKey: client });
+}
+
+// Polyfill for fetch if not available
+if (typeof fetch === 'undefined') {
+  global.fetch = require('node-fetch');
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  API_VERSION,
+  MAX_RETRIES,
+  RETRY_DELAY,
+  MAX_RETRY_DELAY,
+  LaunchDarklyClient,
+  LaunchDarklyApiError,
+  toApiClient,
+  normalizeBaseUrl,
+  fetchWithRetry,
+  configureRetryPolicy,
+  isRetryableError,
+  computeRetryDelay,
+  parseRateLimitHeaders,
+  createRateLimiter,
+  rateLimiter,
+  sleep
+};
@@ -0,0 +1,279 @@
+const { compileTemplate } = require('./templates');
+
+// Payload formats: Slack incoming webhook, Microsoft Teams (Adaptive Card) or the digest itself as JSON
+const WEBHOOK_TYPES = ['slack', 'teams', 'generic'];
+const NOTIFY_GROUPINGS = ['maintainer', 'none'];
+// 'changes' skips runs with nothing updated, requested for approval, conflicted, failed, expired or expiring
+const NOTIFY_CONDITIONS = ['changes', 'always'];
+// Webhooks that don't answer in time are given up on, so they can't hold up the job
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const DEFAULT_MESSAGE_TEMPLATE = 'LaunchDarkly flag expiry ({projects}): {updated} updated, {approvalRequests} awaiting approval, {conflicted} conflicted, {failed} failed, {expired} expired, {expiring} expiring';
+const DEFAULT_FLAG_TEMPLATE = '{flagKey}: {detail}';
+
+const MESSAGE_TEMPLATE_VARIABLES = {
+  projects: 'text',
+  updated: 'text',
+  approvalRequests: 'text',
+  conflicted: 'text',
+  failed: 'text',
+  expired: 'text',
+  expiring: 'text',
+  repository: 'text',
+  runUrl: 'text'
+};
+const FLAG_TEMPLATE_VARIABLES = {
+  flagKey: 'text',
+  flagName: 'text',
+  projectKey: 'text',
+  status: 'text',
+  expiryDate: 'text',
+  maintainer: 'text',
+  detail: 'text',
+  flagUrl: 'text'
+};
+
+// Most pressing first within a group
+const STATUS_ORDER = ['failed', 'conflicted', 'expired', 'expiring', 'approval-requested', 'updated'];
+// Slack rejects section texts over 3000 characters and messages over 50 blocks
+const SLACK_MAX_TEXT_LENGTH = 3000;
+const SLACK_MAX_GROUPS = 45;
+
+/**
+ * Compile the notify_message_template and notify_flag_template inputs (empty inputs use the defaults)
+ */
+function parseNotificationTemplates(messageTemplate, flagTemplate) {
+  return {
+    message: compileTemplate(messageTemplate || DEFAULT_MESSAGE_TEMPLATE, MESSAGE_TEMPLATE_VARIABLES, 'notify_message_template'),
+    flag: compileTemplate(flagTemplate || DEFAULT_FLAG_TEMPLATE, FLAG_TEMPLATE_VARIABLES, 'notify_flag_template')
+  };
+}
+
+// Slack mrkdwn control characters
+const escapeSlack = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Describe the expiry of an audited flag relative to today
+ */
+function describeExpiry(entry) {
+  const days = Math.abs(entry.daysUntilExpiry);
+  if (entry.daysUntilExpiry < 0) {
+    return `expired on ${entry.expiryDate} (${days} day${days === 1 ? '' : 's'} ago)`;
+  }
+  return entry.daysUntilExpiry === 0 ? `expires today (${entry.expiryDate})` : `expires on ${entry.expiryDate} (in ${days} day${days === 1 ? '' : 's'})`;
+}
+
+/**
+ * Build the digest of a run from its { updated, approvalRequests, conflicted, failed, expired, expiring } flags
+ * Each flag becomes an item with its line rendered from the flag template; items are grouped
+ * by maintainer (flags without one last) or kept in a single group with groupBy 'none'
+ * With webhookType 'slack' the values are escaped for Slack mrkdwn before rendering, so flag names and
+ * error messages can't break the message while templates can still use Slack links like <{flagUrl}|{flagKey}>
+ * Returns { text, counts, repository, runUrl, groups: [{ maintainer, items }] }
+ */
+function buildDigest(results, options) {
+  const { templates, groupBy = 'maintainer', projectKeys = [], baseUrl, repository = null, runUrl = null, webhookType = 'generic' } = options;
+  const escape = value => (webhookType === 'slack' && typeof value === 'string' ? escapeSlack(value) : value);
+  const { updated = [], approvalRequests = [], conflicted = [], failed = [], expired = [], expiring = [] } = results;
+  const flagUrl = (projectKey, flagKey) => `${baseUrl}/projects/${encodeURIComponent(projectKey)}/flags/${encodeURIComponent(flagKey)}`;
+
+  const items = [
+    ...updated.map(flag => ({ status: 'updated', flag, expiryDate: flag.calculatedExpiryDate, detail: `expiry set to ${flag.propertyValue}` })),
+    ...approvalRequests.map(flag => ({
+      status: 'approval-requested',
+      flag,
+      expiryDate: flag.calculatedExpiryDate,
+      detail: `approval requested to set expiry to ${flag.propertyValue}`
+    })),
+    ...conflicted.map(flag => ({ status: 'conflicted', flag, expiryDate: null, detail: 'changed during the run, not updated' })),
+    ...failed.map(flag => ({ status: 'failed', flag, expiryDate: null, detail: `failed: ${flag.error}` })),
+    ...expired.map(flag => ({ status: 'expired', flag, expiryDate: flag.expiryDate, detail: describeExpiry(flag) })),
+    ...expiring.map(flag => ({ status: 'expiring', flag, expiryDate: flag.expiryDate, detail: describeExpiry(flag) }))
+  ].map(({ status, flag, expiryDate, detail }) => {
+    const item = {
+      status,
+      projectKey: flag.projectKey,
+      key: flag.key,
+      name: flag.name || flag.key,
+      maintainer: flag.maintainer || null,
+      expiryDate,
+      detail,
+      flagUrl: flagUrl(flag.projectKey, flag.key)
+    };
+    item.text = templates.flag.render({
+      flagKey: escape(item.key),
+      flagName: escape(item.name),
+      projectKey: escape(item.projectKey),
+      status,
+      expiryDate,
+      maintainer: escape(item.maintainer),
+      detail: escape(detail),
+      flagUrl: escape(item.flagUrl)
+    });
+    return item;
+  });
+
+  const groups = new Map();
+  items.forEach(item => {
+    const maintainer = groupBy === 'maintainer' ? item.maintainer : null;
+    if (!groups.has(maintainer)) {
+      groups.set(maintainer, { maintainer, items: [] });
+    }
+    groups.get(maintainer).items.push(item);
+  });
+  const sortedGroups = [...groups.values()].sort((a, b) => {
+    if (a.maintainer === null || b.maintainer === null) {
+      return (a.maintainer === null ? 1 : 0) - (b.maintainer === null ? 1 : 0);
+    }
+    return a.maintainer.localeCompare(b.maintainer);
+  });
+  sortedGroups.forEach(group => group.items.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)));
+
+  const counts = {
+    updated: updated.length,
+    approvalRequests: approvalRequests.length,
+    conflicted: conflicted.length,
+    failed: failed.length,
+    expired: expired.length,
+    expiring: expiring.length
+  };
+  return {
+    text: templates.message.render({
+      projects: escape(projectKeys.join(', ')),
+      updated: counts.updated,
+      approvalRequests: counts.approvalRequests,
+      conflicted: counts.conflicted,
+      failed: counts.failed,
+      expired: counts.expired,
+      expiring: counts.expiring,
+      repository: escape(repository),
+      runUrl: escape(runUrl)
+    }),
+    counts,
+    repository,
+    runUrl,
+    groups: sortedGroups
+  };
+}
+
+/**
+ * Join lines up to a maximum length, ending with a count of the lines left out
+ */
+function joinLines(lines, maxLength) {
+  const joined = [];
+  let length = 0;
+  for (let index = 0; index < lines.length; index++) {
+    const rest = `…and ${lines.length - index} more`;
+    if (length + lines[index].length + 1 + rest.length + 1 > maxLength) {
+      joined.push(rest);
+      break;
+    }
+    joined.push(lines[index]);
+    length += lines[index].length + 1;
+  }
+  return joined.join('\n');
+}
+
+/**
+ * Slack incoming webhook message: the summary, one section per group and a link to the run
+ * Rendered template lines are sent as mrkdwn (build the digest with webhookType 'slack' to escape their values)
+ */
+function formatSlackMessage(digest) {
+  const groups = digest.groups.slice(0, SLACK_MAX_GROUPS);
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `*${digest.text}*` } },
+    ...groups.map(group => {
+      const lines = group.items.map(item => `• ${item.text}`);
+      const heading = digest.groups.length > 1 || group.maintainer ? [`*${escapeSlack(group.maintainer || 'No maintainer')}*`] : [];
+      return { type: 'section', text: { type: 'mrkdwn', text: joinLines([...heading, ...lines], SLACK_MAX_TEXT_LENGTH) } };
+    })
+  ];
+  if (digest.groups.length > groups.length) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${digest.groups.length - groups.length} more maintainers` }] });
+  }
+  if (digest.runUrl) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${digest.runUrl}|View workflow run>` }] });
+  }
+  // text is the fallback shown in notifications
+  return { text: digest.text, blocks };
+}
+
+/**
+ * Microsoft Teams message with an Adaptive Card (Teams workflow webhooks)
+ */
+function formatTeamsMessage(digest) {
+  const body = [{ type: 'TextBlock', text: digest.text, weight: 'Bolder', size: 'Medium', wrap: true }];
+  digest.groups.forEach(group => {
+    if (digest.groups.length > 1 || group.maintainer) {
+      body.push({ type: 'TextBlock', text: group.maintainer || 'No maintainer', weight: 'Bolder', spacing: 'Medium', wrap: true });
+    }
+    body.push({ type: 'TextBlock', text: group.items.map(item => `- ${item.text}`).join('\n'), wrap: true });
+  });
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        actions: digest.runUrl ? [{ type: 'Action.OpenUrl', title: 'View workflow run', url: digest.runUrl }] : []
+      }
+    }]
+  };
+}
+
+/**
+ * Build the webhook payload of a digest for a webhook type
+ */
+function formatWebhookPayload(type, digest) {
+  if (type === 'slack') {
+    return formatSlackMessage(digest);
+  }
+  if (type === 'teams') {
+    return formatTeamsMessage(digest);
+  }
+  return digest;
+}
+
+/**
+ * POST a payload as JSON to a webhook URL; throws when the webhook doesn't answer with a 2xx status
+ * or doesn't answer within timeoutMs
+ */
+async function sendWebhook(url, payload, { timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Webhook responded with ${response.status} ${response.statusText}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`Webhook did not respond within ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  WEBHOOK_TYPES,
+  NOTIFY_GROUPINGS,
+  NOTIFY_CONDITIONS,
+  parseNotificationTemplates,
+  buildDigest,
+  formatSlackMessage,
+  formatTeamsMessage,
+  formatWebhookPayload,
+  sendWebhook
+};
@@ -0,0 +1,54 @@
+const github = require('@actions/github');
+
+// Hunk header of a unified diff, e.g. @@ -10,4 +10,6 @@ function name
+const HUNK_HEADER_REGEX = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * The number of the pull request that triggered the workflow, or null for other events
+ */
+function getPullRequestNumber() {
+  const pullRequest = (github.context.payload || {}).pull_request;
+  return pullRequest ? pullRequest.number : null;
+}
+
+/**
+ * Read the added lines of a unified diff patch with their line numbers in the new file
+ */
+function parseAddedLines(patch) {
+  const added = [];
+  let line = 0;
+  (patch || '').split('\n').forEach(diffLine => {
+    const hunk = HUNK_HEADER_REGEX.exec(diffLine);
+    if (hunk) {
+      line = Number(hunk[1]);
+    } else if (diffLine.startsWith('+')) {
+      added.push({ line, text: diffLine.slice(1) });
+      line++;
+    } else if (diffLine.startsWith(' ')) {
+      line++;
+    }
+    // Removed lines and "\ No newline at end of file" don't exist in the new file
+  });
+  return added;
+}
+
+/**
+ * List the lines added by a pull request as [{ file, line, text }]
+ * Removed files and files without a patch (binary, or too large for the API to diff) are skipped
+ */
+async function listAddedLines({ octokit, repo }, pullNumber) {
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    ...repo,
+    pull_number: pullNumber,
+    per_page: 100
+  });
+  return files
+    .filter(file => file.status !== 'removed' && file.patch)
+    .reduce((lines, file) => lines.concat(parseAddedLines(file.patch).map(added => ({ file: file.filename, ...added }))), []);
+}
+
+module.exports = {
+  getPullRequestNumber,
+  parseAddedLines,
+  listAddedLines
+};
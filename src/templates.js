@@ -0,0 +1,97 @@
+// Placeholders look like {flagKey}, or {expiry-14d} / {created+7d} for date variables
+// Use {{ and }} for literal braces
+const TOKEN_REGEX = /\{\{|\}\}|\{([^{}]*)\}|[{}]/g;
+const PLACEHOLDER_REGEX = /^\s*([A-Za-z][A-Za-z0-9_]*)\s*(?:([+-])\s*(\d+)\s*d)?\s*$/;
+
+/**
+ * Compile a value template against a set of known variables
+ * variables maps each variable name to 'text' or 'date'; only date variables accept a day offset
+ * Throws for unknown variables and malformed placeholders so templates fail before any API calls
+ *
+ * The returned template's render(values) fills in the placeholders:
+ * values[name] is a string for text variables (null/undefined renders as an empty string)
+ * and a function (offsetDays) => string for date variables
+ * extract(value) does the reverse for a rendered value, returning { name: text } or null if it doesn't match
+ * parts lists the literal text (strings) and placeholders ({ name, offsetDays }) in template order
+ */
+function compileTemplate(template, variables, label = 'template') {
+  if (typeof template !== 'string') {
+    throw new Error(`Invalid ${label}: must be a string`);
+  }
+
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+  TOKEN_REGEX.lastIndex = 0;
+  while ((match = TOKEN_REGEX.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push(template.slice(lastIndex, match.index));
+    }
+    lastIndex = TOKEN_REGEX.lastIndex;
+
+    const [token, inner] = match;
+    if (token === '{{' || token === '}}') {
+      parts.push(token[0]);
+      continue;
+    }
+    if (inner === undefined) {
+      throw new Error(`Invalid ${label}: unmatched '${token}' in "${template}" (use {{ or }} for a literal brace)`);
+    }
+
+    const placeholder = PLACEHOLDER_REGEX.exec(inner);
+    if (!placeholder) {
+      throw new Error(`Invalid ${label}: malformed placeholder {${inner}} in "${template}"`);
+    }
+    const [, name, sign, amount] = placeholder;
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new Error(`Invalid ${label}: unknown placeholder {${name}}. Supported: ${Object.keys(variables).map(variable => `{${variable}}`).join(', ')}`);
+    }
+    if (sign && variables[name] !== 'date') {
+      throw new Error(`Invalid ${label}: {${inner}} has a day offset but ${name} is not a date`);
+    }
+    parts.push({ name, offsetDays: sign ? Number(`${sign}${amount}`) : 0 });
+  }
+  if (lastIndex < template.length) {
+    parts.push(template.slice(lastIndex));
+  }
+
+  // Placeholders match lazily, so the literal text between them separates the values
+  const placeholders = parts.filter(part => typeof part !== 'string');
+  const extractRegex = new RegExp(`^${parts.map(part => (typeof part === 'string' ? part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&') : '(.*?)')).join('')}$`);
+
+  return {
+    source: template,
+    variables: [...new Set(placeholders.map(part => part.name))],
+    parts: parts.map(part => (typeof part === 'string' ? part : { ...part })),
+    render(values) {
+      return parts.map(part => {
+        if (typeof part === 'string') {
+          return part;
+        }
+        const value = values[part.name];
+        if (variables[part.name] === 'date') {
+          return value ? value(part.offsetDays) : '';
+        }
+        return value === null || value === undefined ? '' : String(value);
+      }).join('');
+    },
+    extract(value) {
+      const match = extractRegex.exec(value);
+      if (!match) {
+        return null;
+      }
+      // Only placeholders without a day offset hold the variable's own value
+      const values = {};
+      placeholders.forEach((part, index) => {
+        if (part.offsetDays === 0 && !Object.prototype.hasOwnProperty.call(values, part.name)) {
+          values[part.name] = match[index + 1];
+        }
+      });
+      return values;
+    }
+  };
+}
+
+module.exports = {
+  compileTemplate
+};
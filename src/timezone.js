@@ -0,0 +1,120 @@
+// Expiry dates are calendar dates in this time zone unless the timezone input says otherwise
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that splits an instant into wall-clock parts in a time zone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check whether a string is an IANA time zone name known to the runtime (e.g. Europe/Berlin)
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * Returns { year, month, day, hour, minute, second } with month 1-12
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds (e.g. +7200000 for CEST)
+ */
+function getTimeZoneOffset(date, timeZone = DEFAULT_TIME_ZONE) {
+  const instant = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - instant;
+}
+
+/**
+ * Get the first instant of a calendar date in a time zone
+ * Usually midnight; on days where a DST change skips midnight, the first hour that exists
+ */
+function startOfDay(year, month, day, timeZone = DEFAULT_TIME_ZONE) {
+  const wallClockMidnight = Date.UTC(year, month - 1, day);
+  // The offset can differ either side of a DST change, so try both and keep the earliest on the right day
+  const offsets = [getTimeZoneOffset(wallClockMidnight, timeZone)];
+  offsets.push(getTimeZoneOffset(wallClockMidnight - offsets[0], timeZone));
+
+  const candidates = offsets
+    .map(offset => wallClockMidnight - offset)
+    .filter(instant => {
+      const parts = getZonedParts(instant, timeZone);
+      return parts.year === year && parts.month === month && parts.day === day;
+    });
+  return new Date(Math.min(...candidates));
+}
+
+/**
+ * Get the first instant of the calendar day an instant falls on in a time zone
+ */
+function startOfZonedDay(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return startOfDay(year, month, day, timeZone);
+}
+
+/**
+ * Move an instant by whole calendar days in a time zone
+ * Returns the start of the resulting day, so a day across a DST change still counts as one day
+ */
+function addCalendarDays(date, days, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  // Date.UTC normalises overflowing days (e.g. January 32nd) without any DST effects
+  const target = new Date(Date.UTC(year, month - 1, day + days));
+  return startOfDay(target.getUTCFullYear(), target.getUTCMonth() + 1, target.getUTCDate(), timeZone);
+}
+
+/**
+ * Count the calendar days from one instant to another in a time zone (negative when `to` is earlier)
+ */
+function calendarDaysBetween(from, to, timeZone = DEFAULT_TIME_ZONE) {
+  const start = getZonedParts(from, timeZone);
+  const end = getZonedParts(to, timeZone);
+  // Compare the wall-clock dates so DST changes in between don't count as partial days
+  return Math.round((Date.UTC(end.year, end.month - 1, end.day) - Date.UTC(start.year, start.month - 1, start.day)) / 86400000);
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  startOfDay,
+  startOfZonedDay,
+  addCalendarDays,
+  calendarDaysBetween
+};
@@ -0,0 +1,13 @@
+const path = require('path');
+
+/**
+ * Resolve a path relative to the workspace (or the working directory outside of Actions)
+ */
+function resolveWorkspacePath(filePath) {
+  const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+  return path.resolve(workspace, filePath);
+}
+
+module.exports = {
+  resolveWorkspacePath
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getHoliday,
+  isWorkingDay,
+  addBusinessDays,
+  rollToWorkingDay,
+  parseIcsHolidays,
+  parseJsonHolidays,
+  loadHolidayCalendar
+} = require('../src/business-days');
+
+const day = (year, month, dayOfMonth) => ({ year, month, day: dayOfMonth });
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20251224',
+  'DTEND;VALUE=DATE:20251227',
+  'SUMMARY:Winter\\, shutdown',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART:20250101T000000Z',
+  'RRULE:FREQ=YEARLY;UNTIL=20301231T000000Z',
+  'SUMMARY:New Year',
+  " 's Day",
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('business days', () => {
+  const christmas = parseJsonHolidays([{ date: '2025-12-25', name: 'Christmas' }, '2025-12-26'], 'holidays.json');
+
+  test('isWorkingDay should exclude weekends and holidays', () => {
+    expect(isWorkingDay(day(2025, 12, 24))).toBe(true);
+    expect(isWorkingDay(day(2025, 12, 27))).toBe(false);
+    expect(isWorkingDay(day(2025, 12, 25))).toBe(true);
+    expect(isWorkingDay(day(2025, 12, 25), christmas)).toBe(false);
+  });
+
+  test('addBusinessDays should skip weekends and holidays', () => {
+    const friday = Date.UTC(2025, 7, 15, 12);
+
+    expect(addBusinessDays(friday, 1).toISOString()).toBe('2025-08-18T00:00:00.000Z');
+    expect(addBusinessDays(friday, 5).toISOString()).toBe('2025-08-22T00:00:00.000Z');
+    expect(addBusinessDays(Date.UTC(2025, 11, 24), 2, 'UTC', christmas).toISOString()).toBe('2025-12-30T00:00:00.000Z');
+  });
+
+  test('addBusinessDays should start from the date in the time zone', () => {
+    // Sunday evening in UTC is already Monday morning in Tokyo
+    const sundayEvening = Date.UTC(2025, 7, 17, 20);
+
+    expect(addBusinessDays(sundayEvening, 1).toISOString()).toBe('2025-08-18T00:00:00.000Z');
+    expect(addBusinessDays(sundayEvening, 1, 'Asia/Tokyo').toISOString()).toBe('2025-08-18T15:00:00.000Z');
+  });
+
+  test('rollToWorkingDay should move weekends and holidays to the next working day', () => {
+    expect(rollToWorkingDay(Date.UTC(2025, 11, 27)).toISOString()).toBe('2025-12-29T00:00:00.000Z');
+    expect(rollToWorkingDay(Date.UTC(2025, 11, 25), 'UTC', christmas).toISOString()).toBe('2025-12-29T00:00:00.000Z');
+    expect(rollToWorkingDay(Date.UTC(2025, 11, 24, 15)).toISOString()).toBe('2025-12-24T00:00:00.000Z');
+  });
+
+  test('should fail when the calendar leaves no working day', () => {
+    const everyDay = Array.from({ length: 400 }, (_, index) => new Date(Date.UTC(2025, 0, 1 + index)).toISOString().slice(0, 10));
+    const calendar = parseJsonHolidays(everyDay, 'holidays.json');
+
+    expect(() => rollToWorkingDay(Date.UTC(2025, 0, 1), 'UTC', calendar)).toThrow('No working day found within 366 days of 2025-01-01');
+  });
+});
+
+describe('holiday calendars', () => {
+  let workspace;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'ld-holidays-'));
+    process.env.GITHUB_WORKSPACE = workspace;
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_WORKSPACE;
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('should read multi-day and yearly ICS events', () => {
+    const calendar = parseIcsHolidays(ICS, 'holidays.ics');
+
+    expect(getHoliday(calendar, day(2025, 12, 24))).toBe('Winter, shutdown');
+    expect(getHoliday(calendar, day(2025, 12, 26))).toBe('Winter, shutdown');
+    expect(getHoliday(calendar, day(2025, 12, 27))).toBeNull();
+    expect(getHoliday(calendar, day(2028, 1, 1))).toBe('New Year\'s Day');
+    expect(getHoliday(calendar, day(2031, 1, 1))).toBeNull();
+    expect(getHoliday(calendar, day(2024, 1, 1))).toBeNull();
+  });
+
+  test('should reject recurrences other than yearly', () => {
+    const weekly = ICS.replace('FREQ=YEARLY;UNTIL=20301231T000000Z', 'FREQ=WEEKLY');
+
+    expect(() => parseIcsHolidays(weekly, 'holidays.ics')).toThrow('Unsupported RRULE in holidays.ics (event 2): FREQ=WEEKLY');
+  });
+
+  test('should read JSON dates, yearly MM-DD dates and named holidays', () => {
+    const calendar = parseJsonHolidays({ holidays: ['2025-05-01', { date: '12-25', name: 'Christmas' }] }, 'holidays.json');
+
+    expect(getHoliday(calendar, day(2025, 5, 1))).toBe('Holiday');
+    expect(getHoliday(calendar, day(2026, 5, 1))).toBeNull();
+    expect(getHoliday(calendar, day(2031, 12, 25))).toBe('Christmas');
+    expect(() => parseJsonHolidays(['25/12/2025'], 'holidays.json')).toThrow('Invalid holiday 1 in holidays.json: expected a YYYY-MM-DD or MM-DD date');
+    expect(() => parseJsonHolidays(['2025-05-01', '2025-13-45'], 'holidays.json')).toThrow('Invalid holiday 2 in holidays.json: expected a YYYY-MM-DD or MM-DD date');
+    expect(() => parseJsonHolidays(['2025-02-30'], 'holidays.json')).toThrow('Invalid holiday 1 in holidays.json');
+    expect(() => parseJsonHolidays(['2025-02-29'], 'holidays.json')).toThrow('Invalid holiday 1 in holidays.json');
+    expect(getHoliday(parseJsonHolidays(['02-29'], 'holidays.json'), day(2028, 2, 29))).toBe('Holiday');
+    expect(() => parseJsonHolidays({ dates: [] }, 'holidays.json')).toThrow('must contain a list of holidays');
+  });
+
+  test('should load .ics and .json files from the workspace', () => {
+    fs.mkdirSync(path.join(workspace, 'config'));
+    fs.writeFileSync(path.join(workspace, 'config', 'holidays.ics'), ICS);
+    fs.writeFileSync(path.join(workspace, 'config', 'holidays.json'), JSON.stringify(['2025-05-01']));
+
+    expect(getHoliday(loadHolidayCalendar('config/holidays.ics'), day(2025, 12, 25))).toBe('Winter, shutdown');
+    expect(getHoliday(loadHolidayCalendar('config/holidays.json'), day(2025, 5, 1))).toBe('Holiday');
+  });
+
+  test('should reject unreadable, unsupported or empty calendars', () => {
+    fs.writeFileSync(path.join(workspace, 'holidays.txt'), '2025-05-01');
+    fs.writeFileSync(path.join(workspace, 'empty.json'), '[]');
+    fs.writeFileSync(path.join(workspace, 'bad.json'), '{ not json');
+
+    expect(() => loadHolidayCalendar('missing.ics')).toThrow('Could not read holiday calendar missing.ics');
+    expect(() => loadHolidayCalendar('holidays.txt')).toThrow('must be an .ics or .json file');
+    expect(() => loadHolidayCalendar('empty.json')).toThrow('does not contain any holidays');
+    expect(() => loadHolidayCalendar('bad.json')).toThrow('Could not parse holiday calendar bad.json');
+  });
+});
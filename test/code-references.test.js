@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  toCamelKey,
+  globToRegExp,
+  compileReferencePatterns,
+  listFiles,
+  scanCodeReferences,
+  findReferencedKeys
+} = require('../src/code-references');
+
+describe('code reference patterns', () => {
+  test('should camel-case flag keys like the React SDK', () => {
+    expect(toCamelKey('new-checkout-flow')).toBe('newCheckoutFlow');
+    expect(toCamelKey('dark_mode.v2')).toBe('darkModeV2');
+    expect(toCamelKey('ENABLE-BETA')).toBe('enableBeta');
+    expect(toCamelKey('alreadyCamel')).toBe('alreadyCamel');
+  });
+
+  test('should convert globs into path regular expressions', () => {
+    expect(globToRegExp('**/*').test('src/app.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/app.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/app.js')).toBe(false);
+    expect(globToRegExp('src/**/*.{js,ts}').test('src/app.ts')).toBe(true);
+    expect(globToRegExp('src/**/*.{js,ts}').test('src/lib/app.ts')).toBe(true);
+    expect(globToRegExp('src/**/*.{js,ts}').test('src/app.py')).toBe(false);
+    // Globs without a slash match at any depth
+    expect(globToRegExp('*.min.js').test('public/vendor.min.js')).toBe(true);
+    expect(globToRegExp('**/node_modules/**').test('packages/app/node_modules/')).toBe(true);
+    expect(() => globToRegExp('src/*.{js')).toThrow("Invalid glob src/*.{js: unmatched '{'");
+  });
+
+  test('should require a flag placeholder and a valid regular expression', () => {
+    expect(compileReferencePatterns(['isEnabled\\([\'"]{flagKey}'])).toEqual(['isEnabled\\([\'"]{flagKey}']);
+    expect(() => compileReferencePatterns(['variation\\('])).toThrow('Invalid code reference pattern variation\\(: must contain {flagKey} or {camelKey}');
+    expect(() => compileReferencePatterns(['variation({flagKey}'])).toThrow(/^Invalid code reference pattern variation\(\{flagKey\}: /);
+  });
+});
+
+describe('findReferencedKeys', () => {
+  test('should capture the flag keys and camel-cased keys of unknown flags', () => {
+    const patterns = ['[Vv]ariation(?:Detail)?\\(\\s*[\'"`]{flagKey}[\'"`]', 'useFlags\\(\\)\\.{camelKey}\\b'];
+    const lines = [
+      { file: 'src/a.js', line: 3, text: "  if (client.variation('old-flag', ctx) && client.variationDetail(\"beta.v2\", ctx)) {" },
+      { file: 'src/a.js', line: 4, text: "client.variation('old-flag', other);" },
+      { file: 'src/b.jsx', line: 9, text: 'const on = useFlags().darkMode;' },
+      { file: 'src/c.js', line: 1, text: 'client.variation(`${prefix}-flag`, ctx);' }
+    ];
+
+    expect(findReferencedKeys(lines, patterns)).toEqual([
+      { file: 'src/a.js', line: 3, text: "if (client.variation('old-flag', ctx) && client.variationDetail(\"beta.v2\", ctx)) {", flagKey: 'old-flag' },
+      { file: 'src/a.js', line: 3, text: "if (client.variation('old-flag', ctx) && client.variationDetail(\"beta.v2\", ctx)) {", flagKey: 'beta.v2' },
+      { file: 'src/a.js', line: 4, text: "client.variation('old-flag', other);", flagKey: 'old-flag' },
+      { file: 'src/b.jsx', line: 9, text: 'const on = useFlags().darkMode;', camelKey: 'darkMode' }
+    ]);
+  });
+});
+
+describe('scanCodeReferences', () => {
+  let workspace;
+
+  const writeFile = (relativePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(workspace, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(workspace, relativePath), content);
+  };
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'ld-references-'));
+    process.env.GITHUB_WORKSPACE = workspace;
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_WORKSPACE;
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('should find SDK calls for each flag with file and line', () => {
+    writeFile('src/checkout.js', [
+      "const client = require('launchdarkly-node-server-sdk');",
+      '',
+      "  if (await client.variation('new-checkout', user, false)) {",
+      'const detail = ldClient.variationDetail("new-checkout", context, false);',
+      "const other = client.variation('new-checkout-v2', user, false);"
+    ].join('\n'));
+    writeFile('web/Banner.jsx', 'const show = useFlags().darkMode && <Banner />;\n');
+    writeFile('README.md', 'The new-checkout flag is read with variation.\n');
+
+    const references = scanCodeReferences(['new-checkout', 'dark-mode', 'unused-flag']);
+
+    expect([...references.keys()]).toEqual(['new-checkout', 'dark-mode']);
+    expect(references.get('new-checkout')).toEqual([
+      { file: 'src/checkout.js', line: 3, text: "if (await client.variation('new-checkout', user, false)) {" },
+      { file: 'src/checkout.js', line: 4, text: 'const detail = ldClient.variationDetail("new-checkout", context, false);' }
+    ]);
+    expect(references.get('dark-mode')).toEqual([{ file: 'web/Banner.jsx', line: 1, text: 'const show = useFlags().darkMode && <Banner />;' }]);
+  });
+
+  test('should honour include and exclude globs and skip binary files', () => {
+    writeFile('src/app.js', "client.variation('old-flag', user, false);\n");
+    writeFile('src/app.test.js', "client.variation('old-flag', user, false);\n");
+    writeFile('lib/app.py', "client.variation('old-flag', user, False)\n");
+    writeFile('node_modules/sdk/index.js', "client.variation('old-flag', user, false);\n");
+    writeFile('src/image.png', Buffer.from([0x89, 0x50, 0x00, ...Buffer.from("variation('old-flag'")]));
+
+    expect(listFiles(workspace, ['**/*'], ['**/node_modules/**'])).toEqual(['lib/app.py', 'src/app.js', 'src/app.test.js', 'src/image.png']);
+
+    const references = scanCodeReferences(['old-flag'], { include: ['src/**'], exclude: ['**/*.test.js'] });
+
+    expect(references.get('old-flag')).toEqual([{ file: 'src/app.js', line: 1, text: "client.variation('old-flag', user, false);" }]);
+  });
+
+  test('should use custom patterns', () => {
+    writeFile('app/flags.rb', 'return unless flags.enabled?("old-flag")\n');
+
+    const references = scanCodeReferences(['old-flag'], { patterns: ['enabled\\?\\("{flagKey}"\\)'] });
+
+    expect(references.get('old-flag')).toEqual([{ file: 'app/flags.rb', line: 1, text: 'return unless flags.enabled?("old-flag")' }]);
+  });
+});
@@ -0,0 +1,53 @@
+const { getDateFormat, isSupportedDateFormat, BUILT_IN_DATE_FORMATS } = require('../src/date-formats');
+
+describe('date format registry', () => {
+  const date = new Date(Date.UTC(2025, 7, 17));
+
+  test('should round-trip every built-in format', () => {
+    BUILT_IN_DATE_FORMATS.forEach(name => {
+      const format = getDateFormat(name);
+      expect(format.parse(format.format(date))).toEqual(date);
+    });
+  });
+
+  test('should parse day-first formats strictly', () => {
+    expect(getDateFormat('DD/MM/YYYY').parse('17/08/2025')).toEqual(date);
+    expect(getDateFormat('DD/MM/YYYY').parse('08/17/2025')).toBeNull();
+    expect(getDateFormat('DD-MM-YYYY').parse('31-04-2025')).toBeNull();
+    expect(getDateFormat('dd.mm.yyyy').parse('29.02.2024')).toEqual(new Date(Date.UTC(2024, 1, 29)));
+  });
+
+  test('should support custom token patterns', () => {
+    const compact = getDateFormat('YYYYMMDD');
+    expect(compact.format(date)).toBe('20250817');
+    expect(compact.parse('20250817')).toEqual(date);
+    expect(compact.parse('2025817')).toBeNull();
+
+    const labelled = getDateFormat('DD MM YYYY (expiry)');
+    expect(labelled.format(date)).toBe('17 08 2025 (expiry)');
+    expect(labelled.parse('17 08 2025 (expiry)')).toEqual(date);
+  });
+
+  test('should parse ISO 8601 timestamps with an offset', () => {
+    const iso = getDateFormat('ISO8601');
+    expect(iso.parse('2025-08-17T12:30:00Z')).toEqual(new Date(Date.UTC(2025, 7, 17, 12, 30)));
+    expect(iso.parse('2025-08-17T12:30:00.000+02:00')).toEqual(new Date(Date.UTC(2025, 7, 17, 10, 30)));
+    expect(iso.parse('2025-08-17')).toBeNull();
+    expect(iso.parse('2025-02-30T00:00:00Z')).toBeNull();
+  });
+
+  test('should parse epoch milliseconds but not seconds or compact dates', () => {
+    const epoch = getDateFormat('EPOCH_MS');
+    expect(epoch.parse('1755441000000')).toEqual(new Date(1755441000000));
+    expect(epoch.parse('1755441000')).toBeNull();
+    expect(epoch.parse('20250817')).toBeNull();
+  });
+
+  test('should reject unknown formats and incomplete patterns', () => {
+    expect(isSupportedDateFormat('DD.MM.YYYY')).toBe(true);
+    expect(isSupportedDateFormat('UNKNOWN')).toBe(false);
+    expect(isSupportedDateFormat('MM/YYYY')).toBe(false);
+    expect(isSupportedDateFormat('DD/DD/YYYY')).toBe(false);
+    expect(() => getDateFormat('MM/YYYY')).toThrow('Unsupported date format: MM/YYYY');
+  });
+});
@@ -0,0 +1,240 @@
+const github = require('@actions/github');
+const {
+  buildIssueMarker,
+  parseIssueMarker,
+  buildIssueContent,
+  createIssueClient,
+  syncExpiryIssues
+} = require('../src/github-issues');
+const { createFakeOctokit } = require('./support/fake-github');
+
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
+  context: { repo: { owner: 'acme', repo: 'app' } }
+}));
+
+const repo = { owner: 'acme', repo: 'app' };
+
+const auditEntry = (key, daysUntilExpiry, expiryDate = '2025-08-10') => ({
+  projectKey: 'test-project',
+  key,
+  name: `Flag ${key}`,
+  creationDate: '2025-07-11',
+  maintainer: 'jane@example.com',
+  value: expiryDate,
+  expiryDate,
+  daysUntilExpiry
+});
+
+const emptyAudit = () => ({ expired: [], expiring: [], healthy: [], missing: [], invalid: [] });
+
+const options = {
+  issueMode: 'expired',
+  labels: ['flag-expiry'],
+  baseUrl: 'https://app.launchdarkly.com',
+  customPropertyName: 'flag.expiry.date',
+  projectKeys: ['test-project'],
+  getFlag: async () => null
+};
+
+const existingIssue = (number, key, fields = {}) => ({
+  number,
+  state: 'open',
+  title: `Feature flag ${key} expired on 2025-08-01`,
+  body: `${buildIssueMarker('test-project', key)}\nOld body`,
+  labels: ['flag-expiry'],
+  ...fields
+});
+
+describe('issue content', () => {
+  test('should round-trip the flag marker', () => {
+    expect(parseIssueMarker(`text\n${buildIssueMarker('test-project', 'my-flag')}\nmore`)).toEqual({ projectKey: 'test-project', flagKey: 'my-flag' });
+    expect(parseIssueMarker('no marker')).toBeNull();
+    expect(parseIssueMarker(null)).toBeNull();
+  });
+
+  test('should describe the flag with a LaunchDarkly link', () => {
+    const { title, body } = buildIssueContent(auditEntry('old-flag', -7), options);
+
+    expect(title).toBe('Feature flag old-flag expired on 2025-08-10');
+    expect(body).toContain(buildIssueMarker('test-project', 'old-flag'));
+    expect(body).toContain('| Flag | [Flag old-flag](https://app.launchdarkly.com/projects/test-project/flags/old-flag) |');
+    expect(body).toContain('| Created | 2025-07-11 |');
+    expect(body).toContain('| Expiry | 2025-08-10 |');
+    expect(body).toContain('| Maintainer | jane@example.com |');
+    expect(body).toContain('is past its `flag.expiry.date`');
+    expect(buildIssueContent(auditEntry('soon-flag', 1), options).body).toContain('is about to reach its `flag.expiry.date`');
+    expect(buildIssueContent(auditEntry('soon-flag', 1), options).title).toBe('Feature flag soon-flag expires on 2025-08-10');
+  });
+
+  test('should not change from one day to the next', () => {
+    expect(buildIssueContent(auditEntry('old-flag', -8), options)).toEqual(buildIssueContent(auditEntry('old-flag', -7), options));
+  });
+
+  test('should list code references', () => {
+    const codeReferences = Array.from({ length: 22 }, (_, index) => ({ file: 'src/app.js', line: index + 1, text: "variation('old-flag')" }));
+
+    expect(buildIssueContent(auditEntry('old-flag', -7), options).body).not.toContain('Code references');
+    const { body } = buildIssueContent({ ...auditEntry('old-flag', -7), codeReferences }, options);
+    expect(body).toContain('**Code references**\n\n- `src/app.js:1`\n- `src/app.js:2`');
+    expect(body).toContain('- `src/app.js:20`\n- …and 2 more');
+    expect(body).not.toContain('src/app.js:21');
+  });
+});
+
+describe('syncExpiryIssues', () => {
+  test('should create the client for the workflow repository', () => {
+    github.getOctokit.mockReturnValue('octokit');
+
+    expect(createIssueClient('token')).toEqual({ octokit: 'octokit', repo });
+    expect(github.getOctokit).toHaveBeenCalledWith('token');
+  });
+
+  test('should open one issue per expired flag', async () => {
+    const fake = createFakeOctokit();
+    const audit = { ...emptyAudit(), expired: [auditEntry('old-flag', -7)], expiring: [auditEntry('soon-flag', 3)] };
+
+    const results = await syncExpiryIssues({ octokit: fake.octokit, repo }, audit, options);
+
+    expect(results).toEqual([{ projectKey: 'test-project', key: 'old-flag', action: 'created', issueNumber: 1, url: 'https://github.com/acme/app/issues/1' }]);
+    expect(fake.issues).toEqual([expect.objectContaining({ title: 'Feature flag old-flag expired on 2025-08-10', labels: ['flag-expiry'] })]);
+  });
+
+  test('should include expiring flags when asked to', async () => {
+    const fake = createFakeOctokit();
+    const audit = { ...emptyAudit(), expired: [auditEntry('old-flag', -7)], expiring: [auditEntry('soon-flag', 3)] };
+
+    const results = await syncExpiryIssues({ octokit: fake.octokit, repo }, audit, { ...options, issueMode: 'expiring' });
+
+    expect(results.map(result => [result.key, result.action])).toEqual([['old-flag', 'created'], ['soon-flag', 'created']]);
+  });
+
+  test('should update open issues found by their marker instead of opening duplicates', async () => {
+    const current = buildIssueContent(auditEntry('same-flag', -7), options);
+    const fake = createFakeOctokit([
+      existingIssue(4, 'old-flag', { state: 'closed' }),
+      existingIssue(5, 'old-flag'),
+      existingIssue(6, 'same-flag', current),
+      existingIssue(7, 'wontfix-flag', { state: 'closed' })
+    ]);
+    const audit = { ...emptyAudit(), expired: [auditEntry('old-flag', -7), auditEntry('same-flag', -7), auditEntry('wontfix-flag', -7)] };
+
+    const results = await syncExpiryIssues({ octokit: fake.octokit, repo }, audit, options);
+
+    expect(results.map(result => [result.key, result.action, result.issueNumber])).toEqual([
+      ['old-flag', 'updated', 5],
+      ['same-flag', 'unchanged', 6],
+      ['wontfix-flag', 'closed_by_hand', 7]
+    ]);
+    expect(fake.calls.filter(call => call.method === 'create')).toHaveLength(0);
+    expect(fake.issues.find(issue => issue.number === 5).title).toBe('Feature flag old-flag expired on 2025-08-10');
+    expect(fake.issues.find(issue => issue.number === 7).state).toBe('closed');
+  });
+
+  test('should close issues of archived, deleted or extended flags only', async () => {
+    const fake = createFakeOctokit([
+      existingIssue(1, 'archived-flag'),
+      existingIssue(2, 'deleted-flag'),
+      existingIssue(3, 'extended-flag'),
+      existingIssue(4, 'healthy-flag'),
+      { ...existingIssue(5, 'other-flag'), body: buildIssueMarker('other-project', 'other-flag') }
+    ]);
+    const flags = { 'archived-flag': { key: 'archived-flag', archived: true }, 'extended-flag': { key: 'extended-flag', archived: false } };
+    const getFlag = jest.fn(async (projectKey, flagKey) => flags[flagKey] || null);
+    const audit = { ...emptyAudit(), healthy: [auditEntry('healthy-flag', 90)] };
+
+    const results = await syncExpiryIssues({ octokit: fake.octokit, repo }, audit, { ...options, getFlag });
+
+    expect(results.map(result => [result.key, result.action])).toEqual([['healthy-flag', 'closed'], ['archived-flag', 'closed'], ['deleted-flag', 'closed']]);
+    // healthy-flag was audited (its expiry was extended) and other-project wasn't, so neither is looked up
+    expect(getFlag.mock.calls).toEqual([['test-project', 'archived-flag'], ['test-project', 'deleted-flag'], ['test-project', 'extended-flag']]);
+    expect(fake.issues.filter(issue => issue.state === 'closed').map(issue => issue.number)).toEqual([1, 2, 4]);
+    expect(fake.comments.map(comment => comment.body)).toEqual([
+      'Closing: the `flag.expiry.date` of `healthy-flag` was extended to 2025-08-10.',
+      'Closing: the flag `archived-flag` has been archived in LaunchDarkly.',
+      'Closing: the flag `deleted-flag` has been deleted in LaunchDarkly.'
+    ]);
+  });
+
+  test('should close issues of flags whose expiry was extended', async () => {
+    const fake = createFakeOctokit([existingIssue(1, 'extended-flag'), existingIssue(2, 'soon-flag'), existingIssue(3, 'old-flag')]);
+    const audit = {
+      ...emptyAudit(),
+      expired: [auditEntry('old-flag', -7)],
+      expiring: [auditEntry('soon-flag', 3, '2025-08-20')],
+      healthy: [auditEntry('extended-flag', 60, '2025-10-16')]
+    };
+
+    const results = await syncExpiryIssues({ octokit: fake.octokit, repo }, audit, options);
+
+    // In expired mode an issue of a flag that is now only expiring is closed too
+    expect(results.map(result => [result.key, result.action])).toEqual([['old-flag', 'updated'], ['soon-flag', 'closed'], ['extended-flag', 'closed']]);
+    expect(fake.issues.map(issue => issue.state)).toEqual(['closed', 'closed', 'open']);
+    expect(fake.comments.map(comment => comment.body)).toEqual([
+      'Closing: the `flag.expiry.date` of `soon-flag` was extended to 2025-08-20.',
+      'Closing: the `flag.expiry.date` of `extended-flag` was extended to 2025-10-16.'
+    ]);
+
+    const expiringMode = createFakeOctokit([existingIssue(2, 'soon-flag')]);
+    const expiringResults = await syncExpiryIssues({ octokit: expiringMode.octokit, repo }, audit, { ...options, issueMode: 'expiring' });
+    expect(expiringResults.find(result => result.key === 'soon-flag').action).toBe('updated');
+  });
+
+  test('should reopen the issue it closed when an extended flag expires again', async () => {
+    const fake = createFakeOctokit();
+    const sync = audit => syncExpiryIssues({ octokit: fake.octokit, repo }, { ...emptyAudit(), ...audit }, options);
+
+    const runs = [
+      await sync({ expired: [auditEntry('old-flag', -7)] }),
+      await sync({ healthy: [auditEntry('old-flag', 60, '2025-10-16')] }),
+      await sync({ expired: [auditEntry('old-flag', -1, '2025-10-16')] })
+    ];
+
+    expect(runs.map(results => results.map(result => [result.action, result.issueNumber]))).toEqual([[['created', 1]], [['closed', 1]], [['reopened', 1]]]);
+    expect(fake.issues).toEqual([expect.objectContaining({
+      state: 'open',
+      state_reason: 'reopened',
+      ...buildIssueContent(auditEntry('old-flag', -1, '2025-10-16'), options)
+    })]);
+  });
+
+  test('should close issues of flags whose expiry value was removed or is not a date', async () => {
+    const fake = createFakeOctokit([existingIssue(1, 'cleared-flag'), existingIssue(2, 'typo-flag')]);
+    const audit = {
+      ...emptyAudit(),
+      missing: [{ projectKey: 'test-project', key: 'cleared-flag' }],
+      invalid: [{ projectKey: 'test-project', key: 'typo-flag', value: 'soon' }]
+    };
+
+    const results = await syncExpiryIssues({ octokit: fake.octokit, repo }, audit, options);
+
+    expect(results.map(result => [result.key, result.action])).toEqual([['cleared-flag', 'closed'], ['typo-flag', 'closed']]);
+    expect(fake.issues.map(issue => issue.state)).toEqual(['closed', 'closed']);
+    expect(fake.comments.map(comment => comment.body)).toEqual([
+      'Closing: `cleared-flag` no longer has a `flag.expiry.date`.',
+      'Closing: the `flag.expiry.date` of `typo-flag` is not a date (`soon`).'
+    ]);
+  });
+
+  test('should report what would change without writing in dry-run mode', async () => {
+    const fake = createFakeOctokit([existingIssue(1, 'archived-flag')]);
+    const audit = { ...emptyAudit(), expired: [auditEntry('old-flag', -7)] };
+
+    const results = await syncExpiryIssues({ octokit: fake.octokit, repo }, audit, { ...options, dryRun: true });
+
+    expect(results.map(result => [result.key, result.action])).toEqual([['old-flag', 'created'], ['archived-flag', 'closed']]);
+    expect(fake.calls.map(call => call.method)).toEqual(['listForRepo']);
+  });
+
+  test('should report failures per issue', async () => {
+    const fake = createFakeOctokit();
+    fake.octokit.rest.issues.create = async () => {
+      throw new Error('Resource not accessible by integration');
+    };
+    const audit = { ...emptyAudit(), expired: [auditEntry('old-flag', -7)] };
+
+    const results = await syncExpiryIssues({ octokit: fake.octokit, repo }, audit, options);
+
+    expect(results).toEqual([expect.objectContaining({ key: 'old-flag', action: 'failed', error: 'Resource not accessible by integration' })]);
+  });
+});
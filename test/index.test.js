@@ -2,14 +2,43 @@ const {
   getTodaysDate, 
   isValidDateFormat, 
   getFeatureFlag, 
+  getAllFeatureFlags,
   setCustomProperty, 
   run,
   calculateExpiryFromCreation,
+  resolveExpiryAnchor,
+  getEnvironmentTargetingState,
   formatDateToString,
   filterFlagsNeedingExpiry,
-  fetchWithRetry
+  compileKeyPattern,
+  loadExpiryPolicy,
+  resolveExpiryPolicy,
+  processSingleFlag,
+  resolveProjectKeys,
+  LaunchDarklyClient,
+  normalizeBaseUrl,
+  processFlagsInBatches,
+  getErrorMessage,
+  fetchWithRetry,
+  parseRateLimitHeaders,
+  createRateLimiter,
+  LaunchDarklyApiError,
+  configureRetryPolicy,
+  computeRetryDelay,
+  createApprovalRequest,
+  parseDateString,
+  detectDateFormat,
+  applyExistingValueStrategy,
+  normalizeExistingValues,
+  auditExpiryValues,
+  parseValueTemplate,
+  readExpiryValue,
+  parseAdditionalProperties
 } = require('../index.js');
 const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Mock fetch globally
 global.fetch = jest.fn();
@@ -22,11 +51,11 @@ describe('getTodaysDate', () => {
     const result = getTodaysDate('MM/DD/YYYY');
     expect(result).toMatch(/^\d{2}\/\d{2}\/\d{4}$/);
     
-    // Validate it's actually today's date
+    // Validate it's actually today's date (in UTC, the default time zone)
     const today = new Date();
-    const expectedMonth = String(today.getMonth() + 1).padStart(2, '0');
-    const expectedDay = String(today.getDate()).padStart(2, '0');
-    const expectedYear = today.getFullYear();
+    const expectedMonth = String(today.getUTCMonth() + 1).padStart(2, '0');
+    const expectedDay = String(today.getUTCDate()).padStart(2, '0');
+    const expectedYear = today.getUTCFullYear();
     const expectedDate = `${expectedMonth}/${expectedDay}/${expectedYear}`;
     
     expect(result).toBe(expectedDate);
@@ -36,11 +65,11 @@ describe('getTodaysDate', () => {
     const result = getTodaysDate('YYYY-MM-DD');
     expect(result).toMatch(/^\d{4}-\d{2}-\d{2}$/);
     
-    // Validate it's actually today's date
+    // Validate it's actually today's date (in UTC, the default time zone)
     const today = new Date();
-    const expectedMonth = String(today.getMonth() + 1).padStart(2, '0');
-    const expectedDay = String(today.getDate()).padStart(2, '0');
-    const expectedYear = today.getFullYear();
+    const expectedMonth = String(today.getUTCMonth() + 1).padStart(2, '0');
+    const expectedDay = String(today.getUTCDate()).padStart(2, '0');
+    const expectedYear = today.getUTCFullYear();
     const expectedDate = `${expectedYear}-${expectedMonth}-${expectedDay}`;
     
     expect(result).toBe(expectedDate);
@@ -56,9 +85,19 @@ describe('getTodaysDate', () => {
     expect(result).toMatch(/^\d{4}\/\d{2}\/\d{2}$/);
   });
 
-  test('should default to MM/DD/YYYY for unknown format', () => {
-    const result = getTodaysDate('UNKNOWN');
-    expect(result).toMatch(/^\d{2}\/\d{2}\/\d{4}$/);
+  test('should reject unknown formats', () => {
+    expect(() => getTodaysDate('UNKNOWN')).toThrow('Unsupported date format: UNKNOWN');
+  });
+
+  test('should use the date in the configured time zone', () => {
+    jest.useFakeTimers({ now: Date.UTC(2025, 2, 9, 3, 30) }); // 8:30pm on March 8th in Los Angeles
+    try {
+      expect(getTodaysDate('YYYY-MM-DD')).toBe('2025-03-09');
+      expect(getTodaysDate('YYYY-MM-DD', 'America/Los_Angeles')).toBe('2025-03-08');
+      expect(getTodaysDate('YYYY-MM-DD', 'Asia/Tokyo')).toBe('2025-03-09');
+    } finally {
+      jest.useRealTimers();
+    }
   });
 
   test('should handle case insensitive format', () => {
@@ -168,11 +207,215 @@ describe('calculateExpiryFromCreation', () => {
     expect(() => calculateExpiryFromCreation(flag, 30, 'MM/DD/YYYY'))
       .toThrow('Invalid creation date for flag test-flag: invalid-date');
   });
+
+  test('should count days on the calendar of the time zone', () => {
+    // 11:30pm on March 1st in New York is already March 2nd in UTC
+    const flag = { key: 'test-flag', creationDate: Date.UTC(2025, 2, 2, 4, 30) };
+
+    expect(calculateExpiryFromCreation(flag, 30, 'YYYY-MM-DD')).toBe('2025-04-01');
+    expect(calculateExpiryFromCreation(flag, 30, 'YYYY-MM-DD', flag.creationDate, 'America/New_York')).toBe('2025-03-31');
+  });
+
+  test('should count a day across a DST change as one day', () => {
+    // Created at 11:30pm the night before Berlin's clocks go back (October 26th, 2025)
+    const beforeFallBack = { key: 'fall-back', creationDate: Date.UTC(2025, 9, 25, 21, 30) };
+    // Created at 11:30pm the night before New York's clocks go forward (March 9th, 2025)
+    const beforeSpringForward = { key: 'spring-forward', creationDate: Date.UTC(2025, 2, 9, 4, 30) };
+
+    expect(calculateExpiryFromCreation(beforeFallBack, 1, 'YYYY-MM-DD', beforeFallBack.creationDate, 'Europe/Berlin')).toBe('2025-10-26');
+    expect(calculateExpiryFromCreation(beforeFallBack, 2, 'YYYY-MM-DD', beforeFallBack.creationDate, 'Europe/Berlin')).toBe('2025-10-27');
+    expect(calculateExpiryFromCreation(beforeSpringForward, 1, 'YYYY-MM-DD', beforeSpringForward.creationDate, 'America/New_York')).toBe('2025-03-09');
+    expect(calculateExpiryFromCreation(beforeSpringForward, 30, 'YYYY-MM-DD', beforeSpringForward.creationDate, 'America/New_York')).toBe('2025-04-07');
+  });
+
+  test('should count business days and roll weekend expiries to the next working day', () => {
+    // Created on Friday, August 1st, 2025
+    const flag = { key: 'test-flag', creationDate: Date.UTC(2025, 7, 1, 12) };
+
+    expect(calculateExpiryFromCreation(flag, 10, 'YYYY-MM-DD', flag.creationDate, 'UTC', { businessDays: true })).toBe('2025-08-15');
+    // 15 calendar days later is Saturday the 16th
+    expect(calculateExpiryFromCreation(flag, 15, 'YYYY-MM-DD')).toBe('2025-08-16');
+    expect(calculateExpiryFromCreation(flag, 15, 'YYYY-MM-DD', flag.creationDate, 'UTC', { rollForward: true })).toBe('2025-08-18');
+  });
+
+  test('should write instant formats as the start of the expiry day in the time zone', () => {
+    const flag = { key: 'test-flag', creationDate: Date.UTC(2025, 2, 1, 12) };
+
+    expect(calculateExpiryFromCreation(flag, 30, 'ISO8601', flag.creationDate, 'America/New_York')).toBe('2025-03-31T04:00:00.000Z');
+    expect(calculateExpiryFromCreation(flag, 30, 'EPOCH_MS')).toBe(String(Date.UTC(2025, 2, 31)));
+  });
+});
+
+describe('resolveExpiryAnchor', () => {
+  const rolledOut = {
+    on: true,
+    lastModified: Date.UTC(2025, 8, 1),
+    fallthrough: { variation: 0 },
+    targets: [],
+    rules: []
+  };
+  const inRollout = {
+    on: true,
+    lastModified: Date.UTC(2025, 9, 1),
+    fallthrough: { rollout: { variations: [{ variation: 0, weight: 50000 }, { variation: 1, weight: 50000 }] } },
+    rules: []
+  };
+  const flag = {
+    key: 'test-flag',
+    creationDate: Date.UTC(2025, 0, 1),
+    environments: { staging: rolledOut, production: inRollout }
+  };
+
+  test('should use the creation date by default', () => {
+    expect(resolveExpiryAnchor(flag)).toBe(Date.UTC(2025, 0, 1));
+  });
+
+  test('should use the most recent environment modification for last_modified', () => {
+    expect(resolveExpiryAnchor(flag, 'last_modified')).toBe(Date.UTC(2025, 9, 1));
+  });
+
+  test('should use the earliest fully rolled out environment for first_rollout_to_100', () => {
+    const twoRolledOut = {
+      ...flag,
+      environments: {
+        staging: rolledOut,
+        production: { ...rolledOut, lastModified: Date.UTC(2025, 9, 1), fallthrough: { rollout: { variations: [{ variation: 1, weight: 100000 }] } } }
+      }
+    };
+    expect(resolveExpiryAnchor(twoRolledOut, 'first_rollout_to_100')).toBe(Date.UTC(2025, 8, 1));
+  });
+
+  test('should return null when no environment is fully rolled out', () => {
+    const notLaunched = {
+      ...flag,
+      environments: {
+        production: inRollout,
+        staging: { ...rolledOut, on: false },
+        test: { ...rolledOut, rules: [{ clauses: [] }] }
+      }
+    };
+    expect(resolveExpiryAnchor(notLaunched, 'first_rollout_to_100')).toBeNull();
+    expect(resolveExpiryAnchor({ key: 'no-envs' }, 'last_modified')).toBeNull();
+  });
+
+  test('should use the start of today for now', () => {
+    const today = new Date();
+    expect(resolveExpiryAnchor(flag, 'now'))
+      .toBe(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  });
+
+  test('should use the start of today in the time zone for now', () => {
+    jest.useFakeTimers({ now: Date.UTC(2025, 9, 26, 12) });
+    try {
+      // Midnight in Berlin is still summer time (UTC+2) on the day the clocks go back
+      expect(resolveExpiryAnchor(flag, 'now', 'Europe/Berlin')).toBe(Date.UTC(2025, 9, 25, 22));
+      // The anchor is the same "today" as getTodaysDate
+      const anchor = new Date(resolveExpiryAnchor(flag, 'now', 'America/Los_Angeles'));
+      expect(formatDateToString(anchor, 'YYYY-MM-DD', 'America/Los_Angeles')).toBe(getTodaysDate('YYYY-MM-DD', 'America/Los_Angeles'));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should drive the expiry calculation and be recorded on the result', async () => {
+    core.info = jest.fn();
+    const result = await processSingleFlag(flag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'YYYY-MM-DD', {
+      dryRun: true,
+      expiryAnchor: 'first_rollout_to_100'
+    });
+
+    expect(result.expiryAnchor).toBe('first_rollout_to_100');
+    expect(result.anchorDate).toBe('2025-09-01T00:00:00.000Z');
+    expect(result.calculatedExpiryDate).toBe(calculateExpiryFromCreation(flag, 30, 'YYYY-MM-DD', Date.UTC(2025, 8, 1)));
+  });
+
+  test('should skip flags without an anchor date when filtering', () => {
+    core.info = jest.fn();
+    const result = filterFlagsNeedingExpiry([{ ...flag, environments: {} }], 'flag.expiry.date', true, {}, 'first_rollout_to_100');
+
+    expect(result.flagsToProcess).toHaveLength(0);
+    expect(result.flagsSkipped[0].reason).toBe('No first_rollout_to_100 date available');
+  });
+});
+
+describe('environment-aware expiry', () => {
+  const baseFlag = {
+    key: 'test-flag',
+    name: 'Test Flag',
+    creationDate: Date.UTC(2025, 0, 1, 12),
+    customProperties: {}
+  };
+  const environment = { key: 'production', rolledOutExpiryDays: 14, rolloutExtensionDays: 30 };
+
+  function mockEnvironment(config) {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ ...baseFlag, environments: { production: { lastModified: Date.UTC(2025, 0, 10, 12), ...config } } })
+    });
+  }
+
+  beforeEach(() => {
+    fetch.mockReset();
+    core.info = jest.fn();
+    core.debug = jest.fn();
+  });
+
+  test('should classify targeting states', () => {
+    const flag = {
+      environments: {
+        off: { on: false, fallthrough: { variation: 0 } },
+        rolledOut: { on: true, fallthrough: { variation: 0 } },
+        targeted: { on: true, fallthrough: { variation: 0 }, targets: [{ values: ['user-1'], variation: 1 }] },
+        percentage: { on: true, fallthrough: { rollout: { variations: [{ variation: 0, weight: 60000 }, { variation: 1, weight: 40000 }] } } }
+      }
+    };
+
+    expect(getEnvironmentTargetingState(flag, 'off').state).toBe('off');
+    expect(getEnvironmentTargetingState(flag, 'rolledOut').state).toBe('fully_rolled_out');
+    expect(getEnvironmentTargetingState(flag, 'targeted').state).toBe('active_rollout');
+    expect(getEnvironmentTargetingState(flag, 'percentage').state).toBe('active_rollout');
+    expect(getEnvironmentTargetingState(flag, 'missing')).toBeNull();
+  });
+
+  test('should shorten the expiry of fully rolled out flags', async () => {
+    mockEnvironment({ on: true, fallthrough: { variation: 0 } });
+
+    const result = await processSingleFlag(baseFlag, 'test-api-key', 'test-project', 'flag.expiry.date', 90, 'YYYY-MM-DD', { dryRun: true, environment });
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://app.launchdarkly.com/api/v2/flags/test-project/test-flag?env=production',
+      expect.anything()
+    );
+    expect(result.environmentState).toBe('fully_rolled_out');
+    expect(result.environmentAdjustment).toBe('shortened');
+    expect(result.calculatedExpiryDate).toBe('2025-01-24');
+  });
+
+  test('should extend the expiry of flags in active rollout', async () => {
+    mockEnvironment({ on: true, fallthrough: { variation: 0 }, rules: [{ variation: 1, clauses: [] }] });
+
+    const result = await processSingleFlag(baseFlag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'YYYY-MM-DD', { dryRun: true, environment });
+
+    expect(result.environmentState).toBe('active_rollout');
+    expect(result.environmentAdjustment).toBe('extended');
+    expect(result.daysFromCreation).toBe(60);
+    expect(result.calculatedExpiryDate).toBe('2025-03-02');
+  });
+
+  test('should keep the regular expiry when targeting is off', async () => {
+    mockEnvironment({ on: false, fallthrough: { variation: 0 } });
+
+    const result = await processSingleFlag(baseFlag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'YYYY-MM-DD', { dryRun: true, environment });
+
+    expect(result.environmentState).toBe('off');
+    expect(result.environmentAdjustment).toBeNull();
+    expect(result.calculatedExpiryDate).toBe('2025-01-31');
+  });
 });
 
 describe('formatDateToString', () => {
   test('should format dates correctly', () => {
-    const date = new Date(2025, 7, 17); // August 17, 2025 (month is 0-indexed)
+    const date = new Date(Date.UTC(2025, 7, 17)); // August 17, 2025 (month is 0-indexed)
     
     expect(formatDateToString(date, 'MM/DD/YYYY')).toBe('08/17/2025');
     expect(formatDateToString(date, 'YYYY-MM-DD')).toBe('2025-08-17');
@@ -180,9 +423,27 @@ describe('formatDateToString', () => {
     expect(formatDateToString(date, 'YYYY/MM/DD')).toBe('2025/08/17');
   });
 
-  test('should default to MM/DD/YYYY for unknown format', () => {
-    const date = new Date(2025, 7, 17);
-    expect(formatDateToString(date, 'UNKNOWN')).toBe('08/17/2025');
+  test('should format day-first, custom pattern, ISO 8601 and epoch formats', () => {
+    const date = new Date(Date.UTC(2025, 7, 17));
+
+    expect(formatDateToString(date, 'DD/MM/YYYY')).toBe('17/08/2025');
+    expect(formatDateToString(date, 'DD.MM.YYYY')).toBe('17.08.2025');
+    expect(formatDateToString(date, 'YYYYMMDD')).toBe('20250817');
+    expect(formatDateToString(date, 'ISO8601')).toBe(date.toISOString());
+    expect(formatDateToString(date, 'EPOCH_MS')).toBe(String(date.getTime()));
+  });
+
+  test('should reject unknown formats instead of falling back', () => {
+    const date = new Date(Date.UTC(2025, 7, 17));
+    expect(() => formatDateToString(date, 'UNKNOWN')).toThrow('Unsupported date format: UNKNOWN');
+  });
+
+  test('should format the calendar date in the time zone', () => {
+    const lateEvening = new Date(Date.UTC(2025, 7, 17, 23, 30));
+
+    expect(formatDateToString(lateEvening, 'YYYY-MM-DD')).toBe('2025-08-17');
+    expect(formatDateToString(lateEvening, 'YYYY-MM-DD', 'Europe/Berlin')).toBe('2025-08-18');
+    expect(formatDateToString(lateEvening, 'YYYY-MM-DD', 'America/New_York')).toBe('2025-08-17');
   });
 });
 
@@ -235,6 +496,66 @@ describe('filterFlagsNeedingExpiry', () => {
     expect(result.flagsSkipped).toHaveLength(1);
     expect(result.flagsSkipped[0].key).toBe('flag-invalid-date');
   });
+
+  test('should skip flags excluded by tags and key patterns with the rule as reason', () => {
+    const flags = [
+      { key: 'release-checkout', name: 'Release Checkout', creationDate: 1752875955933, tags: [] },
+      { key: 'release-kill', name: 'Release Kill', creationDate: 1752875955933, tags: ['kill-switch'] },
+      { key: 'ops-cache', name: 'Ops Cache', creationDate: 1752875955933, tags: [] },
+      { key: 'release-legacy', name: 'Release Legacy', creationDate: 1752875955933, tags: [] }
+    ];
+
+    const result = filterFlagsNeedingExpiry(flags, 'flag.expiry.date', true, {
+      excludeTags: ['permanent', 'kill-switch'],
+      includeKeyPattern: 'release-*',
+      excludeKeyPattern: '/legacy$/'
+    });
+
+    expect(result.flagsToProcess.map(f => f.key)).toEqual(['release-checkout']);
+    expect(result.flagsSkipped).toEqual([
+      { key: 'release-kill', name: 'Release Kill', reason: 'Excluded by exclude_tags (kill-switch)' },
+      { key: 'ops-cache', name: 'Ops Cache', reason: 'Not matched by include_key_pattern (release-*)' },
+      { key: 'release-legacy', name: 'Release Legacy', reason: 'Excluded by exclude_key_pattern (/legacy$/)' }
+    ]);
+  });
+
+  test('should only process flags with an included tag', () => {
+    const flags = [
+      { key: 'tagged', name: 'Tagged', creationDate: 1752875955933, tags: ['release'] },
+      { key: 'untagged', name: 'Untagged', creationDate: 1752875955933 }
+    ];
+
+    const result = filterFlagsNeedingExpiry(flags, 'flag.expiry.date', true, { includeTags: ['release'] });
+
+    expect(result.flagsToProcess.map(f => f.key)).toEqual(['tagged']);
+    expect(result.flagsSkipped[0].reason).toBe('Not matched by include_tags (release)');
+  });
+});
+
+describe('compileKeyPattern', () => {
+  test('should treat plain patterns as anchored globs', () => {
+    const pattern = compileKeyPattern('release-*.v?');
+    expect(pattern.test('release-checkout.v2')).toBe(true);
+    expect(pattern.test('release-checkout-v2')).toBe(false);
+    expect(pattern.test('my-release-checkout.v2')).toBe(false);
+  });
+
+  test('should treat slash-wrapped patterns as regular expressions', () => {
+    const pattern = compileKeyPattern('/^RELEASE-\\d+$/i');
+    expect(pattern.test('release-42')).toBe(true);
+    expect(pattern.test('release-x')).toBe(false);
+  });
+
+  test('should throw for invalid regular expressions', () => {
+    expect(() => compileKeyPattern('/[/', 'include_key_pattern'))
+      .toThrow('Invalid include_key_pattern value: /[/');
+  });
+
+  test('should reject flags that make a reused RegExp skip keys', () => {
+    expect(() => compileKeyPattern('/^release-/g', 'include_key_pattern'))
+      .toThrow('Invalid include_key_pattern value: /^release-/g. The g and y flags are not supported');
+    expect(() => compileKeyPattern('/^release-/iy')).toThrow('The g and y flags are not supported');
+  });
 });
 
 describe('fetchWithRetry', () => {
@@ -285,6 +606,234 @@ describe('fetchWithRetry', () => {
   }, 15000);
 });
 
+describe('retry policy', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    core.warning = jest.fn();
+    core.debug = jest.fn();
+    configureRetryPolicy({ maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 40 });
+  });
+
+  afterEach(() => {
+    configureRetryPolicy({ maxAttempts: 3, baseDelayMs: 5000, maxDelayMs: 60000 });
+    jest.restoreAllMocks();
+  });
+
+  test('should throw a structured LaunchDarklyApiError', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      statusText: 'Bad Request',
+      headers: { get: (name) => (name === 'X-Request-Id' ? 'req-123' : null) },
+      text: async () => JSON.stringify({ code: 'invalid_request', message: 'bad patch' })
+    });
+
+    const error = await fetchWithRetry('http://test.com', {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(LaunchDarklyApiError);
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('invalid_request');
+    expect(error.requestId).toBe('req-123');
+    expect(error.body).toContain('bad patch');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([400, 401, 403, 404, 409])('should never retry HTTP %i', async (status) => {
+    fetch.mockResolvedValue({ ok: false, status, statusText: 'Error', text: async () => '' });
+
+    await expect(fetchWithRetry('http://test.com', {})).rejects.toThrow(`HTTP ${status}`);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry 5xx and network errors', async () => {
+    fetch
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable', text: async () => '' })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+    const result = await fetchWithRetry('http://test.com', {});
+
+    expect(result.ok).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('fetch failed'));
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('HTTP 503'));
+  });
+
+  test('should use capped exponential backoff with jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(computeRetryDelay(1)).toBe(5);
+    expect(computeRetryDelay(2)).toBe(10);
+    expect(computeRetryDelay(5)).toBe(20); // capped at 40ms
+
+    Math.random.mockReturnValue(1);
+    expect(computeRetryDelay(1)).toBe(10);
+    expect(computeRetryDelay(5)).toBe(40);
+  });
+});
+
+describe('rate limiting', () => {
+  const headers = (values) => ({
+    get: (name) => {
+      const match = Object.keys(values).find(key => key.toLowerCase() === name.toLowerCase());
+      return match === undefined ? null : values[match];
+    }
+  });
+
+  beforeEach(() => {
+    fetch.mockReset();
+    core.warning = jest.fn();
+    core.debug = jest.fn();
+  });
+
+  test('should parse LaunchDarkly rate limit headers', () => {
+    expect(parseRateLimitHeaders(headers({
+      'X-Ratelimit-Route-Remaining': '7',
+      'X-Ratelimit-Global-Remaining': '3',
+      'X-Ratelimit-Reset': '1752875955933',
+      'Retry-After': '2'
+    }))).toEqual({ remaining: 3, resetAt: 1752875955933, retryAfterMs: 2000 });
+
+    expect(parseRateLimitHeaders(undefined)).toEqual({ remaining: null, resetAt: null, retryAfterMs: null });
+  });
+
+  test('should wait for the reset once the remaining budget is used up', async () => {
+    const limiter = createRateLimiter();
+    limiter.update(headers({ 'X-Ratelimit-Remaining': '1', 'X-Ratelimit-Reset': String(Date.now() + 200) }));
+
+    const start = Date.now();
+    await limiter.acquire(); // Uses the last request in the window
+    expect(Date.now() - start).toBeLessThan(100);
+    await limiter.acquire(); // Has to wait for the reset
+    expect(Date.now() - start).toBeGreaterThanOrEqual(150);
+  });
+
+  test('should honor Retry-After on 429 responses', async () => {
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 429, headers: headers({ 'Retry-After': '0.2' }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+    const start = Date.now();
+    const result = await fetchWithRetry('http://test.com', {}, 2);
+
+    expect(result.ok).toBe(true);
+    expect(Date.now() - start).toBeLessThan(2000);
+    expect(core.warning).toHaveBeenCalledWith('Rate limited (attempt 1/2), waiting 200ms');
+  });
+});
+
+describe('processFlagsInBatches', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    core.info = jest.fn();
+    core.error = jest.fn();
+    core.debug = jest.fn();
+  });
+
+  test('should process flags concurrently up to the limit and keep results in order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    fetch.mockImplementation(async (url) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      inFlight--;
+      if (url.endsWith('/flag-3')) {
+        return { ok: false, status: 404, statusText: 'Not Found', text: async () => '' };
+      }
+      return { ok: true, json: async () => ({}) };
+    });
+
+    const flags = Array.from({ length: 7 }, (_, i) => ({
+      key: `flag-${i}`,
+      name: `Flag ${i}`,
+      creationDate: 1752875955933,
+      customProperties: {}
+    }));
+
+    const results = await processFlagsInBatches(flags, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'MM/DD/YYYY', { concurrency: 3 });
+
+    expect(maxInFlight).toBe(3);
+    expect(results.totalProcessed).toBe(7);
+    expect(results.updatedFlags.map(flag => flag.key)).toEqual(['flag-0', 'flag-1', 'flag-2', 'flag-4', 'flag-5', 'flag-6']);
+    expect(results.failedFlags).toEqual([expect.objectContaining({ key: 'flag-3' })]);
+  });
+
+  test('should report conflicts separately from failures', async () => {
+    core.warning = jest.fn();
+    fetch.mockResolvedValueOnce({ ok: false, status: 409, statusText: 'Conflict', text: async () => '{"code":"conflict"}' });
+
+    const flags = [{
+      key: 'edited-flag',
+      name: 'Edited Flag',
+      creationDate: 1752875955933,
+      _version: 4,
+      customProperties: { 'flag.expiry.date': { name: 'flag.expiry.date', value: ['01/01/2025'] } }
+    }];
+
+    const results = await processFlagsInBatches(flags, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'MM/DD/YYYY');
+
+    expect(results.updatedFlags).toEqual([]);
+    expect(results.failedFlags).toEqual([]);
+    expect(results.conflictedFlags).toEqual([expect.objectContaining({
+      projectKey: 'test-project',
+      key: 'edited-flag',
+      expectedValue: '01/01/2025',
+      expectedVersion: 4
+    })]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getErrorMessage', () => {
+  test('should read the message of errors, strings and error-like values', () => {
+    expect(getErrorMessage(new LaunchDarklyApiError('HTTP 409: Conflict', { status: 409 }))).toBe('HTTP 409: Conflict');
+    expect(getErrorMessage(new Error('socket hang up'))).toBe('socket hang up');
+    expect(getErrorMessage('timed out')).toBe('timed out');
+    expect(getErrorMessage({ message: 'rejected' })).toBe('rejected');
+    expect(getErrorMessage(undefined)).toBe('Unknown error occurred');
+    expect(getErrorMessage(null, 'Could not update flag')).toBe('Could not update flag');
+  });
+});
+
+describe('LaunchDarklyClient', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    core.debug = jest.fn();
+    core.info = jest.fn();
+  });
+
+  test('should validate and normalise base URLs', () => {
+    expect(normalizeBaseUrl('https://app.launchdarkly.us/')).toBe('https://app.launchdarkly.us');
+    expect(normalizeBaseUrl('https://ld.example.com/proxy/')).toBe('https://ld.example.com/proxy');
+    expect(normalizeBaseUrl('http://localhost:8080')).toBe('http://localhost:8080');
+
+    expect(() => normalizeBaseUrl('app.launchdarkly.com')).toThrow('Invalid base_url value: app.launchdarkly.com. Must be an absolute URL');
+    expect(() => normalizeBaseUrl('http://app.launchdarkly.com')).toThrow('Must use https');
+    expect(() => normalizeBaseUrl('https://app.launchdarkly.com?x=1')).toThrow('Must not include credentials, a query string or a fragment');
+  });
+
+  test('should send every request to the configured base URL', async () => {
+    const client = new LaunchDarklyClient({ apiKey: 'test-api-key', baseUrl: 'https://app.eu.launchdarkly.com/' });
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ items: [{ key: 'test-flag', creationDate: 1752875955933 }] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ key: 'test-flag' }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ key: 'test-flag' }) });
+
+    await getAllFeatureFlags(client, 'test-project');
+    await getFeatureFlag(client, 'test-project', 'test-flag');
+    await setCustomProperty(client, 'test-project', 'test-flag', 'flag.expiry.date', '08/17/2025');
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://app.eu.launchdarkly.com/api/v2/flags/test-project?limit=50&offset=0',
+      'https://app.eu.launchdarkly.com/api/v2/flags/test-project/test-flag',
+      'https://app.eu.launchdarkly.com/api/v2/flags/test-project/test-flag'
+    ]);
+    fetch.mock.calls.forEach(([, options]) => {
+      expect(options.headers.Authorization).toBe('test-api-key');
+    });
+  });
+});
+
 describe('getFeatureFlag', () => {
   beforeEach(() => {
     fetch.mockClear();
@@ -319,7 +868,7 @@ describe('getFeatureFlag', () => {
   });
 
   test('should throw error for other HTTP errors', async () => {
-    // Mock multiple calls since fetchWithRetry will retry
+    // 401 is not retryable, so only one request is made
     const mockErrorResponse = { 
       ok: false, 
       status: 401, 
@@ -327,14 +876,12 @@ describe('getFeatureFlag', () => {
       text: jest.fn().mockResolvedValue('') 
     };
     
-    fetch
-      .mockResolvedValueOnce(mockErrorResponse)
-      .mockResolvedValueOnce(mockErrorResponse)
-      .mockResolvedValueOnce(mockErrorResponse);
+    fetch.mockResolvedValueOnce(mockErrorResponse);
 
     await expect(getFeatureFlag('invalid-api-key', 'test-project', 'test-flag'))
       .rejects.toThrow('HTTP 401: Unauthorized. Please check your API key is valid and has the required permissions.');
-  }, 20000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
 });
 
 describe('setCustomProperty', () => {
@@ -407,7 +954,7 @@ describe('setCustomProperty', () => {
   });
 
   test('should throw error for 401 (unauthorized)', async () => {
-    // Mock multiple calls since fetchWithRetry will retry
+    // 401 is not retryable, so only one request is made
     const mockErrorResponse = { 
       ok: false, 
       status: 401, 
@@ -415,14 +962,12 @@ describe('setCustomProperty', () => {
       text: jest.fn().mockResolvedValue('') 
     };
     
-    fetch
-      .mockResolvedValueOnce(mockErrorResponse)
-      .mockResolvedValueOnce(mockErrorResponse)
-      .mockResolvedValueOnce(mockErrorResponse);
+    fetch.mockResolvedValueOnce(mockErrorResponse);
 
     await expect(setCustomProperty('invalid-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024'))
       .rejects.toThrow('HTTP 401: Unauthorized. Please check your API key is valid and has the required permissions. Please check your API key has WRITE permissions.');
-  }, 20000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
 
   test('should throw error for 404 (flag not found)', async () => {
     fetch.mockResolvedValueOnce({
@@ -434,59 +979,890 @@ describe('setCustomProperty', () => {
     await expect(setCustomProperty('test-api-key', 'test-project', 'non-existent-flag', 'flag.expiry.date', '03/15/2024'))
       .rejects.toThrow('HTTP 404: Not Found. Resource may not exist or you don\'t have access to it. Flag \'non-existent-flag\' may not exist in project \'test-project\'.');
   });
-});
 
-describe('run function integration', () => {
-  beforeEach(() => {
-    // Reset all mocks
-    jest.clearAllMocks();
-    
-    // Mock core functions
-    core.getInput = jest.fn();
-    core.info = jest.fn();
-    core.error = jest.fn();
-    core.debug = jest.fn();
-    core.warning = jest.fn();
-    core.setOutput = jest.fn();
-    core.setFailed = jest.fn();
-    core.summary = {
-      addHeading: jest.fn().mockReturnThis(),
-      addRaw: jest.fn().mockReturnThis(),
-      addTable: jest.fn().mockReturnThis(),
-      write: jest.fn().mockResolvedValue()
-    };
-    
-    fetch.mockClear();
-  });
+  test('should test the existing value before replacing it', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
 
-  test('should validate required inputs', async () => {
-    core.getInput.mockImplementation((name) => {
-      switch (name) {
-        case 'launchdarkly_api_key': return '';
-        case 'project_key': return 'test-project';
-        case 'days_from_creation': return '30';
-        default: return '';
-      }
+    await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', true, {
+      expectedValue: '01/01/2024',
+      expectedVersion: 7
     });
 
-    await run();
-
-    expect(core.setFailed).toHaveBeenCalledWith('Action failed with error: LaunchDarkly API key cannot be empty');
+    expect(JSON.parse(fetch.mock.calls[0][1].body).patch).toEqual([
+      { op: 'test', path: '/customProperties/flag.expiry.date/value/0', value: '01/01/2024' },
+      { op: 'replace', path: '/customProperties/flag.expiry.date', value: { name: 'flag.expiry.date', value: ['03/15/2024'] } }
+    ]);
   });
 
-  test('should validate days_from_creation input', async () => {
-    core.getInput.mockImplementation((name) => {
-      switch (name) {
-        case 'launchdarkly_api_key': return 'test-api-key';
-        case 'project_key': return 'test-project';
-        case 'days_from_creation': return 'invalid';
-        default: return '';
-      }
+  test('should escape ~ and / in property names in patch paths', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+    await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'expiry/date~v2', '03/15/2024', true, {
+      expectedValue: '01/01/2024'
     });
 
-    await run();
+    expect(JSON.parse(fetch.mock.calls[0][1].body).patch).toEqual([
+      { op: 'test', path: '/customProperties/expiry~1date~0v2/value/0', value: '01/01/2024' },
+      { op: 'replace', path: '/customProperties/expiry~1date~0v2', value: { name: 'expiry/date~v2', value: ['03/15/2024'] } }
+    ]);
+  });
 
-    expect(core.setFailed).toHaveBeenCalledWith('Action failed with error: Invalid days_from_creation value: invalid. Must be a number between 1 and 365');
+  test('should test the flag version before adding a property', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+    await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', false, {
+      expectedValue: null,
+      expectedVersion: 7
+    });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).patch[0]).toEqual({ op: 'test', path: '/_version', value: 7 });
+  });
+
+  test('should not retry and explain a 409 conflict', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 409, statusText: 'Conflict', text: async () => '' });
+
+    const error = await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', true, {
+      expectedValue: '01/01/2024'
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(LaunchDarklyApiError);
+    expect(error.status).toBe(409);
+    expect(error.message).toContain('Flag \'test-flag\' was changed after it was fetched, so it was not updated.');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send a semantic patch when requested', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+    await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', false, { patchFormat: 'semantic' });
+
+    const [, request] = fetch.mock.calls[0];
+    expect(request.headers['Content-Type']).toBe('application/json; domain-model=launchdarkly.semanticpatch');
+    expect(JSON.parse(request.body).instructions).toEqual([
+      { kind: 'replaceCustomProperties', key: 'flag.expiry.date', name: 'flag.expiry.date', values: ['03/15/2024'] }
+    ]);
+  });
+
+  test('should check the current value before a semantic patch', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ key: 'test-flag', customProperties: { 'flag.expiry.date': { value: ['06/30/2024'] } } })
+    });
+
+    const error = await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', true, {
+      patchFormat: 'semantic',
+      expectedValue: '01/01/2024'
+    }).catch(e => e);
+
+    expect(error.status).toBe(409);
+    expect(fetch).toHaveBeenCalledTimes(1); // only the GET, no PATCH
+  });
+
+  test('should set additional properties in the same JSON patch', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+    await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', false, {
+      expectedValue: null,
+      expectedVersion: 7,
+      additionalProperties: [
+        { name: 'flag.review.date', value: '03/01/2024', previousValue: '02/01/2024' },
+        { name: 'flag.owner.team', value: 'payments', previousValue: null }
+      ]
+    });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).patch).toEqual([
+      { op: 'test', path: '/_version', value: 7 },
+      { op: 'test', path: '/customProperties/flag.review.date/value/0', value: '02/01/2024' },
+      { op: 'add', path: '/customProperties/flag.expiry.date', value: { name: 'flag.expiry.date', value: ['03/15/2024'] } },
+      { op: 'replace', path: '/customProperties/flag.review.date', value: { name: 'flag.review.date', value: ['03/01/2024'] } },
+      { op: 'add', path: '/customProperties/flag.owner.team', value: { name: 'flag.owner.team', value: ['payments'] } }
+    ]);
+  });
+
+  test('should set additional properties in the same semantic patch', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+    await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', false, {
+      patchFormat: 'semantic',
+      additionalProperties: [{ name: 'flag.owner.team', value: 'payments', previousValue: null }]
+    });
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.comment).toBe('Set flag.expiry.date, flag.owner.team (flag expiry setter)');
+    expect(body.instructions).toEqual([
+      { kind: 'replaceCustomProperties', key: 'flag.expiry.date', name: 'flag.expiry.date', values: ['03/15/2024'] },
+      { kind: 'replaceCustomProperties', key: 'flag.owner.team', name: 'flag.owner.team', values: ['payments'] }
+    ]);
+  });
+
+  test('should explain failures caused by required approvals', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 405,
+      statusText: 'Method Not Allowed',
+      text: async () => '{"code":"method_not_allowed","message":"This change requires an approval request"}'
+    });
+
+    await expect(setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', false, { approvalMode: 'none' }))
+      .rejects.toThrow('set approval_mode to \'when_required\' to create approval requests instead');
+  });
+
+  test('should not suggest approval_mode when approvals are already on', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 405,
+      statusText: 'Method Not Allowed',
+      text: async () => '{"code":"method_not_allowed","message":"This change requires an approval request"}'
+    });
+
+    const error = await setCustomProperty('test-api-key', 'test-project', 'test-flag', 'flag.expiry.date', '03/15/2024', false, { approvalMode: 'when_required' })
+      .catch(e => e);
+
+    expect(error.message).toMatch(/requires an approval request/);
+    expect(error.message).not.toMatch(/set approval_mode/);
+  });
+});
+
+describe('createApprovalRequest', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    core.info = jest.fn();
+    core.debug = jest.fn();
+  });
+
+  test('should request the custom property change for the flag in the environment', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ _id: 'approval-123' }) });
+
+    const id = await createApprovalRequest('test-api-key', 'test-project', 'test-flag', 'production', 'flag.expiry.date', '03/15/2024');
+
+    expect(id).toBe('approval-123');
+    expect(fetch.mock.calls[0][0]).toBe('https://app.launchdarkly.com/api/v2/projects/test-project/flags/test-flag/environments/production/approval-requests');
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+      description: 'Set flag.expiry.date to 03/15/2024',
+      instructions: [{ kind: 'replaceCustomProperties', key: 'flag.expiry.date', name: 'flag.expiry.date', values: ['03/15/2024'] }]
+    });
+  });
+  test('should include additional properties in the same approval request', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ _id: 'approval-123' }) });
+
+    await createApprovalRequest('test-api-key', 'test-project', 'test-flag', 'production', 'flag.expiry.date', '03/15/2024', [
+      { name: 'flag.review.date', value: '03/01/2024', previousValue: null }
+    ]);
+
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.description).toBe('Set flag.expiry.date to 03/15/2024, flag.review.date to 03/01/2024');
+    expect(body.instructions).toHaveLength(2);
+  });
+
+  test.each([
+    ['a network error', () => fetch.mockRejectedValueOnce(new TypeError('fetch failed')), 'fetch failed'],
+    ['a server error', () => fetch.mockResolvedValueOnce({ ok: false, status: 502, statusText: 'Bad Gateway', text: async () => '' }), 'HTTP 502']
+  ])('should not repeat the request after %s', async (_, mockFailure, message) => {
+    mockFailure();
+
+    await expect(createApprovalRequest('test-api-key', 'test-project', 'test-flag', 'production', 'flag.expiry.date', '03/15/2024'))
+      .rejects.toThrow(`Failed to create approval request for flag test-flag: ${message}`);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('expiry policies', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ld-policy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function writePolicy(fileName, content) {
+    const policyFile = path.join(tempDir, fileName);
+    fs.writeFileSync(policyFile, content);
+    return policyFile;
+  }
+
+  test('should load YAML policy and use the first matching rule', () => {
+    const policy = loadExpiryPolicy(writePolicy('policy.yml', [
+      'rules:',
+      '  - name: experiments',
+      '    match:',
+      '      tags: [experiment]',
+      '    days: 30',
+      '  - name: release-toggles',
+      '    match:',
+      '      kind: boolean',
+      '      temporary: true',
+      '      key_pattern: "release-*"',
+      '    days: 90',
+      '  - name: ops',
+      '    match:',
+      '      maintainer: platform-team',
+      '    days: 365'
+    ].join('\n')));
+
+    expect(resolveExpiryPolicy({ key: 'release-a', kind: 'boolean', temporary: true, tags: ['experiment'] }, policy, 45))
+      .toEqual({ days: 30, rule: 'experiments' });
+    expect(resolveExpiryPolicy({ key: 'release-a', kind: 'boolean', temporary: true, tags: [] }, policy, 45))
+      .toEqual({ days: 90, rule: 'release-toggles' });
+    expect(resolveExpiryPolicy({ key: 'release-a', kind: 'multivariate', temporary: true }, policy, 45))
+      .toEqual({ days: 45, rule: null });
+    expect(resolveExpiryPolicy({ key: 'cache', maintainerTeamKey: 'platform-team' }, policy, 45))
+      .toEqual({ days: 365, rule: 'ops' });
+  });
+
+  test('should load JSON policy with a top-level rule list', () => {
+    const policy = loadExpiryPolicy(writePolicy('policy.json', JSON.stringify([
+      { match: { maintainer: 'jane@example.com' }, days: 14 }
+    ])));
+
+    expect(resolveExpiryPolicy({ key: 'a', _maintainer: { email: 'jane@example.com' } }, policy, 30))
+      .toEqual({ days: 14, rule: 'rule-1' });
+  });
+
+  test('should match every flag with a regular expression key_pattern', () => {
+    const policy = loadExpiryPolicy(writePolicy('policy.yml', 'rules:\n  - name: releases\n    match:\n      key_pattern: "/^release-/i"\n    days: 90'));
+
+    expect(['release-a', 'release-b', 'RELEASE-c'].map(key => resolveExpiryPolicy({ key }, policy, 30).days)).toEqual([90, 90, 90]);
+    expect(() => loadExpiryPolicy(writePolicy('global.yml', 'rules:\n  - name: releases\n    match:\n      key_pattern: "/^release-/g"\n    days: 90')))
+      .toThrow('Invalid key_pattern in policy rule 1 (releases) value: /^release-/g. The g and y flags are not supported');
+  });
+
+  test('should reject invalid policy rules', () => {
+    expect(() => loadExpiryPolicy(writePolicy('empty.yml', 'rules: []')))
+      .toThrow('must contain a non-empty list of rules');
+    expect(() => loadExpiryPolicy(writePolicy('days.yml', 'rules:\n  - name: bad\n    days: 0')))
+      .toThrow('Invalid days for policy rule 1 (bad) value: 0');
+    expect(() => loadExpiryPolicy(writePolicy('kind.yml', 'rules:\n  - match:\n      kind: string\n    days: 10')))
+      .toThrow('Invalid kind in policy rule 1 (rule-1): string');
+    expect(() => loadExpiryPolicy(writePolicy('unknown.yml', 'rules:\n  - match:\n      owner: me\n    days: 10')))
+      .toThrow('Unsupported match condition(s) in policy rule 1 (rule-1): owner');
+    expect(() => loadExpiryPolicy(path.join(tempDir, 'missing.yml')))
+      .toThrow('Could not read policy file');
+  });
+});
+
+describe('applyExistingValueStrategy', () => {
+  test('should set the calculated value when there is no existing value', () => {
+    expect(applyExistingValueStrategy(null, '08/17/2025', 'MM/DD/YYYY', { strategy: 'only_if_later' }))
+      .toEqual({ value: '08/17/2025', branch: 'no_existing_value', skipReason: null });
+  });
+
+  test('should overwrite or skip existing values', () => {
+    expect(applyExistingValueStrategy('12/31/2025', '08/17/2025', 'MM/DD/YYYY', { strategy: 'overwrite' }))
+      .toEqual({ value: '08/17/2025', branch: 'overwritten', skipReason: null });
+    expect(applyExistingValueStrategy('12/31/2025', '08/17/2025', 'MM/DD/YYYY', { strategy: 'skip' }))
+      .toEqual(expect.objectContaining({ value: null, branch: 'skipped' }));
+  });
+
+  test('should extend the existing value', () => {
+    expect(applyExistingValueStrategy('12/31/2025', '08/17/2025', 'MM/DD/YYYY', { strategy: 'extend_by_days', extensionDays: 30 }))
+      .toEqual({ value: '01/30/2026', branch: 'extended', skipReason: null });
+    expect(applyExistingValueStrategy('12/31/2025', '08/17/2025', 'MM/DD/YYYY', { strategy: 'extend_by_days', extensionDays: 30, calendar: { businessDays: true } }))
+      .toEqual({ value: '02/11/2026', branch: 'extended', skipReason: null });
+  });
+
+  test('should only move the date in the allowed direction', () => {
+    expect(applyExistingValueStrategy('12/31/2025', '08/17/2025', 'MM/DD/YYYY', { strategy: 'only_if_earlier' }))
+      .toEqual({ value: '08/17/2025', branch: 'moved_earlier', skipReason: null });
+    expect(applyExistingValueStrategy('12/31/2025', '08/17/2025', 'MM/DD/YYYY', { strategy: 'only_if_later' }))
+      .toEqual({ value: null, branch: 'kept_existing', skipReason: 'Existing value 12/31/2025 is not earlier than 08/17/2025' });
+    expect(applyExistingValueStrategy('2025-01-31', '2025-08-17', 'YYYY-MM-DD', { strategy: 'only_if_later' }))
+      .toEqual({ value: '2025-08-17', branch: 'moved_later', skipReason: null });
+    expect(applyExistingValueStrategy('08/17/2025', '08/17/2025', 'MM/DD/YYYY', { strategy: 'only_if_earlier' }).branch)
+      .toBe('kept_existing');
+  });
+
+  test('should leave existing values it cannot parse', () => {
+    expect(applyExistingValueStrategy('2025-12-31', '08/17/2025', 'MM/DD/YYYY', { strategy: 'extend_by_days', extensionDays: 30 }))
+      .toEqual({ value: null, branch: 'invalid_existing_value', skipReason: 'Existing value \'2025-12-31\' is not a valid MM/DD/YYYY date' });
+  });
+
+  test('parseDateString should return a date only for real dates in the format', () => {
+    expect(parseDateString('02/29/2024', 'MM/DD/YYYY')).toEqual(new Date(Date.UTC(2024, 1, 29)));
+    expect(parseDateString('02/29/2025', 'MM/DD/YYYY')).toBeNull();
+    expect(parseDateString('2024-02-29', 'MM/DD/YYYY')).toBeNull();
+  });
+});
+
+describe('normalizeExistingValues', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    core.info = jest.fn();
+    core.warning = jest.fn();
+  });
+
+  const withValue = (key, value) => ({
+    key,
+    name: key,
+    customProperties: value === null ? {} : { 'flag.expiry.date': { name: 'flag.expiry.date', value: [value] } }
+  });
+
+  test('detectDateFormat should prefer the configured format', () => {
+    expect(detectDateFormat('2025-08-17', 'MM/DD/YYYY')).toBe('YYYY-MM-DD');
+    expect(detectDateFormat('08/17/2025', 'MM/DD/YYYY')).toBe('MM/DD/YYYY');
+    expect(detectDateFormat('03/04/2025', 'DD/MM/YYYY')).toBe('DD/MM/YYYY');
+    expect(detectDateFormat('17/08/2025', 'YYYY-MM-DD')).toBe('DD/MM/YYYY');
+    expect(detectDateFormat('soon', 'MM/DD/YYYY')).toBeNull();
+  });
+
+  test('detectDateFormat should not guess between day-first and month-first', () => {
+    expect(detectDateFormat('03/04/2025', 'YYYY-MM-DD')).toBeNull();
+  });
+
+  test('should classify values without changing flags unless asked to', async () => {
+    const flags = [
+      withValue('valid', '08/17/2025'),
+      withValue('iso', '2025-08-17'),
+      withValue('junk', 'soon'),
+      withValue('none', null)
+    ];
+
+    const results = await normalizeExistingValues('test-api-key', 'test-project', flags, 'flag.expiry.date', 'MM/DD/YYYY');
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(results.validValues).toBe(1);
+    expect(results.normalizedFlags).toEqual([expect.objectContaining({
+      key: 'iso',
+      previousValue: '2025-08-17',
+      detectedFormat: 'YYYY-MM-DD',
+      normalizedValue: '08/17/2025',
+      rewritten: false
+    })]);
+    expect(results.invalidValues).toEqual([expect.objectContaining({ key: 'junk', value: 'soon', reason: 'Not a date in any supported format' })]);
+  });
+
+  test('should report day/month ambiguous values as invalid', async () => {
+    const results = await normalizeExistingValues('test-api-key', 'test-project', [withValue('ambiguous', '03/04/2025')], 'flag.expiry.date', 'YYYY-MM-DD');
+
+    expect(results.normalizedFlags).toEqual([]);
+    expect(results.invalidValues).toEqual([expect.objectContaining({
+      key: 'ambiguous',
+      reason: 'Ambiguous date (MM/DD/YYYY or DD/MM/YYYY)'
+    })]);
+  });
+
+  test('should rewrite values in another format with a precondition on the old value', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+    const results = await normalizeExistingValues('test-api-key', 'test-project', [withValue('iso', '2025-08-17')], 'flag.expiry.date', 'MM/DD/YYYY', { rewrite: true });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).patch).toEqual([
+      { op: 'test', path: '/customProperties/flag.expiry.date/value/0', value: '2025-08-17' },
+      { op: 'replace', path: '/customProperties/flag.expiry.date', value: { name: 'flag.expiry.date', value: ['08/17/2025'] } }
+    ]);
+    expect(results.normalizedFlags[0].rewritten).toBe(true);
+  });
+});
+
+describe('auditExpiryValues', () => {
+  const withValue = (key, value) => ({
+    key,
+    name: key,
+    creationDate: 1752875955933,
+    _maintainer: { email: `${key}@example.com` },
+    customProperties: value === null ? {} : { 'flag.expiry.date': { name: 'flag.expiry.date', value: [value] } }
+  });
+  const now = Date.UTC(2025, 7, 17, 15);
+
+  test('should classify flags by their expiry date', () => {
+    const flags = [
+      withValue('healthy-flag', '12/31/2025'),
+      withValue('old-flag', '01/01/2025'),
+      withValue('today-flag', '08/17/2025'),
+      withValue('expired-flag', '08/16/2025'),
+      withValue('soon-flag', '2025-08-31'),
+      withValue('missing-flag', null),
+      withValue('junk-flag', 'soon')
+    ];
+
+    const audit = auditExpiryValues('test-project', flags, 'flag.expiry.date', 'MM/DD/YYYY', { expiringWithinDays: 14, now });
+
+    expect(audit.expired.map(flag => flag.key)).toEqual(['old-flag', 'expired-flag']);
+    expect(audit.expired[1]).toEqual({
+      projectKey: 'test-project',
+      key: 'expired-flag',
+      name: 'expired-flag',
+      creationDate: '2025-07-18',
+      maintainer: 'expired-flag@example.com',
+      value: '08/16/2025',
+      expiryDate: '2025-08-16',
+      daysUntilExpiry: -1
+    });
+    expect(audit.expiring.map(flag => [flag.key, flag.daysUntilExpiry])).toEqual([['today-flag', 0], ['soon-flag', 14]]);
+    expect(audit.healthy.map(flag => flag.key)).toEqual(['healthy-flag']);
+    expect(audit.missing.map(flag => flag.key)).toEqual(['missing-flag']);
+    expect(audit.invalid).toEqual([expect.objectContaining({ key: 'junk-flag', value: 'soon', reason: 'Not a date in any supported format' })]);
+  });
+
+  test('should count days on the calendar of the time zone', () => {
+    // 15:00 UTC on August 17th is already August 18th in Auckland
+    const audit = auditExpiryValues('test-project', [withValue('today-flag', '08/17/2025')], 'flag.expiry.date', 'MM/DD/YYYY', {
+      timeZone: 'Pacific/Auckland',
+      now
+    });
+
+    expect(audit.expired.map(flag => [flag.key, flag.daysUntilExpiry])).toEqual([['today-flag', -1]]);
+  });
+
+  test('should read values written with a value template', () => {
+    const audit = auditExpiryValues('test-project', [withValue('templated-flag', '2025-08-20|auto')], 'flag.expiry.date', 'YYYY-MM-DD', {
+      valueTemplate: parseValueTemplate('{expiry}|auto'),
+      now
+    });
+
+    expect(audit.expiring).toEqual([expect.objectContaining({ key: 'templated-flag', value: '2025-08-20|auto', expiryDate: '2025-08-20', daysUntilExpiry: 3 })]);
+  });
+});
+
+describe('processSingleFlag', () => {
+  beforeEach(() => {
+    fetch.mockClear();
+    core.info = jest.fn();
+  });
+
+  test('should not call the API in dry-run mode', async () => {
+    const flag = {
+      key: 'test-flag',
+      name: 'Test Flag',
+      creationDate: 1752875955933,
+      customProperties: {
+        'flag.expiry.date': { name: 'flag.expiry.date', value: ['07/01/2025'] }
+      }
+    };
+
+    const result = await processSingleFlag(flag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'MM/DD/YYYY', { dryRun: true });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result.operation).toBe('replace');
+    expect(result.previousValue).toBe('07/01/2025');
+    expect(result.calculatedExpiryDate).toBe('08/17/2025');
+  });
+
+  test('should leave the flag unchanged when the strategy keeps the existing value', async () => {
+    const flag = {
+      key: 'test-flag',
+      name: 'Test Flag',
+      creationDate: 1752875955933,
+      customProperties: {
+        'flag.expiry.date': { name: 'flag.expiry.date', value: ['07/01/2025'] }
+      }
+    };
+
+    const result = await processSingleFlag(flag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'MM/DD/YYYY', {
+      existingValueStrategy: 'only_if_earlier'
+    });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result.existingValueStrategy).toBe('only_if_earlier');
+    expect(result.strategyBranch).toBe('kept_existing');
+    expect(result.skipReason).toBe('Existing value 07/01/2025 is not later than 08/17/2025');
+  });
+
+  test('should record the matched policy rule', async () => {
+    const flag = {
+      key: 'exp-flag',
+      name: 'Experiment Flag',
+      creationDate: 1752875955933,
+      tags: ['experiment'],
+      customProperties: {}
+    };
+    const policy = {
+      rules: [{ name: 'experiments', days: 10, match: { tags: ['experiment'] } }]
+    };
+
+    const result = await processSingleFlag(flag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'YYYY-MM-DD', { dryRun: true, policy });
+
+    expect(result.policyRule).toBe('experiments');
+    expect(result.daysFromCreation).toBe(10);
+    expect(result.calculatedExpiryDate).toBe('2025-07-28');
+  });
+  test('should render additional properties from the flag and the expiry date', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+    const flag = {
+      key: 'test-flag',
+      name: 'Test Flag',
+      creationDate: 1752875955933,
+      _version: 3,
+      _maintainerTeam: { key: 'payments' },
+      customProperties: {
+        'flag.owner.team': { name: 'flag.owner.team', value: ['payments'] }
+      }
+    };
+    const additionalProperties = parseAdditionalProperties([
+      '- name: flag.review.date',
+      '  value: "{expiry-14d}"',
+      '- name: flag.owner.team',
+      '  value: "{maintainerTeam}"',
+      '- name: flag.owner',
+      '  value: "{maintainer}"'
+    ].join('\n'), 'flag.expiry.date');
+
+    const result = await processSingleFlag(flag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'YYYY-MM-DD', { additionalProperties });
+
+    // flag.owner.team already has the value, so only the review date and owner change
+    expect(result.additionalProperties).toEqual([
+      { customPropertyName: 'flag.review.date', operation: 'add', previousValue: null, newValue: '2025-08-03' },
+      { customPropertyName: 'flag.owner', operation: 'add', previousValue: null, newValue: 'payments' }
+    ]);
+    const patch = JSON.parse(fetch.mock.calls[0][1].body).patch;
+    expect(patch.filter(operation => operation.op === 'add').map(operation => operation.path)).toEqual([
+      '/customProperties/flag.expiry.date',
+      '/customProperties/flag.review.date',
+      '/customProperties/flag.owner'
+    ]);
+  });
+  test('should store the value rendered from the value template', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+    const flag = { key: 'test-flag', name: 'Test Flag', creationDate: 1752875955933, tags: ['release'], customProperties: {} };
+    const policy = { rules: [{ name: 'release', days: 30, match: { tags: ['release'] } }] };
+
+    const result = await processSingleFlag(flag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'YYYY-MM-DD', {
+      policy,
+      valueTemplate: parseValueTemplate('{expiry}|auto|policy:{policyRule}|run:{runId}'),
+      runId: '4242'
+    });
+
+    expect(result.calculatedExpiryDate).toBe('2025-08-17');
+    expect(result.propertyValue).toBe('2025-08-17|auto|policy:release|run:4242');
+    expect(JSON.parse(fetch.mock.calls[0][1].body).patch).toEqual([
+      { op: 'add', path: '/customProperties/flag.expiry.date', value: { name: 'flag.expiry.date', value: ['2025-08-17|auto|policy:release|run:4242'] } }
+    ]);
+  });
+
+  test('should compare existing templated values by their expiry date', async () => {
+    const flag = {
+      key: 'test-flag',
+      name: 'Test Flag',
+      creationDate: 1752875955933,
+      customProperties: {
+        'flag.expiry.date': { name: 'flag.expiry.date', value: ['2025-09-01|run:1000'] }
+      }
+    };
+
+    const result = await processSingleFlag(flag, 'test-api-key', 'test-project', 'flag.expiry.date', 30, 'YYYY-MM-DD', {
+      existingValueStrategy: 'only_if_later',
+      valueTemplate: parseValueTemplate('{expiry}|run:{runId}')
+    });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result.strategyBranch).toBe('kept_existing');
+    expect(result.skipReason).toBe('Existing value 2025-09-01 is not earlier than 2025-08-17');
+  });
+});
+
+describe('parseValueTemplate', () => {
+  test('should require an {expiry} placeholder', () => {
+    expect(parseValueTemplate('')).toBeNull();
+    expect(parseValueTemplate('{expiry}|{flagKey}').source).toBe('{expiry}|{flagKey}');
+    expect(() => parseValueTemplate('{created}|auto')).toThrow('Invalid value_template: "{created}|auto" must contain {expiry}');
+    expect(() => parseValueTemplate('{expiry}|{owner}')).toThrow('Invalid value_template: unknown placeholder {owner}');
+  });
+
+  test('should only accept templates whose expiry date can be read back', () => {
+    const render = template => template.render({
+      expiry: offsetDays => (offsetDays === 0 ? '08/17/2025' : '08/03/2025'),
+      created: () => '07/18/2025',
+      flagKey: 'my-flag',
+      runId: '1234'
+    });
+
+    ['{expiry}', '{expiry}|auto', 'run:{runId}|{expiry}', '{flagKey}:{expiry}|{expiry-14d}', 'review {expiry-14d}, expire {expiry}'].forEach(source => {
+      const template = parseValueTemplate(source);
+      expect(readExpiryValue(render(template), template)).toBe('08/17/2025');
+    });
+
+    expect(() => parseValueTemplate('{expiry-14d}|auto')).toThrow('Invalid value_template: "{expiry-14d}|auto" must contain {expiry} without a day offset');
+    expect(() => parseValueTemplate('{expiry}{flagKey}')).toThrow('Invalid value_template: "{expiry}{flagKey}" needs literal text between {expiry} and the placeholders next to it');
+    expect(() => parseValueTemplate('{runId}{expiry}|auto')).toThrow('needs literal text between {expiry}');
+  });
+});
+
+describe('parseAdditionalProperties', () => {
+  test('should parse a YAML or JSON list of property templates', () => {
+    const properties = parseAdditionalProperties('[{"name": "flag.review.date", "value": "{expiry-14d}"}]', 'flag.expiry.date');
+
+    expect(properties).toHaveLength(1);
+    expect(properties[0].name).toBe('flag.review.date');
+    expect(properties[0].template.source).toBe('{expiry-14d}');
+    expect(parseAdditionalProperties('', 'flag.expiry.date')).toEqual([]);
+  });
+
+  test('should reject invalid definitions', () => {
+    expect(() => parseAdditionalProperties('name: flag.owner', 'flag.expiry.date'))
+      .toThrow('additional_properties must be a list of { name, value } definitions');
+    expect(() => parseAdditionalProperties('- value: x', 'flag.expiry.date'))
+      .toThrow('Invalid additional property 1: must have a name and a value');
+    expect(() => parseAdditionalProperties('- name: flag.expiry.date\n  value: x', 'flag.expiry.date'))
+      .toThrow('flag.expiry.date is already set by custom_property_name');
+    expect(() => parseAdditionalProperties('- name: flag.owner\n  value: "{owner}"', 'flag.expiry.date'))
+      .toThrow('Invalid value of additional property 1 (flag.owner): unknown placeholder {owner}');
+  });
+});
+
+describe('resolveProjectKeys', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    core.info = jest.fn();
+    core.debug = jest.fn();
+  });
+
+  test('should parse a list of project keys without duplicates', async () => {
+    await expect(resolveProjectKeys('test-api-key', 'web, mobile\nweb'))
+      .resolves.toEqual(['web', 'mobile']);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should enumerate all projects for "*"', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ items: [{ key: 'web' }, { key: 'mobile' }], totalCount: 2 })
+    });
+
+    await expect(resolveProjectKeys('test-api-key', '*')).resolves.toEqual(['web', 'mobile']);
+    expect(fetch).toHaveBeenCalledWith(
+      'https://app.launchdarkly.com/api/v2/projects?limit=20&offset=0',
+      expect.objectContaining({ headers: expect.objectContaining({ 'Authorization': 'test-api-key' }) })
+    );
+  });
+
+  test('should reject "*" combined with other keys', async () => {
+    await expect(resolveProjectKeys('test-api-key', '*, web'))
+      .rejects.toThrow('project_key "*" cannot be combined with other project keys');
+  });
+});
+
+describe('run function integration', () => {
+  let workspace;
+
+  beforeEach(() => {
+    // Reset all mocks
+    jest.clearAllMocks();
+
+    // Keep plan and journal files out of the repository
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'ld-run-'));
+    process.env.GITHUB_WORKSPACE = workspace;
+    
+    // Mock core functions
+    core.getInput = jest.fn();
+    core.info = jest.fn();
+    core.error = jest.fn();
+    core.debug = jest.fn();
+    core.warning = jest.fn();
+    core.setOutput = jest.fn();
+    core.setFailed = jest.fn();
+    core.summary = {
+      addHeading: jest.fn().mockReturnThis(),
+      addRaw: jest.fn().mockReturnThis(),
+      addTable: jest.fn().mockReturnThis(),
+      write: jest.fn().mockResolvedValue()
+    };
+    
+    fetch.mockClear();
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_WORKSPACE;
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('should validate required inputs', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return '';
+        case 'project_key': return 'test-project';
+        case 'days_from_creation': return '30';
+        default: return '';
+      }
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed with error: LaunchDarkly API key cannot be empty');
+  });
+
+  test('should validate days_from_creation input', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'test-project';
+        case 'days_from_creation': return 'invalid';
+        default: return '';
+      }
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed with error: Invalid days_from_creation value: invalid. Must be a number between 1 and 365');
+  });
+
+  test('should validate date_format input', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'test-project';
+        case 'date_format': return 'DD/MM';
+        default: return '';
+      }
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid date_format value: DD/MM'));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should require a day counting option for holiday_calendar_file', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'test-project';
+        case 'holiday_calendar_file': return 'holidays.ics';
+        default: return '';
+      }
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed with error: holiday_calendar_file requires business_days or roll_to_working_day to be true');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should validate additional_properties templates before any API calls', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'test-project';
+        case 'additional_properties': return '- name: flag.review.date\n  value: "{expiry-2w}"';
+        default: return '';
+      }
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('malformed placeholder {expiry-2w}'));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should reject value_template outside of set mode', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'test-project';
+        case 'mode': return 'normalize';
+        case 'value_template': return '{expiry}|auto';
+        default: return '';
+      }
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed with error: value_template is not supported in normalize mode');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should validate expiring_within_days input', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'test-project';
+        case 'mode': return 'audit';
+        case 'expiring_within_days': return 'soon';
+        default: return '';
+      }
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed with error: Invalid expiring_within_days value: soon. Must be a number between 1 and 365');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should only create issues from an audit with a GitHub token', async () => {
+    const inputs = { launchdarkly_api_key: 'test-api-key', project_key: 'test-project', create_issues: 'expired' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith('Action failed with error: create_issues requires mode audit or set-and-audit');
+
+    inputs.mode = 'audit';
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith('Action failed with error: github_token is required when create_issues is set');
+
+    inputs.create_issues = 'always';
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith('Action failed with error: Invalid create_issues value: always. Must be one of: none, expired, expiring');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should only scan code references from an audit with valid patterns', async () => {
+    const inputs = { launchdarkly_api_key: 'test-api-key', project_key: 'test-project', scan_code_references: 'true' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith('Action failed with error: scan_code_references requires mode audit or set-and-audit');
+
+    inputs.mode = 'audit';
+    inputs.code_reference_patterns = 'isEnabled\\([\'"]{flagKey}\nFLAG_NAME';
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith('Action failed with error: Invalid code reference pattern FLAG_NAME: must contain {flagKey} or {camelKey}');
+
+    inputs.code_reference_patterns = '';
+    inputs.code_reference_paths = 'src/**/*.{js,ts';
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith("Action failed with error: Invalid glob src/**/*.{js: unmatched '{'");
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should require a GitHub token in pr-check mode', async () => {
+    core.getInput.mockImplementation(name => ({ launchdarkly_api_key: 'test-api-key', project_key: 'test-project', mode: 'pr-check' }[name] || ''));
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Action failed with error: github_token is required in pr-check mode to read the pull request diff');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should validate webhook notification inputs', async () => {
+    const inputs = { launchdarkly_api_key: 'test-api-key', project_key: 'test-project', notify_webhook_url: 'https://hooks.example.com/x', notify_webhook_type: 'discord' };
+    core.getInput.mockImplementation(name => inputs[name] || '');
+
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith('Action failed with error: Invalid notify_webhook_type value: discord. Must be one of: slack, teams, generic');
+
+    inputs.notify_webhook_type = 'slack';
+    inputs.notify_group_by = 'team';
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith('Action failed with error: Invalid notify_group_by value: team. Must be one of: maintainer, none');
+
+    inputs.notify_group_by = '';
+    inputs.notify_flag_template = '{flagKey} by {owner}';
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith(expect.stringContaining('Invalid notify_flag_template: unknown placeholder {owner}'));
+
+    inputs.notify_flag_template = '';
+    inputs.mode = 'rollback';
+    await run();
+    expect(core.setFailed).toHaveBeenLastCalledWith('Action failed with error: notify_webhook_url is not supported in rollback mode');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should validate timezone input', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'test-project';
+        case 'timezone': return 'Europe/Atlantis';
+        default: return '';
+      }
+    });
+
+    await run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid timezone value: Europe/Atlantis'));
+    expect(fetch).not.toHaveBeenCalled();
   });
 
   test('should process flags successfully', async () => {
@@ -577,4 +1953,113 @@ describe('run function integration', () => {
     expect(core.setOutput).toHaveBeenCalledWith('total_found', '1');
     expect(core.setOutput).toHaveBeenCalledWith('total_skipped', '1');
   });
+
+  test('should report a plan without patching flags in dry-run mode', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ld-expiry-'));
+    const planFile = path.join(tempDir, 'plan.json');
+
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'test-project';
+        case 'days_from_creation': return '30';
+        case 'skip_existing': return 'false';
+        case 'dry_run': return 'true';
+        case 'plan_file': return planFile;
+        default: return '';
+      }
+    });
+
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        items: [
+          {
+            key: 'new-flag',
+            name: 'New Flag',
+            creationDate: 1752875955933,
+            customProperties: {}
+          },
+          {
+            key: 'old-flag',
+            name: 'Old Flag',
+            creationDate: 1752875955933,
+            customProperties: {
+              'flag.expiry.date': { name: 'flag.expiry.date', value: ['07/01/2025'] }
+            }
+          }
+        ],
+        totalCount: 2
+      })
+    });
+
+    await run();
+
+    // Only the flag listing request should have been made
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.setOutput).toHaveBeenCalledWith('updated_flags', '[]');
+    expect(core.setOutput).toHaveBeenCalledWith('dry_run', 'true');
+    expect(core.setOutput).toHaveBeenCalledWith('plan_file', planFile);
+
+    const plannedChanges = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'planned_changes')[1]);
+    expect(plannedChanges).toEqual([
+      expect.objectContaining({ key: 'new-flag', operation: 'add', currentValue: null, newValue: '08/17/2025' }),
+      expect.objectContaining({ key: 'old-flag', operation: 'replace', currentValue: '07/01/2025', newValue: '08/17/2025' })
+    ]);
+
+    const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+    expect(plan.dryRun).toBe(true);
+    expect(plan.totals).toEqual({ add: 1, replace: 1 });
+    expect(plan.changes).toHaveLength(2);
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Planned Changes (Dry Run)', 3);
+
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should isolate failures per project and aggregate results', async () => {
+    core.getInput.mockImplementation((name) => {
+      switch (name) {
+        case 'launchdarkly_api_key': return 'test-api-key';
+        case 'project_key': return 'missing-project, web';
+        case 'days_from_creation': return '30';
+        default: return '';
+      }
+    });
+
+    fetch.mockImplementation(async (url, options = {}) => {
+      if (url.includes('/flags/missing-project')) {
+        return { ok: false, status: 404, statusText: 'Not Found', text: async () => '' };
+      }
+      if (options.method === 'PATCH') {
+        return { ok: true, json: async () => ({ key: 'web-flag' }) };
+      }
+      return {
+        ok: true,
+        json: async () => ({
+          items: [{ key: 'web-flag', name: 'Web Flag', creationDate: 1752875955933, customProperties: {} }],
+          totalCount: 1
+        })
+      };
+    });
+
+    await run();
+
+    const output = (name) => JSON.parse(core.setOutput.mock.calls.find(([outputName]) => outputName === name)[1]);
+
+    expect(output('updated_flags')).toEqual([
+      expect.objectContaining({ projectKey: 'web', key: 'web-flag', calculatedExpiryDate: '08/17/2025' })
+    ]);
+    expect(output('project_results')).toEqual([
+      expect.objectContaining({ projectKey: 'missing-project', status: 'failed', totalFound: 0 }),
+      expect.objectContaining({ projectKey: 'web', status: 'success', totalFound: 1, updated: 1 })
+    ]);
+    expect(output('failed_projects')).toEqual([
+      { projectKey: 'missing-project', error: expect.stringContaining('HTTP 404') }
+    ]);
+    expect(core.setFailed).toHaveBeenCalledWith('Failed to process 1 out of 2 projects');
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Project Results', 3);
+
+    fetch.mockReset();
+  });
 });
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildJournalEntry, buildJournalEntries, writeJournalFile, loadJournalFile, JOURNAL_VERSION } = require('../src/journal');
+
+describe('journal', () => {
+  let workspace;
+
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'ld-journal-'));
+    process.env.GITHUB_WORKSPACE = workspace;
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_WORKSPACE;
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  const updatedFlag = {
+    projectKey: 'test-project',
+    key: 'test-flag',
+    name: 'Test Flag',
+    customPropertyName: 'flag.expiry.date',
+    operation: 'replace',
+    previousValue: '01/01/2025',
+    calculatedExpiryDate: '03/15/2025',
+    propertyValue: '03/15/2025'
+  };
+
+  test('should record the previous and new value of each change', () => {
+    expect(buildJournalEntry(updatedFlag)).toEqual({
+      projectKey: 'test-project',
+      key: 'test-flag',
+      customPropertyName: 'flag.expiry.date',
+      operation: 'replace',
+      previousValue: '01/01/2025',
+      newValue: '03/15/2025'
+    });
+  });
+
+  test('should record additional properties as separate changes', () => {
+    const entries = buildJournalEntries({
+      ...updatedFlag,
+      additionalProperties: [
+        { customPropertyName: 'flag.review.date', operation: 'add', previousValue: null, newValue: '03/01/2025' }
+      ]
+    });
+
+    expect(entries).toEqual([
+      buildJournalEntry(updatedFlag),
+      {
+        projectKey: 'test-project',
+        key: 'test-flag',
+        customPropertyName: 'flag.review.date',
+        operation: 'add',
+        previousValue: null,
+        newValue: '03/01/2025'
+      }
+    ]);
+  });
+
+  test('should write a journal relative to the workspace and read it back', () => {
+    const journalPath = writeJournalFile('journals/run.json', { projectKeys: ['test-project'] }, [updatedFlag]);
+
+    expect(journalPath).toBe(path.join(workspace, 'journals', 'run.json'));
+    const journal = loadJournalFile('journals/run.json');
+    expect(journal.version).toBe(JOURNAL_VERSION);
+    expect(journal.projectKeys).toEqual(['test-project']);
+    expect(journal.entries).toEqual([buildJournalEntry(updatedFlag)]);
+  });
+
+  test('should reject missing or malformed journals', () => {
+    expect(() => loadJournalFile('missing.json')).toThrow('Journal file not found: missing.json');
+
+    fs.writeFileSync(path.join(workspace, 'bad.json'), '{ not json');
+    expect(() => loadJournalFile('bad.json')).toThrow(/^Invalid journal file bad.json/);
+
+    fs.writeFileSync(path.join(workspace, 'old.json'), JSON.stringify({ version: 99, entries: [] }));
+    expect(() => loadJournalFile('old.json')).toThrow('unsupported version 99');
+
+    fs.writeFileSync(path.join(workspace, 'entry.json'), JSON.stringify({ version: JOURNAL_VERSION, entries: [{ key: 'flag' }] }));
+    expect(() => loadJournalFile('entry.json')).toThrow('entry 1 must have projectKey, key, customPropertyName and newValue');
+  });
+});
@@ -0,0 +1,114 @@
+const {
+  LaunchDarklyClient,
+  LaunchDarklyApiError,
+  API_VERSION,
+  createRateLimiter,
+  toApiClient
+} = require('../src/launchdarkly-client');
+const { startFakeLaunchDarklyServer } = require('./support/fake-launchdarkly-server');
+
+// Mock @actions/core
+jest.mock('@actions/core');
+
+const makeFlags = (count) => Array.from({ length: count }, (_, index) => ({
+  key: `flag-${index}`,
+  name: `Flag ${index}`,
+  creationDate: 1704067200000
+}));
+
+describe('LaunchDarklyClient', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await startFakeLaunchDarklyServer({
+      projects: { 'test-project': makeFlags(7), 'other-project': [] }
+    });
+    client = new LaunchDarklyClient({
+      apiKey: server.apiKey,
+      baseUrl: server.url,
+      retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 },
+      limiter: createRateLimiter()
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('should send the auth and API version headers', async () => {
+    await client.requestJson('/api/v2/flags/test-project/flag-0');
+
+    expect(server.requests[0].headers.authorization).toBe(server.apiKey);
+    expect(server.requests[0].headers['ld-api-version']).toBe(API_VERSION);
+  });
+
+  test('should paginate through every page', async () => {
+    const onPage = jest.fn();
+    const flags = await client.paginate('/api/v2/flags/test-project', { limit: 3, description: 'flags', onPage });
+
+    expect(flags.map(flag => flag.key)).toEqual(makeFlags(7).map(flag => flag.key));
+    expect(server.requests.map(request => request.query.offset)).toEqual(['0', '3', '6']);
+    expect(onPage).toHaveBeenCalledTimes(3);
+  });
+
+  test('should add the offset to pagination errors and keep the API error details', async () => {
+    server.queueResponse('GET', '/api/v2/flags/test-project', 403, { code: 'forbidden' });
+
+    const error = await client.paginate('/api/v2/flags/test-project', { description: 'flags' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(LaunchDarklyApiError);
+    expect(error.message).toMatch(/^Failed to fetch flags at offset 0: HTTP 403/);
+    expect(error.status).toBe(403);
+    expect(error.code).toBe('forbidden');
+  });
+
+  test('should retry server errors using the client retry policy', async () => {
+    server.queueResponse('GET', '/api/v2/flags/test-project/flag-1', 503);
+
+    const flag = await client.requestJson('/api/v2/flags/test-project/flag-1');
+
+    expect(flag.key).toBe('flag-1');
+    expect(server.requests).toHaveLength(2);
+  });
+
+  test('should not retry when the API key is rejected', async () => {
+    const badClient = new LaunchDarklyClient({ apiKey: 'wrong-key', baseUrl: server.url, limiter: createRateLimiter() });
+
+    await expect(badClient.request('/api/v2/projects')).rejects.toThrow('HTTP 401');
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('should only retry rate limiting for non-idempotent requests', async () => {
+    const path = '/api/v2/projects/test-project/flags/flag-3/environments/production/approval-requests';
+    const body = JSON.stringify({ description: 'Set flag.expiry.date to 01/31/2024', instructions: [] });
+    server.queueResponse('POST', path, 429, {}, { 'Retry-After': '0' });
+    server.queueResponse('POST', path, 503);
+
+    await expect(client.request(path, { method: 'POST', body, idempotent: false })).rejects.toThrow('HTTP 503');
+    expect(server.requests.map(request => request.method)).toEqual(['POST', 'POST']);
+
+    await client.request(path, { method: 'POST', body, idempotent: false });
+    expect(server.approvalRequests).toHaveLength(1);
+  });
+
+  test('should apply JSON patches and report failed test operations as conflicts', async () => {
+    const patch = [{ op: 'add', path: '/customProperties/flag.expiry.date', value: { name: 'flag.expiry.date', value: ['01/31/2024'] } }];
+    await client.request('/api/v2/flags/test-project/flag-2', { method: 'PATCH', body: JSON.stringify(patch) });
+
+    const conflicting = [{ op: 'test', path: '/_version', value: 1 }];
+    const error = await client.request('/api/v2/flags/test-project/flag-2', { method: 'PATCH', body: JSON.stringify(conflicting) }).catch(e => e);
+
+    expect(server.getFlag('test-project', 'flag-2').customProperties['flag.expiry.date'].value).toEqual(['01/31/2024']);
+    expect(server.getFlag('test-project', 'flag-2')._version).toBe(2);
+    expect(error.status).toBe(409);
+  });
+
+  test('toApiClient should wrap an API key for the default instance', () => {
+    const wrapped = toApiClient('api-key');
+
+    expect(wrapped).toBeInstanceOf(LaunchDarklyClient);
+    expect(wrapped.url('/api/v2/projects')).toBe('https://app.launchdarkly.com/api/v2/projects');
+    expect(toApiClient(client)).toBe(client);
+  });
+});
@@ -0,0 +1,156 @@
+const {
+  parseNotificationTemplates,
+  buildDigest,
+  formatSlackMessage,
+  formatTeamsMessage,
+  formatWebhookPayload,
+  sendWebhook
+} = require('../src/notifications');
+const { startWebhookStub } = require('./support/webhook-stub');
+
+const baseUrl = 'https://app.launchdarkly.com';
+
+const results = {
+  updated: [
+    { projectKey: 'web', key: 'new-flag', name: 'New Flag', maintainer: 'bob@example.com', calculatedExpiryDate: '2025-09-01', propertyValue: '09/01/2025' },
+    { projectKey: 'web', key: 'orphan-flag', name: 'Orphan Flag', maintainer: null, calculatedExpiryDate: '2025-09-01', propertyValue: '09/01/2025' }
+  ],
+  approvalRequests: [
+    { projectKey: 'web', key: 'gated-flag', name: 'Gated Flag', maintainer: 'amy@example.com', calculatedExpiryDate: '2025-09-01', propertyValue: '09/01/2025' }
+  ],
+  conflicted: [{ projectKey: 'web', key: 'edited-flag', name: 'Edited Flag', maintainer: 'bob@example.com', expectedValue: '08/01/2025' }],
+  failed: [{ projectKey: 'web', key: 'broken-flag', name: 'Broken Flag', maintainer: 'bob@example.com', error: 'Forbidden' }],
+  expired: [{ projectKey: 'web', key: 'old-flag', name: 'Old Flag', maintainer: 'amy@example.com', expiryDate: '2025-07-01', daysUntilExpiry: -3 }],
+  expiring: [{ projectKey: 'web', key: 'soon-flag', name: 'Soon Flag', maintainer: 'bob@example.com', expiryDate: '2025-07-05', daysUntilExpiry: 1 }]
+};
+
+const digestOptions = {
+  templates: parseNotificationTemplates('', ''),
+  projectKeys: ['web'],
+  baseUrl,
+  runUrl: 'https://github.com/acme/app/actions/runs/42'
+};
+
+describe('notification digest', () => {
+  test('should group flags by maintainer with the most pressing first', () => {
+    const digest = buildDigest(results, digestOptions);
+
+    expect(digest.text).toBe('LaunchDarkly flag expiry (web): 2 updated, 1 awaiting approval, 1 conflicted, 1 failed, 1 expired, 1 expiring');
+    expect(digest.counts).toEqual({ updated: 2, approvalRequests: 1, conflicted: 1, failed: 1, expired: 1, expiring: 1 });
+    expect(digest.groups.map(group => [group.maintainer, group.items.map(item => item.text)])).toEqual([
+      ['amy@example.com', ['old-flag: expired on 2025-07-01 (3 days ago)', 'gated-flag: approval requested to set expiry to 09/01/2025']],
+      ['bob@example.com', [
+        'broken-flag: failed: Forbidden',
+        'edited-flag: changed during the run, not updated',
+        'soon-flag: expires on 2025-07-05 (in 1 day)',
+        'new-flag: expiry set to 09/01/2025'
+      ]],
+      [null, ['orphan-flag: expiry set to 09/01/2025']]
+    ]);
+    expect(digest.groups[0].items[0]).toEqual(expect.objectContaining({
+      status: 'expired',
+      flagUrl: 'https://app.launchdarkly.com/projects/web/flags/old-flag'
+    }));
+  });
+
+  test('should render custom templates in a single group', () => {
+    const templates = parseNotificationTemplates('{expired} flags to clean up in {repository}', '[{status}] {flagName} ({maintainer}) {flagUrl}');
+
+    const digest = buildDigest({ expired: results.expired }, { ...digestOptions, templates, groupBy: 'none', repository: 'acme/app' });
+
+    expect(digest.text).toBe('1 flags to clean up in acme/app');
+    expect(digest.groups).toEqual([{ maintainer: null, items: [expect.objectContaining({ text: '[expired] Old Flag (amy@example.com) https://app.launchdarkly.com/projects/web/flags/old-flag' })] }]);
+    expect(() => parseNotificationTemplates('{flagKey} changed', '')).toThrow('Invalid notify_message_template: unknown placeholder {flagKey}');
+  });
+});
+
+describe('webhook payloads', () => {
+  test('should format a Slack message with a section per maintainer', () => {
+    const message = formatSlackMessage(buildDigest(results, digestOptions));
+
+    expect(message.text).toBe('LaunchDarkly flag expiry (web): 2 updated, 1 awaiting approval, 1 conflicted, 1 failed, 1 expired, 1 expiring');
+    expect(message.blocks.map(block => block.text ? block.text.text : block.elements[0].text)).toEqual([
+      '*LaunchDarkly flag expiry (web): 2 updated, 1 awaiting approval, 1 conflicted, 1 failed, 1 expired, 1 expiring*',
+      '*amy@example.com*\n• old-flag: expired on 2025-07-01 (3 days ago)\n• gated-flag: approval requested to set expiry to 09/01/2025',
+      '*bob@example.com*\n• broken-flag: failed: Forbidden\n• edited-flag: changed during the run, not updated\n• soon-flag: expires on 2025-07-05 (in 1 day)\n• new-flag: expiry set to 09/01/2025',
+      '*No maintainer*\n• orphan-flag: expiry set to 09/01/2025',
+      '<https://github.com/acme/app/actions/runs/42|View workflow run>'
+    ]);
+  });
+
+  test('should escape flag names and errors in Slack messages but keep template links', () => {
+    const templates = parseNotificationTemplates('', '<{flagUrl}|{flagName}> {detail}');
+    const failed = [{ ...results.failed[0], name: 'A <b> & B', error: 'HTTP 400: Bad Request. Response: {"message":"value > max & <invalid>"}' }];
+
+    const message = formatSlackMessage(buildDigest({ failed }, { ...digestOptions, templates, webhookType: 'slack' }));
+
+    expect(message.blocks[1].text.text).toBe([
+      '*bob@example.com*',
+      '• <https://app.launchdarkly.com/projects/web/flags/broken-flag|A &lt;b&gt; &amp; B> failed: HTTP 400: Bad Request. Response: {"message":"value &gt; max &amp; &lt;invalid&gt;"}'
+    ].join('\n'));
+    // Other webhook types get the values as they are
+    expect(buildDigest({ failed }, { ...digestOptions, templates }).groups[0].items[0].text).toContain('A <b> & B');
+  });
+
+  test('should cut Slack sections that are too long', () => {
+    const expired = Array.from({ length: 200 }, (_, index) => ({ ...results.expired[0], key: `old-flag-${index}` }));
+
+    const message = formatSlackMessage(buildDigest({ expired }, { ...digestOptions, groupBy: 'none' }));
+
+    expect(message.blocks[1].text.text.length).toBeLessThanOrEqual(3000);
+    expect(message.blocks[1].text.text).toMatch(/\n…and \d+ more$/);
+  });
+
+  test('should format a Teams Adaptive Card', () => {
+    const message = formatTeamsMessage(buildDigest({ expired: results.expired }, digestOptions));
+    const card = message.attachments[0].content;
+
+    expect(message.attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.body.map(block => block.text)).toEqual([
+      'LaunchDarkly flag expiry (web): 0 updated, 0 awaiting approval, 0 conflicted, 0 failed, 1 expired, 0 expiring',
+      'amy@example.com',
+      '- old-flag: expired on 2025-07-01 (3 days ago)'
+    ]);
+    expect(card.actions).toEqual([{ type: 'Action.OpenUrl', title: 'View workflow run', url: 'https://github.com/acme/app/actions/runs/42' }]);
+  });
+
+  test('should send the digest itself to generic webhooks', () => {
+    const digest = buildDigest(results, digestOptions);
+
+    expect(formatWebhookPayload('generic', digest)).toBe(digest);
+  });
+});
+
+describe('sendWebhook', () => {
+  let webhook;
+
+  afterEach(async () => {
+    await webhook.close();
+  });
+
+  test('should POST the payload as JSON', async () => {
+    webhook = await startWebhookStub();
+
+    await sendWebhook(webhook.url, { text: 'hello' });
+
+    expect(webhook.requests).toEqual([expect.objectContaining({
+      method: 'POST',
+      path: '/hooks/flag-expiry',
+      headers: expect.objectContaining({ 'content-type': 'application/json' }),
+      body: { text: 'hello' }
+    })]);
+  });
+
+  test('should throw when the webhook rejects the payload', async () => {
+    webhook = await startWebhookStub({ status: 400, body: 'invalid_blocks' });
+
+    await expect(sendWebhook(webhook.url, { text: 'hello' })).rejects.toThrow('Webhook responded with 400 Bad Request: invalid_blocks');
+  });
+
+  test('should give up on a webhook that does not respond', async () => {
+    webhook = await startWebhookStub({ respond: false });
+
+    await expect(sendWebhook(webhook.url, { text: 'hello' }, { timeoutMs: 50 })).rejects.toThrow('Webhook did not respond within 50ms');
+    expect(webhook.requests).toHaveLength(1);
+  });
+});
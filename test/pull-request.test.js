@@ -0,0 +1,57 @@
+const github = require('@actions/github');
+const { getPullRequestNumber, parseAddedLines, listAddedLines } = require('../src/pull-request');
+const { createFakeOctokit } = require('./support/fake-github');
+
+jest.mock('@actions/github', () => ({
+  context: { repo: { owner: 'acme', repo: 'app' }, payload: {} }
+}));
+
+const repo = { owner: 'acme', repo: 'app' };
+
+describe('pull request diff', () => {
+  afterEach(() => {
+    github.context.payload = {};
+  });
+
+  test('should read the pull request number from the event payload', () => {
+    expect(getPullRequestNumber()).toBeNull();
+
+    github.context.payload = { pull_request: { number: 42 } };
+    expect(getPullRequestNumber()).toBe(42);
+  });
+
+  test('should number added lines by their position in the new file', () => {
+    const patch = [
+      '@@ -1,3 +1,4 @@',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '+const c = 4;',
+      ' module.exports = { a };',
+      '@@ -20,2 +21,2 @@ function later() {',
+      '   return a;',
+      '+  // done',
+      '\\ No newline at end of file'
+    ].join('\n');
+
+    expect(parseAddedLines(patch)).toEqual([
+      { line: 2, text: 'const b = 3;' },
+      { line: 3, text: 'const c = 4;' },
+      { line: 22, text: '  // done' }
+    ]);
+    expect(parseAddedLines(undefined)).toEqual([]);
+  });
+
+  test('should list the added lines of every changed file', async () => {
+    const fake = createFakeOctokit([], [
+      { filename: 'src/app.js', status: 'modified', patch: '@@ -5,0 +6,1 @@\n+const on = true;' },
+      { filename: 'src/old.js', status: 'removed', patch: '@@ -1,1 +0,0 @@\n-gone();' },
+      { filename: 'logo.png', status: 'added' }
+    ]);
+
+    const lines = await listAddedLines({ octokit: fake.octokit, repo }, 42);
+
+    expect(lines).toEqual([{ file: 'src/app.js', line: 6, text: 'const on = true;' }]);
+    expect(fake.calls).toEqual([{ method: 'listFiles', params: { owner: 'acme', repo: 'app', pull_number: 42, per_page: 100 } }]);
+  });
+});
@@ -0,0 +1,627 @@
+const { run } = require('../index.js');
+const core = require('@actions/core');
+const github = require('@actions/github');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeLaunchDarklyServer } = require('./support/fake-launchdarkly-server');
+const { createFakeOctokit } = require('./support/fake-github');
+const { startWebhookStub } = require('./support/webhook-stub');
+const { buildIssueMarker } = require('../src/github-issues');
+
+// Mock @actions/core, and GitHub with an in-memory issues API
+jest.mock('@actions/core');
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
+  context: { repo: { owner: 'acme', repo: 'app' } }
+}));
+
+// End-to-end tests: run() talks to an in-memory LaunchDarkly API over HTTP
+describe('run against a fake LaunchDarkly API', () => {
+  let server;
+  let inputs;
+  let workspace;
+
+  const outputs = () => Object.fromEntries(core.setOutput.mock.calls);
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    // Keep plan and journal files out of the repository
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'ld-e2e-'));
+    process.env.GITHUB_WORKSPACE = workspace;
+    core.getInput = jest.fn(name => inputs[name] || '');
+    core.summary = {
+      addHeading: jest.fn().mockReturnThis(),
+      addRaw: jest.fn().mockReturnThis(),
+      addTable: jest.fn().mockReturnThis(),
+      write: jest.fn().mockResolvedValue()
+    };
+
+    server = await startFakeLaunchDarklyServer({
+      projects: {
+        'test-project': [
+          { key: 'new-flag', name: 'New Flag', creationDate: 1704067200000 }, // 2024-01-01
+          {
+            key: 'dated-flag',
+            name: 'Dated Flag',
+            creationDate: 1704067200000,
+            customProperties: { 'flag.expiry.date': { name: 'flag.expiry.date', value: ['12/31/2024'] } }
+          }
+        ]
+      }
+    });
+    inputs = {
+      launchdarkly_api_key: server.apiKey,
+      project_key: 'test-project',
+      base_url: server.url,
+      custom_property_name: 'flag.expiry.date',
+      days_from_creation: '30',
+      skip_existing: 'true',
+      retry_base_delay_ms: '1',
+      retry_max_delay_ms: '5'
+    };
+  });
+
+  afterEach(async () => {
+    await server.close();
+    delete process.env.GITHUB_WORKSPACE;
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  test('should set the expiry date on flags without one', async () => {
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['01/31/2024']);
+    expect(server.getFlag('test-project', 'dated-flag').customProperties['flag.expiry.date'].value).toEqual(['12/31/2024']);
+    expect(outputs().total_processed).toBe('1');
+    expect(outputs().total_skipped).toBe('1');
+  });
+
+  test('should calculate expiry dates in the configured time zone', async () => {
+    // new-flag was created at midnight UTC, which is still December 31st in New York
+    inputs.timezone = 'America/New_York';
+    inputs.date_format = 'ISO8601';
+
+    await run();
+
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['2024-01-30T05:00:00.000Z']);
+    expect(JSON.parse(outputs().updated_flags)).toEqual([
+      expect.objectContaining({ key: 'new-flag', creationDate: '2023-12-31' })
+    ]);
+  });
+
+  test('should count business days and skip holidays from a calendar file', async () => {
+    // new-flag was created on Monday, January 1st, 2024
+    fs.writeFileSync(path.join(workspace, 'holidays.json'), JSON.stringify([{ date: '2024-01-12', name: 'Company day' }]));
+    Object.assign(inputs, { days_from_creation: '10', business_days: 'true', holiday_calendar_file: 'holidays.json' });
+
+    await run();
+
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['01/16/2024']);
+    expect(JSON.parse(outputs().updated_flags)).toEqual([
+      expect.objectContaining({ key: 'new-flag', businessDays: true, rolledForwardFrom: null })
+    ]);
+  });
+
+  test('should roll an expiry on a holiday forward to the next working day', async () => {
+    // 30 days after new-flag was created is Wednesday, January 31st, 2024
+    fs.writeFileSync(path.join(workspace, 'holidays.ics'), [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20240131',
+      'DTEND;VALUE=DATE:20240203',
+      'SUMMARY:Offsite',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+    Object.assign(inputs, { roll_to_working_day: 'true', holiday_calendar_file: 'holidays.ics' });
+
+    await run();
+
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['02/05/2024']);
+    expect(JSON.parse(outputs().updated_flags)).toEqual([
+      expect.objectContaining({ key: 'new-flag', rolledForwardFrom: '01/31/2024' })
+    ]);
+  });
+
+  test('should not patch anything in dry-run mode', async () => {
+    inputs.dry_run = 'true';
+
+    await run();
+
+    expect(server.requests.filter(request => request.method === 'PATCH')).toHaveLength(0);
+    expect(server.getFlag('test-project', 'new-flag').customProperties).toEqual({});
+    expect(JSON.parse(outputs().planned_changes)).toEqual([
+      expect.objectContaining({ key: 'new-flag', operation: 'add', newValue: '01/31/2024' })
+    ]);
+    expect(fs.existsSync(path.join(workspace, 'launchdarkly-expiry-plan.json'))).toBe(true);
+  });
+
+  test('should retry transient API errors', async () => {
+    server.queueResponse('PATCH', '/api/v2/flags/test-project/new-flag', 500, { message: 'Internal error' });
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(server.requests.filter(request => request.method === 'PATCH')).toHaveLength(2);
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['01/31/2024']);
+  });
+
+  test('should not overwrite a value that changed during the run', async () => {
+    inputs.skip_existing = 'false';
+    // Someone edits dated-flag after the flags were listed
+    server.onRequest = (request) => {
+      if (request.method === 'PATCH' && request.path.endsWith('/dated-flag')) {
+        server.getFlag('test-project', 'dated-flag').customProperties['flag.expiry.date'].value = ['06/30/2025'];
+      }
+    };
+
+    await run();
+
+    expect(server.getFlag('test-project', 'dated-flag').customProperties['flag.expiry.date'].value).toEqual(['06/30/2025']);
+    expect(JSON.parse(outputs().conflicted_flags)).toEqual([
+      expect.objectContaining({ key: 'dated-flag', expectedValue: '12/31/2024' })
+    ]);
+    expect(JSON.parse(outputs().updated_flags)).toEqual([expect.objectContaining({ key: 'new-flag' })]);
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should count a retried update as applied when the lost response was applied', async () => {
+    inputs.skip_existing = 'false';
+    // The first PATCH of dated-flag is applied, but the response is lost (503)
+    server.queueResponse('PATCH', '/api/v2/flags/test-project/dated-flag', 503);
+    server.onRequest = (request) => {
+      const flag = server.getFlag('test-project', 'dated-flag');
+      if (request.method === 'PATCH' && request.path.endsWith('/dated-flag') && flag._version === 1) {
+        flag.customProperties['flag.expiry.date'].value = ['01/31/2024'];
+        flag._version = 2;
+      }
+    };
+
+    await run();
+
+    expect(server.requests.filter(request => request.method === 'PATCH' && request.path.endsWith('/dated-flag'))).toHaveLength(2);
+    expect(JSON.parse(outputs().conflicted_flags)).toEqual([]);
+    expect(JSON.parse(outputs().updated_flags)).toEqual(expect.arrayContaining([expect.objectContaining({ key: 'dated-flag', propertyValue: '01/31/2024' })]));
+    const journal = JSON.parse(fs.readFileSync(outputs().journal_file, 'utf8'));
+    expect(journal.entries).toEqual(expect.arrayContaining([
+      expect.objectContaining({ key: 'dated-flag', previousValue: '12/31/2024', newValue: '01/31/2024' })
+    ]));
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should update flags with a semantic patch', async () => {
+    inputs.patch_format = 'semantic';
+
+    await run();
+
+    const patch = server.requests.find(request => request.method === 'PATCH');
+    expect(patch.headers['content-type']).toBe('application/json; domain-model=launchdarkly.semanticpatch');
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['01/31/2024']);
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should create approval requests when the environment requires approvals', async () => {
+    await server.close();
+    server = await startFakeLaunchDarklyServer({
+      projects: {
+        'test-project': [{
+          key: 'new-flag',
+          name: 'New Flag',
+          creationDate: 1704067200000,
+          environments: { production: { on: false, lastModified: 1704067200000 } }
+        }]
+      },
+      approvalsRequired: ['test-project/production']
+    });
+    Object.assign(inputs, { base_url: server.url, environment_key: 'production', approval_mode: 'when_required' });
+
+    await run();
+
+    expect(server.requests.filter(request => request.method === 'PATCH')).toHaveLength(0);
+    // Without rollout settings the targeting of each flag isn't fetched
+    expect(server.requests.filter(request => request.query.env)).toHaveLength(0);
+    expect(server.approvalRequests).toEqual([expect.objectContaining({
+      projectKey: 'test-project',
+      flagKey: 'new-flag',
+      environmentKey: 'production'
+    })]);
+    expect(JSON.parse(outputs().approval_requests)).toEqual([
+      expect.objectContaining({ key: 'new-flag', environmentKey: 'production', approvalRequestId: 'approval-1', requestedValue: '01/31/2024' })
+    ]);
+    expect(JSON.parse(outputs().updated_flags)).toEqual([]);
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should roll back a run from its journal', async () => {
+    inputs.skip_existing = 'false';
+    await run();
+    expect(server.getFlag('test-project', 'dated-flag').customProperties['flag.expiry.date'].value).toEqual(['01/31/2024']);
+    expect(outputs().journal_file).toBe(path.join(workspace, 'launchdarkly-expiry-journal.json'));
+
+    core.setOutput.mockClear();
+    inputs.mode = 'rollback';
+    await run();
+
+    expect(server.getFlag('test-project', 'dated-flag').customProperties['flag.expiry.date'].value).toEqual(['12/31/2024']);
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date']).toBeUndefined();
+    expect(JSON.parse(outputs().restored_flags)).toEqual([
+      expect.objectContaining({ key: 'new-flag', operation: 'remove', restoredValue: null }),
+      expect.objectContaining({ key: 'dated-flag', operation: 'restore', restoredValue: '12/31/2024' })
+    ]);
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should write additional properties in the same patch and roll them back', async () => {
+    server.getFlag('test-project', 'new-flag')._maintainerTeam = { key: 'payments' };
+    inputs.additional_properties = [
+      '- name: flag.review.date',
+      '  value: "{expiry-14d}"',
+      '- name: flag.owner.team',
+      '  value: "{maintainerTeam}"'
+    ].join('\n');
+
+    await run();
+
+    const customProperties = server.getFlag('test-project', 'new-flag').customProperties;
+    expect(customProperties['flag.expiry.date'].value).toEqual(['01/31/2024']);
+    expect(customProperties['flag.review.date'].value).toEqual(['01/17/2024']);
+    expect(customProperties['flag.owner.team'].value).toEqual(['payments']);
+    expect(server.requests.filter(request => request.method === 'PATCH')).toHaveLength(1);
+
+    inputs.mode = 'rollback';
+    delete inputs.additional_properties;
+    await run();
+
+    expect(server.getFlag('test-project', 'new-flag').customProperties).toEqual({});
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should store templated values and roll them back', async () => {
+    process.env.GITHUB_RUN_ID = '1234';
+    Object.assign(inputs, { skip_existing: 'false', value_template: '{expiry}|auto|run:{runId}' });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.GITHUB_RUN_ID;
+    }
+
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['01/31/2024|auto|run:1234']);
+    expect(JSON.parse(outputs().updated_flags)).toEqual([
+      expect.objectContaining({ key: 'new-flag', calculatedExpiryDate: '01/31/2024', propertyValue: '01/31/2024|auto|run:1234' }),
+      expect.objectContaining({ key: 'dated-flag', previousValue: '12/31/2024', propertyValue: '01/31/2024|auto|run:1234' })
+    ]);
+
+    inputs.mode = 'rollback';
+    delete inputs.value_template;
+    await run();
+
+    expect(server.getFlag('test-project', 'dated-flag').customProperties['flag.expiry.date'].value).toEqual(['12/31/2024']);
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should not roll back values changed after the journaled run', async () => {
+    await run();
+    server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value = ['05/01/2024'];
+
+    inputs.mode = 'rollback';
+    await run();
+
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['05/01/2024']);
+    expect(JSON.parse(outputs().conflicted_flags)).toEqual([
+      expect.objectContaining({ key: 'new-flag', expectedValue: '01/31/2024' })
+    ]);
+  });
+
+  test('should extend existing expiry dates', async () => {
+    inputs.existing_value_strategy = 'extend_by_days';
+    inputs.extension_days = '14';
+
+    await run();
+
+    expect(server.getFlag('test-project', 'dated-flag').customProperties['flag.expiry.date'].value).toEqual(['01/14/2025']);
+    expect(server.getFlag('test-project', 'new-flag').customProperties['flag.expiry.date'].value).toEqual(['01/31/2024']);
+    expect(JSON.parse(outputs().updated_flags)).toEqual([
+      expect.objectContaining({ key: 'new-flag', strategyBranch: 'no_existing_value' }),
+      expect.objectContaining({ key: 'dated-flag', strategyBranch: 'extended', previousValue: '12/31/2024' })
+    ]);
+  });
+
+  test('should report flags kept by the existing value strategy as skipped', async () => {
+    inputs.existing_value_strategy = 'only_if_later';
+
+    await run();
+
+    expect(server.getFlag('test-project', 'dated-flag').customProperties['flag.expiry.date'].value).toEqual(['12/31/2024']);
+    expect(JSON.parse(outputs().skipped_flags)).toEqual([
+      expect.objectContaining({ key: 'dated-flag', strategyBranch: 'kept_existing', existingValue: '12/31/2024' })
+    ]);
+  });
+
+  test('should normalise existing values in normalize mode', async () => {
+    await server.close();
+    const withValue = (key, value) => ({
+      key,
+      name: key,
+      creationDate: 1704067200000,
+      customProperties: { 'flag.expiry.date': { name: 'flag.expiry.date', value: [value] } }
+    });
+    server = await startFakeLaunchDarklyServer({
+      projects: { 'test-project': [withValue('valid-flag', '12/31/2024'), withValue('iso-flag', '2024-12-31'), withValue('junk-flag', 'soon')] }
+    });
+    Object.assign(inputs, { base_url: server.url, mode: 'normalize', normalize_rewrite: 'true' });
+
+    await run();
+
+    expect(server.getFlag('test-project', 'iso-flag').customProperties['flag.expiry.date'].value).toEqual(['12/31/2024']);
+    expect(server.getFlag('test-project', 'junk-flag').customProperties['flag.expiry.date'].value).toEqual(['soon']);
+    expect(server.requests.filter(request => request.method === 'PATCH')).toHaveLength(1);
+    expect(JSON.parse(outputs().normalized_flags)).toEqual([
+      expect.objectContaining({ key: 'iso-flag', detectedFormat: 'YYYY-MM-DD', normalizedValue: '12/31/2024', rewritten: true })
+    ]);
+    expect(JSON.parse(outputs().invalid_values)).toEqual([expect.objectContaining({ key: 'junk-flag', value: 'soon' })]);
+    expect(JSON.parse(fs.readFileSync(outputs().journal_file, 'utf8')).entries).toEqual([{
+      projectKey: 'test-project',
+      key: 'iso-flag',
+      customPropertyName: 'flag.expiry.date',
+      operation: 'replace',
+      previousValue: '2024-12-31',
+      newValue: '12/31/2024'
+    }]);
+    expect(core.setFailed).not.toHaveBeenCalled();
+
+    // The rewrites are undone from the journal
+    inputs.mode = 'rollback';
+    await run();
+
+    expect(server.getFlag('test-project', 'iso-flag').customProperties['flag.expiry.date'].value).toEqual(['2024-12-31']);
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should report expired and expiring flags in audit mode', async () => {
+    jest.useFakeTimers({ now: Date.UTC(2024, 11, 20), doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+    inputs.mode = 'audit';
+
+    try {
+      await run();
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(server.requests.filter(request => request.method === 'PATCH')).toHaveLength(0);
+    expect(JSON.parse(outputs().expiring_flags)).toEqual([
+      expect.objectContaining({ key: 'dated-flag', expiryDate: '2024-12-31', daysUntilExpiry: 11 })
+    ]);
+    expect(JSON.parse(outputs().missing_expiry_flags)).toEqual([expect.objectContaining({ key: 'new-flag' })]);
+    expect(outputs().total_expired).toBe('0');
+    expect(outputs().total_expiring).toBe('1');
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should attach code references to expiring flags', async () => {
+    fs.mkdirSync(path.join(workspace, 'src'));
+    fs.writeFileSync(path.join(workspace, 'src', 'checkout.js'), "const enabled = await client.variation('dated-flag', context, false);\n");
+    jest.useFakeTimers({ now: Date.UTC(2024, 11, 20), doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+    Object.assign(inputs, { mode: 'audit', scan_code_references: 'true' });
+
+    try {
+      await run();
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(JSON.parse(outputs().expiring_flags)).toEqual([expect.objectContaining({
+      key: 'dated-flag',
+      codeReferences: [{ file: 'src/checkout.js', line: 1, text: "const enabled = await client.variation('dated-flag', context, false);" }]
+    })]);
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Code References', 3);
+    expect(core.summary.addTable).toHaveBeenCalledWith([
+      ['Flag Key', 'Location', 'Code'],
+      ['dated-flag', 'src/checkout.js:1', "<code>const enabled = await client.variation('dated-flag', context, false);</code>"]
+    ]);
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should audit the values set by the same run in set-and-audit mode', async () => {
+    jest.useFakeTimers({ now: Date.UTC(2024, 1, 15), doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+    inputs.mode = 'set-and-audit';
+
+    try {
+      await run();
+    } finally {
+      jest.useRealTimers();
+    }
+
+    // The flags are fetched once; new-flag is audited with the value this run set
+    expect(server.requests.filter(request => request.method === 'GET' && request.path === '/api/v2/flags/test-project')).toHaveLength(1);
+    expect(JSON.parse(outputs().expired_flags)).toEqual([
+      expect.objectContaining({ key: 'new-flag', value: '01/31/2024', daysUntilExpiry: -15 })
+    ]);
+    expect(JSON.parse(outputs().healthy_flags)).toEqual([expect.objectContaining({ key: 'dated-flag' })]);
+    expect(JSON.parse(outputs().updated_flags)).toEqual([expect.objectContaining({ key: 'new-flag' })]);
+    expect(core.warning).toHaveBeenCalledWith('1 flags are past their flag.expiry.date');
+  });
+
+  test('should open issues for expired flags and close them once the flag is archived', async () => {
+    server.getFlag('test-project', 'new-flag').archived = true;
+    const fakeGitHub = createFakeOctokit([{
+      number: 1,
+      state: 'open',
+      title: 'Feature flag new-flag expired on 2024-01-31',
+      body: buildIssueMarker('test-project', 'new-flag'),
+      labels: ['flag-expiry']
+    }]);
+    github.getOctokit.mockReturnValue(fakeGitHub.octokit);
+    jest.useFakeTimers({ now: Date.UTC(2025, 0, 10), doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+    Object.assign(inputs, { mode: 'audit', create_issues: 'expired', github_token: 'github-token' });
+
+    try {
+      await run();
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(github.getOctokit).toHaveBeenCalledWith('github-token');
+    expect(JSON.parse(outputs().github_issues)).toEqual([
+      { projectKey: 'test-project', key: 'dated-flag', action: 'created', issueNumber: 2, url: 'https://github.com/acme/app/issues/2' },
+      { projectKey: 'test-project', key: 'new-flag', action: 'closed', issueNumber: 1, url: 'https://github.com/acme/app/issues/1' }
+    ]);
+    expect(fakeGitHub.issues[1].title).toBe('Feature flag dated-flag expired on 2024-12-31');
+    expect(fakeGitHub.issues[1].body).toContain(`(${server.url}/projects/test-project/flags/dated-flag)`);
+    expect(fakeGitHub.issues[0].state).toBe('closed');
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should fail a pull request that adds references to expired flags', async () => {
+    const fakeGitHub = createFakeOctokit([], [{
+      filename: 'src/checkout.js',
+      status: 'modified',
+      patch: [
+        '@@ -10,1 +10,3 @@',
+        " const legacy = client.variation('dated-flag', context, false);",
+        "+const enabled = client.variation('dated-flag', context, false);",
+        "+const fresh = client.variation('new-flag', context, false) && useFlags().datedFlag;"
+      ].join('\n')
+    }]);
+    github.getOctokit.mockReturnValue(fakeGitHub.octokit);
+    github.context.payload = { pull_request: { number: 12 } };
+    jest.useFakeTimers({ now: Date.UTC(2025, 0, 10), doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+    Object.assign(inputs, { mode: 'pr-check', github_token: 'github-token' });
+
+    try {
+      await run();
+    } finally {
+      jest.useRealTimers();
+      github.context.payload = {};
+    }
+
+    expect(fakeGitHub.calls).toEqual([expect.objectContaining({ method: 'listFiles', params: expect.objectContaining({ pull_number: 12 }) })]);
+    // dated-flag is looked up directly; the camel-cased key needs the flag list
+    expect(server.requests.filter(request => request.method === 'GET').map(request => request.path)).toEqual([
+      '/api/v2/flags/test-project/dated-flag',
+      '/api/v2/flags/test-project/new-flag',
+      '/api/v2/flags/test-project'
+    ]);
+    expect(JSON.parse(outputs().expired_flags)).toEqual([expect.objectContaining({
+      key: 'dated-flag',
+      expiryDate: '2024-12-31',
+      codeReferences: [
+        { file: 'src/checkout.js', line: 11, text: "const enabled = client.variation('dated-flag', context, false);" },
+        { file: 'src/checkout.js', line: 12, text: "const fresh = client.variation('new-flag', context, false) && useFlags().datedFlag;" }
+      ]
+    })]);
+    expect(core.error).toHaveBeenCalledWith('Flag dated-flag expired on 2024-12-31 and is due to be removed; avoid adding new references to it', {
+      title: 'Expired feature flag',
+      file: 'src/checkout.js',
+      startLine: 11
+    });
+    expect(core.setFailed).toHaveBeenCalledWith('New code references 1 expired flags: dated-flag');
+  });
+
+  test('should only annotate references to expired flags when asked not to fail', async () => {
+    github.getOctokit.mockReturnValue(createFakeOctokit([], [{
+      filename: 'src/checkout.js',
+      status: 'added',
+      patch: "@@ -0,0 +1,1 @@\n+client.variation('dated-flag', context, false);"
+    }]).octokit);
+    github.context.payload = { pull_request: { number: 12 } };
+    Object.assign(inputs, { mode: 'pr-check', github_token: 'github-token', fail_on_expired_references: 'false' });
+
+    try {
+      await run();
+    } finally {
+      github.context.payload = {};
+    }
+
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Flag dated-flag expired on 2024-12-31'), expect.objectContaining({ file: 'src/checkout.js', startLine: 1 }));
+    expect(outputs().total_expired).toBe('1');
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should send a digest of the run to a Slack webhook', async () => {
+    const webhook = await startWebhookStub();
+    server.getFlag('test-project', 'new-flag')._maintainer = { email: 'jane@example.com' };
+    jest.useFakeTimers({ now: Date.UTC(2024, 1, 15), doNotFake: ['setTimeout', 'setImmediate', 'nextTick'] });
+    Object.assign(inputs, { mode: 'set-and-audit', notify_webhook_url: webhook.url, notify_webhook_type: 'slack' });
+
+    try {
+      await run();
+    } finally {
+      jest.useRealTimers();
+      await webhook.close();
+    }
+
+    expect(webhook.requests).toHaveLength(1);
+    expect(webhook.requests[0].body.text).toBe('LaunchDarkly flag expiry (test-project): 1 updated, 0 awaiting approval, 0 conflicted, 0 failed, 1 expired, 0 expiring');
+    expect(webhook.requests[0].body.blocks[1].text.text).toBe([
+      '*jane@example.com*',
+      '• new-flag: expired on 2024-01-31 (15 days ago)',
+      '• new-flag: expiry set to 01/31/2024'
+    ].join('\n'));
+    expect(outputs().notification_sent).toBe('true');
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should warn without failing when the webhook rejects the digest', async () => {
+    const webhook = await startWebhookStub({ status: 500, body: 'unavailable' });
+    Object.assign(inputs, { notify_webhook_url: webhook.url });
+
+    try {
+      await run();
+    } finally {
+      await webhook.close();
+    }
+
+    // Generic webhooks get the digest itself
+    expect(webhook.requests[0].body).toEqual(expect.objectContaining({ counts: { updated: 1, approvalRequests: 0, conflicted: 0, failed: 0, expired: 0, expiring: 0 } }));
+    expect(core.warning).toHaveBeenCalledWith('Webhook notification failed: Webhook responded with 500 Internal Server Error: unavailable');
+    expect(outputs().notification_sent).toBe('false');
+    expect(core.setFailed).not.toHaveBeenCalled();
+  });
+
+  test('should notify about a run that only requested approvals', async () => {
+    const webhook = await startWebhookStub();
+    await server.close();
+    server = await startFakeLaunchDarklyServer({
+      projects: {
+        'test-project': [{
+          key: 'new-flag',
+          name: 'New Flag',
+          creationDate: 1704067200000,
+          environments: { production: { on: false, lastModified: 1704067200000 } }
+        }]
+      },
+      approvalsRequired: ['test-project/production']
+    });
+    Object.assign(inputs, {
+      base_url: server.url,
+      environment_key: 'production',
+      approval_mode: 'when_required',
+      notify_webhook_url: webhook.url
+    });
+
+    try {
+      await run();
+    } finally {
+      await webhook.close();
+    }
+
+    expect(webhook.requests).toHaveLength(1);
+    expect(webhook.requests[0].body.counts).toEqual(expect.objectContaining({ updated: 0, approvalRequests: 1 }));
+    expect(webhook.requests[0].body.groups[0].items).toEqual([
+      expect.objectContaining({ status: 'approval-requested', key: 'new-flag', text: 'new-flag: approval requested to set expiry to 01/31/2024' })
+    ]);
+    expect(outputs().notification_sent).toBe('true');
+  });
+
+  test('should report flags that cannot be updated', async () => {
+    server.queueResponse('PATCH', '/api/v2/flags/test-project/new-flag', 403, { code: 'forbidden' });
+
+    await run();
+
+    expect(JSON.parse(outputs().failed_flags)).toEqual([expect.objectContaining({ key: 'new-flag' })]);
+    expect(core.setFailed).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * In-memory stand-in for the Octokit APIs used by the GitHub issue sync and pr-check
+ * Implements paginate(listForRepo), create, update and createComment on a list of issues,
+ * and paginate(pulls.listFiles) returning the given pull request files ({ filename, status, patch })
+ *
+ * Usage:
+ *   const github = createFakeOctokit([{ number: 1, state: 'open', title, body, labels: ['flag-expiry'] }]);
+ *   // pass github.octokit to syncExpiryIssues, or return it from a mocked getOctokit
+ *   // inspect github.issues / github.comments / github.calls
+ */
+function createFakeOctokit(initialIssues = [], pullRequestFiles = []) {
+  const issues = initialIssues.map(issue => ({ html_url: `https://github.com/acme/app/issues/${issue.number}`, ...issue }));
+  const comments = [];
+  const calls = [];
+
+  const findIssue = number => {
+    const issue = issues.find(candidate => candidate.number === number);
+    if (!issue) {
+      const error = new Error('Not Found');
+      error.status = 404;
+      throw error;
+    }
+    return issue;
+  };
+
+  const rest = {
+    issues: {
+      listForRepo: async params => {
+        calls.push({ method: 'listForRepo', params });
+        const labels = params.labels ? params.labels.split(',') : [];
+        const data = issues.filter(issue => (params.state === 'all' || issue.state === params.state) &&
+          labels.every(label => (issue.labels || []).includes(label)));
+        return { data: JSON.parse(JSON.stringify(data)) };
+      },
+      create: async ({ owner, repo, ...params }) => {
+        calls.push({ method: 'create', params: { owner, repo, ...params } });
+        const number = issues.reduce((max, issue) => Math.max(max, issue.number), 0) + 1;
+        const issue = { number, state: 'open', html_url: `https://github.com/${owner}/${repo}/issues/${number}`, ...params };
+        issues.push(issue);
+        return { data: { ...issue } };
+      },
+      update: async ({ owner, repo, issue_number: number, ...params }) => {
+        calls.push({ method: 'update', params: { owner, repo, issue_number: number, ...params } });
+        const issue = findIssue(number);
+        Object.assign(issue, params);
+        return { data: { ...issue } };
+      },
+      createComment: async ({ issue_number: number, body }) => {
+        calls.push({ method: 'createComment', params: { issue_number: number, body } });
+        findIssue(number);
+        comments.push({ issueNumber: number, body });
+        return { data: { id: comments.length, body } };
+      }
+    },
+    pulls: {
+      listFiles: async params => {
+        calls.push({ method: 'listFiles', params });
+        return { data: JSON.parse(JSON.stringify(pullRequestFiles)) };
+      }
+    }
+  };
+
+  const octokit = {
+    rest,
+    paginate: async (method, params) => (await method(params)).data
+  };
+
+  return { octokit, issues, comments, calls };
+}
+
+module.exports = { createFakeOctokit };
@@ -0,0 +1,247 @@
+const http = require('http');
+
+const SEMANTIC_PATCH_CONTENT_TYPE = 'application/json; domain-model=launchdarkly.semanticpatch';
+
+/**
+ * Decode a JSON pointer segment (RFC 6901)
+ */
+function decodePointerSegment(segment) {
+  return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Apply a single JSON patch operation to a flag in place
+ * Supports add, replace, remove and test, which is all the action uses
+ */
+function applyJsonPatchOperation(flag, operation) {
+  const segments = operation.path.split('/').slice(1).map(decodePointerSegment);
+  const last = segments.pop();
+  let parent = flag;
+  for (const segment of segments) {
+    if (parent[segment] === undefined) {
+      if (operation.op === 'add') {
+        parent[segment] = {};
+      } else {
+        throw new Error(`Path not found: ${operation.path}`);
+      }
+    }
+    parent = parent[segment];
+  }
+
+  switch (operation.op) {
+    case 'add':
+    case 'replace':
+      if (operation.op === 'replace' && parent[last] === undefined) {
+        throw new Error(`Path not found: ${operation.path}`);
+      }
+      parent[last] = operation.value;
+      break;
+    case 'remove':
+      delete parent[last];
+      break;
+    case 'test':
+      if (JSON.stringify(parent[last]) !== JSON.stringify(operation.value)) {
+        throw Object.assign(new Error(`Test operation failed for ${operation.path}`), { status: 409 });
+      }
+      break;
+    default:
+      throw new Error(`Unsupported patch operation: ${operation.op}`);
+  }
+}
+
+/**
+ * Apply semantic patch instructions to a flag in place
+ */
+function applySemanticPatchInstruction(flag, instruction) {
+  flag.customProperties = flag.customProperties || {};
+  const existing = flag.customProperties[instruction.key];
+  switch (instruction.kind) {
+    case 'replaceCustomProperties':
+      flag.customProperties[instruction.key] = { name: instruction.name, value: instruction.values };
+      break;
+    case 'addCustomProperties':
+      flag.customProperties[instruction.key] = {
+        name: instruction.name,
+        value: [...(existing ? existing.value : []), ...instruction.values]
+      };
+      break;
+    case 'removeCustomProperties':
+      if (existing) {
+        existing.value = existing.value.filter(value => !instruction.values.includes(value));
+      }
+      break;
+    default:
+      throw new Error(`Unsupported semantic patch instruction: ${instruction.kind}`);
+  }
+}
+
+/**
+ * In-memory LaunchDarkly REST API for end-to-end tests
+ * Implements project listing, environment approval settings, flag list/get,
+ * JSON/semantic patch on flags and approval request creation
+ *
+ * Usage:
+ *   const server = await startFakeLaunchDarklyServer({
+ *     projects: { 'my-project': [flag] },
+ *     approvalsRequired: ['my-project/production'] // environments that require approvals
+ *   });
+ *   // point base_url at server.url, inspect server.requests / server.getFlag(...)
+ *   // set server.onRequest = (request) => {...} to change state mid-run (e.g. simulate a concurrent edit)
+ *   await server.close();
+ */
+async function startFakeLaunchDarklyServer({ apiKey = 'test-api-key', projects = {}, approvalsRequired = [] } = {}) {
+  const state = {};
+  Object.entries(projects).forEach(([projectKey, flags]) => {
+    state[projectKey] = flags.map(flag => ({ _version: 1, customProperties: {}, ...JSON.parse(JSON.stringify(flag)) }));
+  });
+  const requests = [];
+  const queuedResponses = [];
+  const approvalRequests = [];
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const findFlag = (projectKey, flagKey) => (state[projectKey] || []).find(flag => flag.key === flagKey);
+
+  const handle = (req, res, rawBody) => {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body: rawBody };
+    requests.push(request);
+    if (fake.onRequest) {
+      fake.onRequest(request);
+    }
+
+    const queueIndex = queuedResponses.findIndex(queued => queued.method === req.method && queued.path.test(url.pathname));
+    if (queueIndex !== -1) {
+      const [queued] = queuedResponses.splice(queueIndex, 1);
+      return send(res, queued.status, queued.body, queued.headers);
+    }
+
+    if (req.headers.authorization !== apiKey) {
+      return send(res, 401, { code: 'unauthorized', message: 'Invalid access token' });
+    }
+
+    const limit = parseInt(url.searchParams.get('limit') || '20', 10);
+    const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+
+    // GET /api/v2/projects
+    if (req.method === 'GET' && segments.length === 3 && segments[2] === 'projects') {
+      const items = Object.keys(state).map(key => ({ key, name: key }));
+      return send(res, 200, { items: items.slice(offset, offset + limit), totalCount: items.length });
+    }
+
+    // GET /api/v2/projects/:projectKey/environments/:environmentKey
+    if (req.method === 'GET' && segments.length === 6 && segments[2] === 'projects' && segments[4] === 'environments' && state[segments[3]]) {
+      return send(res, 200, {
+        key: segments[5],
+        approvalSettings: { required: approvalsRequired.includes(`${segments[3]}/${segments[5]}`) }
+      });
+    }
+
+    // POST /api/v2/projects/:projectKey/flags/:flagKey/environments/:environmentKey/approval-requests
+    if (req.method === 'POST' && segments.length === 9 && segments[2] === 'projects' && segments[8] === 'approval-requests' && findFlag(segments[3], segments[5])) {
+      const approvalRequest = {
+        _id: `approval-${approvalRequests.length + 1}`,
+        status: 'pending',
+        projectKey: segments[3],
+        flagKey: segments[5],
+        environmentKey: segments[7],
+        ...JSON.parse(rawBody)
+      };
+      approvalRequests.push(approvalRequest);
+      return send(res, 201, approvalRequest);
+    }
+
+    if (segments[2] !== 'flags' || !state[segments[3]]) {
+      return send(res, 404, { code: 'not_found', message: 'Unknown resource' });
+    }
+    const projectKey = segments[3];
+
+    // GET /api/v2/flags/:projectKey
+    // Like LaunchDarkly, archived flags are only listed with filter=archived:true
+    if (req.method === 'GET' && segments.length === 4) {
+      const archived = (url.searchParams.get('filter') || '').includes('archived:true');
+      const items = state[projectKey].filter(flag => Boolean(flag.archived) === archived);
+      return send(res, 200, { items: items.slice(offset, offset + limit), totalCount: items.length });
+    }
+
+    const flag = findFlag(projectKey, segments[4]);
+    if (segments.length !== 5 || !flag) {
+      return send(res, 404, { code: 'not_found', message: 'Unknown resource' });
+    }
+
+    // GET /api/v2/flags/:projectKey/:flagKey
+    if (req.method === 'GET') {
+      return send(res, 200, flag);
+    }
+
+    // PATCH /api/v2/flags/:projectKey/:flagKey
+    if (req.method === 'PATCH') {
+      // Like LaunchDarkly, reject direct changes when the project has an environment that requires approvals
+      if (approvalsRequired.some(entry => entry.startsWith(`${projectKey}/`))) {
+        return send(res, 405, { code: 'method_not_allowed', message: 'This change requires an approval request' });
+      }
+
+      let patch;
+      try {
+        patch = JSON.parse(rawBody);
+      } catch (error) {
+        return send(res, 400, { code: 'invalid_request', message: 'Invalid JSON body' });
+      }
+
+      // Apply to a copy so a failing operation leaves the flag untouched
+      const updated = JSON.parse(JSON.stringify(flag));
+      try {
+        if ((req.headers['content-type'] || '').startsWith(SEMANTIC_PATCH_CONTENT_TYPE)) {
+          (patch.instructions || []).forEach(instruction => applySemanticPatchInstruction(updated, instruction));
+        } else {
+          const operations = Array.isArray(patch) ? patch : patch.patch;
+          operations.forEach(operation => applyJsonPatchOperation(updated, operation));
+        }
+      } catch (error) {
+        const status = error.status || 400;
+        return send(res, status, { code: status === 409 ? 'conflict' : 'invalid_request', message: error.message });
+      }
+
+      updated._version = flag._version + 1;
+      state[projectKey][state[projectKey].indexOf(flag)] = updated;
+      return send(res, 200, updated);
+    }
+
+    return send(res, 405, { code: 'method_not_allowed', message: `${req.method} not supported` });
+  };
+
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', (chunk) => { rawBody += chunk; });
+    req.on('end', () => handle(req, res, rawBody));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const fake = {
+    url: `http://127.0.0.1:${port}`,
+    apiKey,
+    requests,
+    approvalRequests,
+    getFlag: findFlag,
+    /**
+     * Respond to the next matching request with an error (e.g. 429 or 500) instead of handling it
+     */
+    queueResponse(method, path, status, body = {}, headers = {}) {
+      queuedResponses.push({ method, path: path instanceof RegExp ? path : new RegExp(`^${path}$`), status, body, headers });
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+    onRequest: null
+  };
+  return fake;
+}
+
+module.exports = { startFakeLaunchDarklyServer, SEMANTIC_PATCH_CONTENT_TYPE };
@@ -0,0 +1,48 @@
+const http = require('http');
+
+/**
+ * Local HTTP endpoint that records webhook deliveries for notification tests
+ * Answers every POST with the given status and body (Slack answers 200 "ok"),
+ * or never answers with respond: false (to test timeouts)
+ *
+ * Usage:
+ *   const webhook = await startWebhookStub({ status: 500, body: 'invalid_payload' });
+ *   // point notify_webhook_url at webhook.url, inspect webhook.requests ({ method, path, headers, body })
+ *   await webhook.close();
+ */
+async function startWebhookStub({ status = 200, body = 'ok', respond = true } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', (chunk) => { rawBody += chunk; });
+    req.on('end', () => {
+      let parsed = rawBody;
+      try {
+        parsed = JSON.parse(rawBody);
+      } catch (error) {
+        // Keep non-JSON bodies as text
+      }
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body: parsed });
+      if (!respond) {
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/hooks/flag-expiry`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startWebhookStub };
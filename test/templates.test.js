@@ -0,0 +1,41 @@
+const { compileTemplate } = require('../src/templates');
+
+describe('compileTemplate', () => {
+  const variables = { expiry: 'date', flagKey: 'text', maintainer: 'text' };
+  const values = {
+    expiry: offsetDays => `expiry${offsetDays === 0 ? '' : offsetDays > 0 ? `+${offsetDays}` : offsetDays}`,
+    flagKey: 'my-flag',
+    maintainer: null
+  };
+
+  test('should fill in text and date placeholders', () => {
+    const template = compileTemplate('Review {flagKey} by {expiry-14d} (expires {expiry})', variables);
+
+    expect(template.render(values)).toBe('Review my-flag by expiry-14 (expires expiry)');
+    expect(template.variables).toEqual(['flagKey', 'expiry']);
+    expect(compileTemplate('{ expiry + 7d }', variables).render(values)).toBe('expiry+7');
+  });
+
+  test('should render missing values as empty and keep escaped braces', () => {
+    expect(compileTemplate('{maintainer}', variables).render(values)).toBe('');
+    expect(compileTemplate('{{{flagKey}}}', variables).render(values)).toBe('{my-flag}');
+    expect(compileTemplate('no placeholders', variables).render(values)).toBe('no placeholders');
+  });
+
+  test('should extract the values of placeholders from a rendered value', () => {
+    const template = compileTemplate('{expiry}|auto|{flagKey} (review {expiry-14d})', variables);
+
+    expect(template.extract('2025-08-17|auto|my-flag (review 2025-08-03)')).toEqual({ expiry: '2025-08-17', flagKey: 'my-flag' });
+    expect(template.extract('2025-08-17')).toBeNull();
+    expect(compileTemplate('a.b{expiry}', variables).extract('axb2025')).toBeNull();
+  });
+
+  test('should reject unknown, malformed and unbalanced placeholders', () => {
+    expect(() => compileTemplate('{owner}', variables, 'value of flag.owner'))
+      .toThrow('Invalid value of flag.owner: unknown placeholder {owner}. Supported: {expiry}, {flagKey}, {maintainer}');
+    expect(() => compileTemplate('{flagKey+1d}', variables)).toThrow('{flagKey+1d} has a day offset but flagKey is not a date');
+    expect(() => compileTemplate('{expiry-2w}', variables)).toThrow('malformed placeholder {expiry-2w}');
+    expect(() => compileTemplate('{expiry', variables)).toThrow("unmatched '{'");
+    expect(() => compileTemplate(42, variables)).toThrow('must be a string');
+  });
+});
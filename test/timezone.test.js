@@ -0,0 +1,61 @@
+const {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  startOfDay,
+  startOfZonedDay,
+  addCalendarDays,
+  calendarDaysBetween
+} = require('../src/timezone');
+
+describe('timezone', () => {
+  test('isValidTimeZone should accept IANA names only', () => {
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  test('getZonedParts should return the wall-clock time in the time zone', () => {
+    const instant = Date.UTC(2025, 0, 1, 2, 15);
+
+    expect(getZonedParts(instant, 'UTC')).toEqual({ year: 2025, month: 1, day: 1, hour: 2, minute: 15, second: 0 });
+    expect(getZonedParts(instant, 'America/Los_Angeles')).toEqual({ year: 2024, month: 12, day: 31, hour: 18, minute: 15, second: 0 });
+  });
+
+  test('getTimeZoneOffset should follow DST', () => {
+    expect(getTimeZoneOffset(Date.UTC(2025, 0, 15), 'Europe/Berlin')).toBe(60 * 60 * 1000);
+    expect(getTimeZoneOffset(Date.UTC(2025, 6, 15), 'Europe/Berlin')).toBe(2 * 60 * 60 * 1000);
+    expect(getTimeZoneOffset(Date.UTC(2025, 6, 15), 'Asia/Kolkata')).toBe(5.5 * 60 * 60 * 1000);
+  });
+
+  test('startOfDay should return midnight with the offset in effect that day', () => {
+    expect(startOfDay(2025, 3, 30, 'Europe/Berlin').toISOString()).toBe('2025-03-29T23:00:00.000Z');
+    expect(startOfDay(2025, 3, 31, 'Europe/Berlin').toISOString()).toBe('2025-03-30T22:00:00.000Z');
+  });
+
+  test('startOfDay should use the first hour when DST skips midnight', () => {
+    // Chile moves its clocks from midnight to 1am on September 7th, 2025
+    expect(startOfDay(2025, 9, 7, 'America/Santiago').toISOString()).toBe('2025-09-07T04:00:00.000Z');
+  });
+
+  test('startOfZonedDay should return the start of the local day', () => {
+    expect(startOfZonedDay(Date.UTC(2025, 7, 17, 23, 30), 'Europe/Berlin').toISOString()).toBe('2025-08-17T22:00:00.000Z');
+  });
+
+  test('addCalendarDays should count calendar days across DST changes', () => {
+    // The day the clocks go back in New York has 25 hours
+    const start = Date.UTC(2025, 10, 1, 16); // noon on November 1st, 2025 in New York
+
+    expect(addCalendarDays(start, 1, 'America/New_York').toISOString()).toBe('2025-11-02T04:00:00.000Z');
+    expect(addCalendarDays(start, 2, 'America/New_York').toISOString()).toBe('2025-11-03T05:00:00.000Z');
+    expect(addCalendarDays(start, -1, 'America/New_York').toISOString()).toBe('2025-10-31T04:00:00.000Z');
+    expect(addCalendarDays(Date.UTC(2024, 11, 31), 1).toISOString()).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('calendarDaysBetween should count calendar dates in the time zone', () => {
+    expect(calendarDaysBetween(Date.UTC(2025, 7, 17, 23), Date.UTC(2025, 7, 18, 1))).toBe(1);
+    expect(calendarDaysBetween(Date.UTC(2025, 7, 17, 23), Date.UTC(2025, 7, 18, 1), 'Europe/Berlin')).toBe(0);
+    expect(calendarDaysBetween(Date.UTC(2025, 10, 5), Date.UTC(2025, 9, 20), 'America/New_York')).toBe(-16);
+  });
+});
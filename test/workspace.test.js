@@ -0,0 +1,19 @@
+const path = require('path');
+const { resolveWorkspacePath } = require('../src/workspace');
+
+describe('resolveWorkspacePath', () => {
+  afterEach(() => {
+    delete process.env.GITHUB_WORKSPACE;
+  });
+
+  test('should resolve relative paths against the workspace', () => {
+    process.env.GITHUB_WORKSPACE = path.resolve('/github/workspace');
+
+    expect(resolveWorkspacePath('config/policy.yml')).toBe(path.resolve('/github/workspace/config/policy.yml'));
+    expect(resolveWorkspacePath(path.resolve('/tmp/plan.json'))).toBe(path.resolve('/tmp/plan.json'));
+  });
+
+  test('should fall back to the working directory outside of Actions', () => {
+    expect(resolveWorkspacePath('plan.json')).toBe(path.resolve(process.cwd(), 'plan.json'));
+  });
+});